@@ -1,64 +1,267 @@
 import React, { useState } from 'react'
-import { motion } from 'framer-motion'
-import Papa from 'papaparse'
+import { motion, AnimatePresence } from 'framer-motion'
 import HierarchyTree from './HierarchyTree'
+import ExportMenu from './ExportMenu'
+import DiffTreeView from './DiffTreeView'
+import MappingPresets from './MappingPresets'
+import MappingSuggestion from './MappingSuggestion'
+import DataQualityReport from './DataQualityReport'
+import LevelTransformsEditor from './LevelTransformsEditor'
+import SharedViewNotice from './SharedViewNotice'
+import NodeDetailPanel from './NodeDetailPanel'
+import RestructureToolbar from './RestructureToolbar'
+import MidAttributesPanel from './MidAttributesPanel'
+import RowFilterBuilder from './RowFilterBuilder'
+import LevelSortEditor from './LevelSortEditor'
+import { buildRootHierarchy, analyzeAdjacency, getMappedColumns } from './utils/hierarchy'
+import { diffHierarchies } from './utils/hierarchyDiff'
+import { analyzeDataQuality } from './utils/dataQuality'
+import { findSourceRows } from './utils/sourceRows'
+import useFileParser from './hooks/useFileParser'
+import useUrlViewState from './hooks/useUrlViewState'
+import useChangeSet from './hooks/useChangeSet'
+import { moveNodeError, moveMidError, graftPlaceholders, changeLogToRows } from './utils/restructure'
+import { exportCsv } from './utils/exporters'
+import { joinAttributes, suggestJoinKey, collectMidAttributes } from './utils/midAttributes'
+import { DEFAULT_ROW_FILTERS, applyRowFilters, activeConditions } from './utils/rowFilters'
+import { DEFAULT_MID_SORT, adjacencySortColumn } from './utils/levelSorts'
+import { DEFAULT_VIEW_SETTINGS } from './utils/urlState'
+import { missingPresetColumns, resolvePresetMapping } from './utils/mappingPresets'
+import { SUPPORTED_EXTENSIONS } from './utils/fileParsers'
+import { suggestMapping, AUTO_APPLY_CONFIDENCE } from './utils/columnProfile'
+import { AGGREGATIONS, detectNumericColumns, uniqueMeasures, measureLabel } from './utils/measures'
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
 
 function App() {
   const [parsedData, setParsedData] = useState([])
   const [columns, setColumns] = useState([])
-  const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState('')
   const [columnMappings, setColumnMappings] = useState({
+    mode: 'levels',
     levels: [],
     midColumn: undefined,
-    levelAliases: {}
+    idColumn: undefined,
+    parentColumn: undefined,
+    labelColumn: undefined,
+    measures: [],
+    levelAliases: {},
+    levelTransforms: {},
+    rowFilters: DEFAULT_ROW_FILTERS,
+    levelSorts: {},
+    midSort: DEFAULT_MID_SORT
   })
   const [expandedNodes, setExpandedNodes] = useState({})
+  const [selectedPath, setSelectedPath] = useState([])
+  const [sizeBy, setSizeBy] = useState('count')
+  const [fileName, setFileName] = useState('')
+  const [comparison, setComparison] = useState(null)
+  const [comparisonError, setComparisonError] = useState('')
+  // By default the second file is the older snapshot and the main file the newer one
+  const [comparisonIsBaseline, setComparisonIsBaseline] = useState(true)
+  const [previewTab, setPreviewTab] = useState('hierarchy')
+  const [mappingSuggestion, setMappingSuggestion] = useState(null)
+  const [viewSettings, setViewSettings] = useState(DEFAULT_VIEW_SETTINGS)
+  const [linkCopied, setLinkCopied] = useState(false)
+  // Node (and optionally one of its MIDs) whose source rows are open in the side panel
+  const [detailTarget, setDetailTarget] = useState(null)
+  // Restructuring mode: edits are kept in a change set on top of the upload
+  const [isEditing, setIsEditing] = useState(false)
+  const [editError, setEditError] = useState('')
+  const changeSet = useChangeSet(parsedData)
+  // Second file of MID attributes: { fileName, rows, columns, mainKey, secondaryKey }
+  const [attributeJoin, setAttributeJoin] = useState(null)
+  const [attributeError, setAttributeError] = useState('')
 
-  const handleFileUpload = (event) => {
+  // Rows the tree is built from: the upload with restructuring edits, then
+  // the joined attribute columns, then the mapping's row filters
+  const attributeResult = React.useMemo(() => {
+    return joinAttributes(changeSet.rows, attributeJoin?.rows.length > 0 ? attributeJoin : null, columns)
+  }, [changeSet.rows, attributeJoin, columns])
+  const joinedRows = attributeResult.rows
+  const attributeColumns = attributeResult.columns
+  const hierarchyRows = React.useMemo(() => {
+    return applyRowFilters(joinedRows, columnMappings.rowFilters)
+  }, [joinedRows, columnMappings.rowFilters])
+
+  // Columns offered for levels and measures, joined ones included
+  const mappingColumns = React.useMemo(() => [...columns, ...attributeColumns], [columns, attributeColumns])
+
+  // Everything a shared link restores, written to the URL hash once data is loaded
+  const currentView = React.useMemo(() => ({
+    fileName,
+    mapping: columnMappings,
+    expandedNodes,
+    selectedPath,
+    viewSettings,
+    sizeBy
+  }), [fileName, columnMappings, expandedNodes, selectedPath, viewSettings, sizeBy])
+  const { sharedView, clearSharedView, resolveSharedPatterns } = useUrlViewState(currentView, parsedData.length > 0)
+
+  // Columns the shared view maps that the loaded file lacks
+  const sharedViewMissingColumns = React.useMemo(() => {
+    if (!sharedView || columns.length === 0) return []
+    return missingPresetColumns({ mapping: sharedView.mapping }, columns)
+  }, [sharedView, columns])
+
+  // Apply a shared view as soon as a file with its columns is loaded and any
+  // regex value rules it carries have been confirmed
+  React.useEffect(() => {
+    if (!sharedView || columns.length === 0 || sharedViewMissingColumns.length > 0 || sharedView.regexColumns.length > 0) return
+    setColumnMappings(resolvePresetMapping({ mapping: sharedView.mapping }, columns))
+    setExpandedNodes(sharedView.expandedNodes)
+    setSelectedPath(sharedView.selectedPath)
+    setViewSettings(sharedView.viewSettings)
+    setSizeBy(sharedView.sizeBy)
+    clearSharedView()
+  }, [sharedView, columns, sharedViewMissingColumns, clearSharedView])
+
+  const handleViewSettingsChange = React.useCallback((changes) => {
+    setViewSettings(prev => ({ ...prev, ...changes }))
+  }, [])
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      setLinkCopied(true)
+      setTimeout(() => setLinkCopied(false), 2000)
+    } catch {
+      // Clipboard access can be denied; the address bar still has the link
+    }
+  }
+
+  const applyParsedRows = ({ data, columns: newColumns }) => {
+    setParsedData(data)
+    setColumns(newColumns)
+    setSizeBy('count')
+    setDetailTarget(null)
+
+    // Auto-detect plausible columns and set default mapping
+    const suggestion = suggestMapping(data, newColumns)
+    const mapping = autoDetectColumns(newColumns, suggestion)
+    setMappingSuggestion(suggestion)
+    setColumnMappings(mapping)
+
+    // A loaded attribute file stays; its key moves to the new file's MID column
+    // when the old key column is gone
+    setAttributeJoin(prev => prev && !newColumns.includes(prev.mainKey)
+      ? { ...prev, mainKey: mapping.midColumn || newColumns[0] || '' }
+      : prev)
+  }
+
+  const fileParser = useFileParser({
+    onComplete: applyParsedRows,
+    onError: setError
+  })
+  const { isLoading, progress: parseProgress, sheetNames, selectedSheet } = fileParser
+
+  // Second snapshot, built with the same mapping as the main file
+  const comparisonParser = useFileParser({
+    onComplete: ({ data, columns: comparisonColumns }) => {
+      setComparison(prev => ({ ...prev, data, columns: comparisonColumns }))
+      setPreviewTab('changes')
+    },
+    onError: setComparisonError
+  })
+
+  const handleComparisonUpload = (event) => {
     const file = event.target.files[0]
     if (!file) return
+    if (event.target.value) {
+      event.target.value = ''
+    }
+    setComparisonError('')
+    setComparison({ fileName: file.name, data: [], columns: [] })
+    comparisonParser.parseFile(file)
+  }
 
-    setIsLoading(true)
-    setError('')
-    
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        if (results.errors.length > 0) {
-          setError(`CSV parsing error: ${results.errors[0].message}`)
-          setIsLoading(false)
-          return
+  const attributeParser = useFileParser({
+    onComplete: ({ data, columns: fileColumns }) => {
+      setAttributeJoin(prev => {
+        if (!prev) return prev
+        const mainKey = prev.mainKey || columnMappings.midColumn || columns[0] || ''
+        return {
+          ...prev,
+          rows: data,
+          columns: fileColumns,
+          mainKey,
+          secondaryKey: suggestJoinKey(parsedData, mainKey, data, fileColumns)
         }
-        
-        setParsedData(results.data)
-        const newColumns = Object.keys(results.data[0] || {})
-        setColumns(newColumns)
-        
-        // Auto-detect plausible columns and set default mapping
-        const autoDetectedMapping = autoDetectColumns(newColumns, results.data)
-        setColumnMappings(autoDetectedMapping)
-        setIsLoading(false)
-      },
-      error: (error) => {
-        setError(`File reading error: ${error.message}`)
-        setIsLoading(false)
+      })
+    },
+    onError: setAttributeError
+  })
+
+  const handleAttributeUpload = (file) => {
+    setAttributeError('')
+    setAttributeJoin(prev => ({ fileName: file.name, rows: [], columns: [], mainKey: prev?.mainKey || '', secondaryKey: '' }))
+    attributeParser.parseFile(file)
+  }
+
+  const handleAttributeJoinChange = (changes) => {
+    setAttributeJoin(prev => ({ ...prev, ...changes }))
+  }
+
+  // Levels, measures and filters on joined columns go with the file
+  const handleClearAttributes = () => {
+    attributeParser.cancel()
+    setAttributeJoin(null)
+    setAttributeError('')
+    setColumnMappings(prev => ({
+      ...prev,
+      levels: prev.levels.filter(level => !attributeColumns.includes(level)),
+      measures: prev.measures.filter(measure => !attributeColumns.includes(measure.column)),
+      rowFilters: {
+        ...prev.rowFilters,
+        conditions: prev.rowFilters.conditions.filter(condition => !attributeColumns.includes(condition.column))
       }
-    })
+    }))
+  }
+
+  const setRowFilters = (rowFilters) => {
+    setColumnMappings(prev => ({ ...prev, rowFilters }))
+  }
+
+  const handleClearComparison = () => {
+    comparisonParser.cancel()
+    setComparison(null)
+    setComparisonError('')
+    setPreviewTab('hierarchy')
+  }
+
+  const handleCancelParse = (event) => {
+    event.stopPropagation()
+    fileParser.cancel()
+  }
+
+  const handleFileUpload = (event) => {
+    const file = event.target.files[0]
+    if (!file) return
+
+    // Allow picking the same file again after a cancel or an error
+    if (event.target.value) {
+      event.target.value = ''
+    }
+
+    setError('')
+    setFileName(file.name)
+    fileParser.parseFile(file)
+  }
+
+  const handleSheetChange = (sheetName) => {
+    setError('')
+    fileParser.selectSheet(sheetName)
   }
 
   const handleDrop = (event) => {
     event.preventDefault()
     const files = event.dataTransfer.files
     if (files.length > 0) {
-      const file = files[0]
-      if (file.type === 'text/csv' || file.name.endsWith('.csv')) {
-        const fakeEvent = { target: { files: [file] } }
-        handleFileUpload(fakeEvent)
-      } else {
-        setError('Please upload a CSV file')
-      }
+      const fakeEvent = { target: { files: [files[0]] } }
+      handleFileUpload(fakeEvent)
     }
   }
 
@@ -77,9 +280,63 @@ function App() {
         ...prev,
         midColumn: value || undefined
       }))
+    } else if (['idColumn', 'parentColumn', 'labelColumn'].includes(mappingType)) {
+      setColumnMappings(prev => ({
+        ...prev,
+        [mappingType]: value || undefined
+      }))
     }
   }
 
+  // A null transform removes the column's rules
+  const setLevelTransform = (column, transform) => {
+    setColumnMappings(prev => {
+      const levelTransforms = { ...prev.levelTransforms }
+      if (transform) {
+        levelTransforms[column] = transform
+      } else {
+        delete levelTransforms[column]
+      }
+      return { ...prev, levelTransforms }
+    })
+  }
+
+  // A null sort puts the level back to alphabetical
+  const setLevelSort = (column, sort) => {
+    setColumnMappings(prev => {
+      const levelSorts = { ...prev.levelSorts }
+      if (sort) {
+        levelSorts[column] = sort
+      } else {
+        delete levelSorts[column]
+      }
+      return { ...prev, levelSorts }
+    })
+  }
+
+  const setMidSort = (midSort) => {
+    setColumnMappings(prev => ({ ...prev, midSort }))
+  }
+
+  // Keep chosen measures, value rules, filters and sorts when switching to the suggested levels
+  const handleAcceptSuggestion = (mapping) => {
+    setColumnMappings(prev => ({
+      ...mapping,
+      measures: prev.measures,
+      levelTransforms: prev.levelTransforms,
+      rowFilters: prev.rowFilters,
+      levelSorts: prev.levelSorts,
+      midSort: prev.midSort
+    }))
+  }
+
+  const setMappingMode = (mode) => {
+    setColumnMappings(prev => ({
+      ...prev,
+      mode
+    }))
+  }
+
   const addLevel = () => {
     setColumnMappings(prev => ({
       ...prev,
@@ -101,6 +358,27 @@ function App() {
     }))
   }
 
+  const addMeasure = () => {
+    setColumnMappings(prev => ({
+      ...prev,
+      measures: [...prev.measures, { column: '', aggregation: 'sum' }]
+    }))
+  }
+
+  const removeMeasure = (index) => {
+    setColumnMappings(prev => ({
+      ...prev,
+      measures: prev.measures.filter((_, i) => i !== index)
+    }))
+  }
+
+  const updateMeasure = (index, field, value) => {
+    setColumnMappings(prev => ({
+      ...prev,
+      measures: prev.measures.map((measure, i) => i === index ? { ...measure, [field]: value } : measure)
+    }))
+  }
+
   const updateLevelAlias = (levelName, alias) => {
     setColumnMappings(prev => ({
       ...prev,
@@ -111,19 +389,31 @@ function App() {
     }))
   }
 
+  const isParentChildMode = columnMappings.mode === 'parentChild'
+
   // Check for duplicate selections
   const hasDuplicateSelections = () => {
-    const { levels, midColumn } = columnMappings
-    const allSelections = [...levels.filter(Boolean), midColumn].filter(Boolean)
+    const { levels, midColumn, idColumn, parentColumn } = columnMappings
+    const allSelections = isParentChildMode
+      ? [idColumn, parentColumn, midColumn].filter(Boolean)
+      : [...levels.filter(Boolean), midColumn].filter(Boolean)
     return allSelections.length !== new Set(allSelections).size
   }
 
   // Check if midColumn is also selected as a level
   const isMidColumnInLevels = () => {
     const { levels, midColumn } = columnMappings
-    return midColumn && levels.includes(midColumn)
+    return !isParentChildMode && midColumn && levels.includes(midColumn)
   }
 
+  // Check that the active mode has the columns it needs to build a tree
+  const isMappingComplete = React.useCallback(() => {
+    if (isParentChildMode) {
+      return Boolean(columnMappings.idColumn && columnMappings.parentColumn)
+    }
+    return columnMappings.levels.length > 0
+  }, [isParentChildMode, columnMappings.idColumn, columnMappings.parentColumn, columnMappings.levels])
+
   // Check for duplicate aliases
   const getDuplicateAliases = () => {
     const { levelAliases } = columnMappings
@@ -134,76 +424,45 @@ function App() {
     return [...new Set(duplicates)]
   }
 
-  const autoDetectColumns = (columns, data) => {
-    // Simple auto-detection: use first column as default level
-    // In a real implementation, this could be more sophisticated
+  const autoDetectColumns = (columns, suggestion) => {
+    // A confident profile is applied straight away; otherwise start from the
+    // first column and leave the suggestion for the user to accept
+    if (suggestion.confidence >= AUTO_APPLY_CONFIDENCE) {
+      return suggestion.mapping
+    }
+
     const defaultLevels = columns.length > 0 ? [columns[0]] : []
     
     return {
+      mode: 'levels',
       levels: defaultLevels,
       midColumn: undefined,
-      levelAliases: {}
+      idColumn: undefined,
+      parentColumn: undefined,
+      labelColumn: undefined,
+      measures: [],
+      levelAliases: {},
+      levelTransforms: {},
+      rowFilters: DEFAULT_ROW_FILTERS,
+      levelSorts: {},
+      midSort: DEFAULT_MID_SORT
     }
   }
 
-  // Generic hierarchy builder
-  const buildHierarchy = (rows, levels, midColumn) => {
-    if (!rows || rows.length === 0) return []
-    
-    // Group rows by the first level
-    const groups = {}
-    rows.forEach(row => {
-      const firstLevelValue = row[levels[0]]?.trim() || '—'
-      if (!groups[firstLevelValue]) {
-        groups[firstLevelValue] = []
-      }
-      groups[firstLevelValue].push(row)
-    })
-    
-    // Process each group
-    const nodes = Object.entries(groups).map(([groupName, groupRows]) => {
-      if (levels.length === 1) {
-        // This is a leaf node
-        if (midColumn) {
-          // Use midColumn for MIDs
-          const mids = [...new Set(groupRows.map(row => row[midColumn]?.trim()).filter(Boolean))]
-          return {
-            name: groupName,
-            mids: mids,
-            count: mids.length
-          }
-        } else {
-          // Use the group name as MID
-          return {
-            name: groupName,
-            mids: [groupName],
-            count: 1
-          }
-        }
-      } else {
-        // Recurse with remaining levels
-        const childNodes = buildHierarchy(groupRows, levels.slice(1), midColumn)
-        const totalCount = childNodes.reduce((sum, child) => sum + (child.count || 0), 0)
-        
-        return {
-          name: groupName,
-          children: childNodes,
-          count: totalCount
-        }
-      }
-    })
-    
-    // Sort alphabetically by name
-    return nodes.sort((a, b) => a.name.localeCompare(b.name))
-  }
-
   // Validation functions
   const validateMapping = () => {
     const errors = []
     const warnings = []
     
     // Check for required levels
-    if (columnMappings.levels.length === 0) {
+    if (isParentChildMode) {
+      if (!columnMappings.idColumn) {
+        errors.push('Select an ID column.')
+      }
+      if (!columnMappings.parentColumn) {
+        errors.push('Select a parent ID column.')
+      }
+    } else if (columnMappings.levels.length === 0) {
       errors.push('Select at least one level.')
     }
     
@@ -218,18 +477,58 @@ function App() {
       warnings.push(`Duplicate alias names may cause confusion in preview: ${duplicateAliases.join(', ')}.`)
     }
     
+    // Check parent/child links on the rows the tree is built from, so filtered
+    // out accounts raise no cycles and the orphans they leave are reported
+    if (isParentChildMode && hierarchyRows.length > 0 && isMappingComplete()) {
+      const { roots, orphans, cycles, unreachableCount, duplicateIds, missingIdCount } =
+        analyzeAdjacency(hierarchyRows, columnMappings.idColumn, columnMappings.parentColumn)
+
+      if (cycles.length > 0) {
+        const shown = cycles.slice(0, 3).map(cycle => [...cycle, cycle[0]].join(' → '))
+        errors.push(`${cycles.length} parent cycle${cycles.length === 1 ? '' : 's'} found; ${unreachableCount} accounts cannot be placed: ${shown.join('; ')}${cycles.length > 3 ? '; …' : ''}.`)
+      }
+      if (roots.length + orphans.length === 0 && cycles.length === 0) {
+        errors.push('No root accounts found.')
+      }
+      if (orphans.length > 0) {
+        warnings.push(`${orphans.length} accounts reference a missing parent; shown as roots: ${orphans.slice(0, 5).join(', ')}${orphans.length > 5 ? ', …' : ''}.`)
+      }
+      if (roots.length > 1) {
+        warnings.push(`${roots.length} root accounts found; grouped under 'All Accounts'.`)
+      }
+      if (duplicateIds.length > 0) {
+        warnings.push(`${duplicateIds.length} IDs appear on more than one row; the first row sets the parent and label: ${duplicateIds.slice(0, 5).join(', ')}${duplicateIds.length > 5 ? ', …' : ''}.`)
+      }
+      if (missingIdCount > 0) {
+        warnings.push(`${missingIdCount} rows missing ${columnMappings.idColumn}; skipped.`)
+      }
+    }
+
+    if (parsedData.length > 0 && hierarchyRows.length === 0) {
+      errors.push('The row filters exclude every row.')
+    }
+
+    // Check measures
+    columnMappings.measures.forEach((measure, index) => {
+      if (!measure.column) {
+        warnings.push(`Measure ${index + 1} has no column and is ignored.`)
+      } else if (measure.aggregation !== 'distinct' && parsedData.length > 0 && !numericColumns.includes(measure.column)) {
+        warnings.push(`${measure.column} is mostly non-numeric; non-numeric values are skipped in its ${measure.aggregation}.`)
+      }
+    })
+
     // Check for empty values
-    if (parsedData.length > 0 && columnMappings.levels.length > 0) {
+    if (!isParentChildMode && parsedData.length > 0 && columnMappings.levels.length > 0) {
       const emptyValueCounts = {}
       columnMappings.levels.forEach(level => {
-        const emptyCount = parsedData.filter(row => !row[level]?.trim()).length
+        const emptyCount = hierarchyRows.filter(row => !row[level]?.trim()).length
         if (emptyCount > 0) {
           emptyValueCounts[level] = emptyCount
         }
       })
       
       if (columnMappings.midColumn) {
-        const emptyMidCount = parsedData.filter(row => !row[columnMappings.midColumn]?.trim()).length
+        const emptyMidCount = hierarchyRows.filter(row => !row[columnMappings.midColumn]?.trim()).length
         if (emptyMidCount > 0) {
           emptyValueCounts[columnMappings.midColumn] = emptyMidCount
         }
@@ -243,27 +542,89 @@ function App() {
     return { errors, warnings }
   }
 
+  // Numeric columns offered for sizing the sunburst and treemap views
+  const numericColumns = React.useMemo(() => {
+    return detectNumericColumns(hierarchyRows, mappingColumns)
+  }, [hierarchyRows, mappingColumns])
+
+  // Mapped measures with a column chosen, shown on nodes and in exports
+  const activeMeasures = React.useMemo(() => {
+    return uniqueMeasures(columnMappings.measures)
+  }, [columnMappings.measures])
+
+  // Parts of the mapping the tree is built from; aliases, filters and measures
+  // are applied elsewhere, so editing them does not rebuild the tree
+  const treeMapping = React.useMemo(() => ({
+    mode: columnMappings.mode,
+    levels: columnMappings.levels,
+    midColumn: columnMappings.midColumn,
+    idColumn: columnMappings.idColumn,
+    parentColumn: columnMappings.parentColumn,
+    labelColumn: columnMappings.labelColumn,
+    levelTransforms: columnMappings.levelTransforms,
+    levelSorts: columnMappings.levelSorts,
+    midSort: columnMappings.midSort
+  }), [
+    columnMappings.mode,
+    columnMappings.levels,
+    columnMappings.midColumn,
+    columnMappings.idColumn,
+    columnMappings.parentColumn,
+    columnMappings.labelColumn,
+    columnMappings.levelTransforms,
+    columnMappings.levelSorts,
+    columnMappings.midSort
+  ])
+
   // Memoize hierarchy data to prevent unnecessary re-renders
   const memoizedHierarchyData = React.useMemo(() => {
-    if (!parsedData.length || columnMappings.levels.length === 0) {
+    if (!hierarchyRows.length || !isMappingComplete()) {
       return null
     }
+
+    // Sizing the diagram views by a column needs its sum on every node too
+    const buildOptions = {
+      measures: sizeBy === 'count'
+        ? activeMeasures
+        : uniqueMeasures([...activeMeasures, { column: sizeBy, aggregation: 'sum' }])
+    }
     
-    // Build hierarchy using new function
-    const hierarchyNodes = buildHierarchy(
-      parsedData,
-      columnMappings.levels,
-      columnMappings.midColumn
-    )
-    
-    // Wrap with virtual root node
-    const totalCount = hierarchyNodes.reduce((sum, node) => sum + (node.count || 0), 0)
-    return {
-      name: 'All Accounts',
-      children: hierarchyNodes,
-      count: totalCount
+    const hierarchy = buildRootHierarchy(hierarchyRows, treeMapping, buildOptions)
+    return treeMapping.mode === 'parentChild'
+      ? hierarchy
+      : graftPlaceholders(hierarchy, changeSet.placeholders, treeMapping.levels, treeMapping.levelSorts)
+  }, [hierarchyRows, changeSet.placeholders, treeMapping, isMappingComplete, activeMeasures, sizeBy])
+
+  const qualityFindings = React.useMemo(() => {
+    if (!memoizedHierarchyData) return []
+    return analyzeDataQuality(memoizedHierarchyData, hierarchyRows, columns, columnMappings.midColumn)
+  }, [memoizedHierarchyData, hierarchyRows, columns, columnMappings.midColumn])
+
+  // Comparison rows with the same attribute join as the current tree
+  const comparisonJoin = React.useMemo(() => {
+    if (!comparison || comparison.data.length === 0) return null
+    const result = joinAttributes(comparison.data, attributeJoin?.rows.length > 0 ? attributeJoin : null, comparison.columns)
+    return { rows: result.rows, columns: [...comparison.columns, ...result.columns] }
+  }, [comparison, attributeJoin])
+
+  // Mapped columns the comparison file and its joined attributes lack; the
+  // diff needs all of them
+  const comparisonMissingColumns = React.useMemo(() => {
+    if (!comparisonJoin) return []
+    return getMappedColumns(columnMappings).filter(column => !comparisonJoin.columns.includes(column))
+  }, [comparisonJoin, columnMappings])
+
+  const hierarchyDiff = React.useMemo(() => {
+    if (!memoizedHierarchyData || !comparisonJoin || comparisonMissingColumns.length > 0) {
+      return null
     }
-  }, [parsedData, columnMappings.levels, columnMappings.midColumn])
+    // Same row filters as the current tree, so filtered-out branches do not
+    // show up as added or removed
+    const comparisonHierarchy = buildRootHierarchy(applyRowFilters(comparisonJoin.rows, columnMappings.rowFilters), columnMappings)
+    return comparisonIsBaseline
+      ? diffHierarchies(comparisonHierarchy, memoizedHierarchyData)
+      : diffHierarchies(memoizedHierarchyData, comparisonHierarchy)
+  }, [memoizedHierarchyData, comparisonJoin, comparisonMissingColumns, comparisonIsBaseline, columnMappings])
 
   // Memoize levelAliases to prevent unnecessary re-renders
   const memoizedLevelAliases = React.useMemo(() => {
@@ -278,8 +639,99 @@ function App() {
     }))
   }, [])
 
+  const handleSelectNode = React.useCallback((namePath) => {
+    setSelectedPath(namePath)
+  }, [])
+
+  const handleShowDetails = React.useCallback((namePath, mid) => {
+    setDetailTarget({ namePath, mid })
+  }, [])
+
+  const handleCloseDetails = React.useCallback(() => {
+    setDetailTarget(null)
+  }, [])
+
+  const mappedColumns = React.useMemo(() => getMappedColumns(columnMappings), [columnMappings])
+
+  const detailRows = React.useMemo(() => {
+    if (!detailTarget) return []
+    return findSourceRows(hierarchyRows, columnMappings, memoizedHierarchyData, detailTarget.namePath, detailTarget.mid)
+  }, [detailTarget, hierarchyRows, columnMappings, memoizedHierarchyData])
+
+  // Joined attributes per MID, for chip tooltips and attribute search
+  const midAttributes = React.useMemo(() => {
+    return collectMidAttributes(hierarchyRows, columnMappings.midColumn || attributeJoin?.mainKey, attributeColumns)
+  }, [hierarchyRows, columnMappings.midColumn, attributeJoin?.mainKey, attributeColumns])
+
+  // Edits rewrite the uploaded columns, so a tree built on joined columns
+  // cannot be restructured
+  const mappingUsesJoinedColumns = [...columnMappings.levels, columnMappings.labelColumn]
+    .some(column => column && attributeColumns.includes(column))
+  const isRestructuring = isEditing && !mappingUsesJoinedColumns
+
+  // Applies one restructuring edit; returns false and shows why when it is not
+  // allowed. Expansion follows a moved or renamed node and the result is selected.
+  const applyChange = changeSet.apply
+  const handleEdit = React.useCallback((edit) => {
+    const change = applyChange(edit, { mapping: columnMappings, hierarchyData: memoizedHierarchyData, columns })
+    if (change.error) {
+      setEditError(change.error)
+      return false
+    }
+    setEditError('')
+    if (change.type === 'moveNode' || change.type === 'rename') {
+      const fromKey = change.fromPath.join('\u0000')
+      const toKey = change.toPath.join('\u0000')
+      setExpandedNodes(prev => {
+        const next = { ...prev }
+        Object.keys(prev).forEach(key => {
+          if (key === fromKey || key.startsWith(`${fromKey}\u0000`)) {
+            next[toKey + key.slice(fromKey.length)] = prev[key]
+          }
+        })
+        return next
+      })
+    }
+    setSelectedPath(change.toPath)
+    setDetailTarget(null)
+    return true
+  }, [applyChange, columnMappings, memoizedHierarchyData, columns])
+
+  const editing = React.useMemo(() => {
+    if (!isRestructuring || !memoizedHierarchyData) return null
+    const context = { mapping: columnMappings, hierarchyData: memoizedHierarchyData }
+    return {
+      canMoveNode: (fromPath, toPath) => !moveNodeError(context, fromPath, toPath),
+      canMoveMid: (fromPath, toPath) => !moveMidError(context, fromPath, toPath),
+      onMoveNode: (fromPath, toPath) => handleEdit({ type: 'moveNode', fromPath, toPath }),
+      onMoveMid: (fromPath, mid, toPath) => handleEdit({ type: 'moveMid', fromPath, mid, toPath }),
+      midsDraggable: Boolean(columnMappings.midColumn)
+    }
+  }, [isRestructuring, memoizedHierarchyData, columnMappings, handleEdit])
+
+  const exportBaseName = (fileName || 'hierarchy').replace(/\.[^.]+$/, '')
+
+  const handleExportEditedData = () => {
+    exportCsv({ headers: columns, rows: changeSet.rows.map(row => columns.map(column => row[column] ?? '')) }, `${exportBaseName}-restructured.csv`)
+  }
+
+  const handleExportChangeLog = () => {
+    exportCsv(changeLogToRows(changeSet.changes, memoizedLevelAliases), `${exportBaseName}-changes.csv`)
+  }
+
+  const handleDiscardChanges = () => {
+    changeSet.reset()
+    setEditError('')
+  }
+
+  // Findings link to nodes; the tree expands down to the selected one
+  const handleRevealNode = (namePath) => {
+    setPreviewTab('hierarchy')
+    setSelectedPath(namePath)
+  }
+
   const handleGenerateVisualization = () => {
-    if (!parsedData.length || columnMappings.levels.length === 0) {
+    if (!parsedData.length || !isMappingComplete()) {
       return
     }
     
@@ -289,15 +741,8 @@ function App() {
       return
     }
     
-    // Clear previous errors
+    // Clear previous errors; the tree itself is already rendered from the memo
     setError('')
-    
-    // Hierarchy data is now directly passed to component
-    
-    // Log to console for debugging
-    console.log('Generated Hierarchy Data:', memoizedHierarchyData)
-    console.log('Column Mappings:', columnMappings)
-    console.log('Validation warnings:', validation.warnings)
   }
 
   return (
@@ -343,6 +788,13 @@ function App() {
               {/* File Upload Section */}
               <div className="mb-6">
                 <h3 className="text-sm font-medium text-gray-700 mb-3">File Upload</h3>
+                <SharedViewNotice
+                  sharedView={sharedView}
+                  hasData={parsedData.length > 0}
+                  missingColumns={sharedViewMissingColumns}
+                  onResolvePatterns={resolveSharedPatterns}
+                  onDismiss={clearSharedView}
+                />
                 <div 
                   className="border-2 border-dashed border-gray-300 rounded-2xl p-6 text-center hover:border-blue-400 hover:bg-blue-50 transition-all duration-200 cursor-pointer"
                   onDrop={handleDrop}
@@ -352,27 +804,65 @@ function App() {
                   <input
                     id="csv-upload"
                     type="file"
-                    accept=".csv"
+                    accept={SUPPORTED_EXTENSIONS.join(',')}
                     onChange={handleFileUpload}
                     className="hidden"
                   />
                   
                   {isLoading ? (
                     <div className="flex flex-col items-center">
-                      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mb-3"></div>
-                      <p className="text-sm text-gray-600">Parsing CSV...</p>
+                      <p className="text-sm text-gray-600 mb-3">Parsing file...</p>
+                      {parseProgress && (
+                        <div className="w-full">
+                          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                            <div
+                              className={`h-full bg-blue-600 rounded-full transition-all duration-200 ${parseProgress.totalBytes ? '' : 'animate-pulse w-full'}`}
+                              style={parseProgress.totalBytes ? { width: `${Math.round((parseProgress.bytes / parseProgress.totalBytes) * 100)}%` } : undefined}
+                            />
+                          </div>
+                          <p className="text-xs text-gray-500 mt-2">
+                            {parseProgress.rows.toLocaleString()} rows
+                            {parseProgress.totalBytes > 0 && ` · ${formatBytes(parseProgress.bytes)} of ${formatBytes(parseProgress.totalBytes)}`}
+                          </p>
+                        </div>
+                      )}
+                      <button
+                        onClick={handleCancelParse}
+                        className="mt-3 px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg border border-red-200 transition-all duration-200"
+                      >
+                        Cancel
+                      </button>
                     </div>
                   ) : (
                     <>
                       <svg className="w-8 h-8 text-gray-400 mx-auto mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M9 19l3 3m0 0l3-3m-3 3V10" />
                       </svg>
-                      <p className="text-sm text-gray-600 mb-2">Drop your CSV file here or click to browse</p>
-                      <p className="text-xs text-gray-500">Supports .csv files up to 10MB</p>
+                      <p className="text-sm text-gray-600 mb-2">Drop your data file here or click to browse</p>
+                      <p className="text-xs text-gray-500">Supports CSV, TSV, Excel (.xlsx) and JSON Lines files</p>
                     </>
                   )}
                 </div>
                 
+                {/* Sheet Picker for multi-sheet workbooks */}
+                {sheetNames.length > 1 && (
+                  <div className="mt-3 bg-white rounded-2xl p-4 shadow-sm border border-gray-200">
+                    <label className="block text-xs font-medium text-gray-600 mb-2">
+                      Worksheet
+                    </label>
+                    <select
+                      className="w-full px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      value={selectedSheet}
+                      disabled={isLoading}
+                      onChange={(e) => handleSheetChange(e.target.value)}
+                    >
+                      {sheetNames.map((sheetName) => (
+                        <option key={sheetName} value={sheetName}>{sheetName}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 {error && (
                   <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-2xl">
                     <p className="text-sm text-red-600">{error}</p>
@@ -416,76 +906,161 @@ function App() {
                 </div>
               )}
 
+              {/* MID Attributes */}
+              {parsedData.length > 0 && (
+                <div className="mb-6">
+                  <h3 className="text-sm font-medium text-gray-700 mb-3">MID Attributes</h3>
+                  <MidAttributesPanel
+                    join={attributeJoin}
+                    parser={attributeParser}
+                    error={attributeError}
+                    mainColumns={columns}
+                    joinedColumns={attributeColumns}
+                    report={attributeResult.report}
+                    onUpload={handleAttributeUpload}
+                    onChange={handleAttributeJoinChange}
+                    onClear={handleClearAttributes}
+                  />
+                </div>
+              )}
+
               {/* Column Mapping Section */}
               <div className="flex-1">
                 <h3 className="text-sm font-medium text-gray-700 mb-3">Column Mapping</h3>
-                
-                {/* Hierarchy Levels Section */}
-                <div className="space-y-3 mb-4">
-                  <div className="flex items-center justify-between">
-                    <label className="text-xs font-medium text-gray-600">Hierarchy Levels</label>
+
+                {columns.length > 0 && (
+                  <MappingPresets
+                    columns={columns}
+                    joinedColumns={attributeColumns}
+                    columnMappings={columnMappings}
+                    onApplyMapping={setColumnMappings}
+                  />
+                )}
+
+                {mappingSuggestion && mappingSuggestion.levels.length > 0 && (
+                  <MappingSuggestion
+                    suggestion={mappingSuggestion}
+                    columnMappings={columnMappings}
+                    onAccept={handleAcceptSuggestion}
+                  />
+                )}
+
+                {/* Mapping Mode Toggle */}
+                <div className="flex mb-4 bg-white rounded-xl p-1 border border-gray-200 shadow-sm">
+                  {[
+                    { value: 'levels', label: 'Level columns' },
+                    { value: 'parentChild', label: 'Parent / child' }
+                  ].map(option => (
                     <button
-                      onClick={addLevel}
-                      className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 hover:text-blue-700 rounded-lg border border-blue-200 hover:border-blue-300 transition-all duration-200 shadow-sm hover:shadow-md"
+                      key={option.value}
+                      onClick={() => setMappingMode(option.value)}
+                      className={`flex-1 py-1.5 text-xs font-medium rounded-lg transition-all duration-200 ${
+                        columnMappings.mode === option.value
+                          ? 'bg-blue-600 text-white shadow-sm'
+                          : 'text-gray-600 hover:bg-gray-50'
+                      }`}
                     >
-                      <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                      </svg>
-                      Add Level
+                      {option.label}
                     </button>
+                  ))}
+                </div>
+                
+                {/* Parent / Child Columns Section */}
+                {isParentChildMode && (
+                  <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200 space-y-3 mb-4">
+                    {[
+                      { key: 'idColumn', label: 'ID', placeholder: 'Select ID column...' },
+                      { key: 'parentColumn', label: 'Parent', placeholder: 'Select parent ID column...' },
+                      { key: 'labelColumn', label: 'Label', placeholder: 'Use ID as label' }
+                    ].map(field => (
+                      <div key={field.key} className="flex items-center space-x-2">
+                        <span className="text-xs font-medium text-gray-500 w-12">{field.label}</span>
+                        <select
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          value={columnMappings[field.key] || ''}
+                          onChange={(e) => handleColumnMappingChange(field.key, e.target.value)}
+                        >
+                          <option value="">{field.placeholder}</option>
+                          {columns.map((column, index) => (
+                            <option key={index} value={column}>{column}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                    <p className="text-xs text-gray-500">
+                      Each row is linked to the row whose ID matches its parent ID. Rows with an empty parent are roots.
+                    </p>
                   </div>
-                  
-                  {columnMappings.levels.map((level, index) => {
-                    // Get available columns (exclude already selected ones and midColumn)
-                    const availableColumns = columns.filter(col => {
-                      const isSelectedInOtherLevels = columnMappings.levels.some((l, i) => i !== index && l === col)
-                      const isMidColumn = col === columnMappings.midColumn
-                      return !isSelectedInOtherLevels && !isMidColumn
-                    })
+                )}
+
+                {/* Hierarchy Levels Section */}
+                {!isParentChildMode && (
+                  <div className="space-y-3 mb-4">
+                    <div className="flex items-center justify-between">
+                      <label className="text-xs font-medium text-gray-600">Hierarchy Levels</label>
+                      <button
+                        onClick={addLevel}
+                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 hover:text-blue-700 rounded-lg border border-blue-200 hover:border-blue-300 transition-all duration-200 shadow-sm hover:shadow-md"
+                      >
+                        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                        </svg>
+                        Add Level
+                      </button>
+                    </div>
                     
-                    return (
-                      <div key={index} className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200">
-                        <div className="space-y-3">
-                          <div className="flex items-center space-x-2">
-                            <span className="text-xs font-medium text-gray-500 w-8">Level {index + 1}</span>
-                            <select 
-                              className="flex-1 px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                              value={level}
-                              onChange={(e) => updateLevel(index, e.target.value)}
-                            >
-                              <option value="">Select column...</option>
-                              {availableColumns.map((column, colIndex) => (
-                                <option key={colIndex} value={column}>{column}</option>
-                              ))}
-                            </select>
-                            {columnMappings.levels.length > 1 && (
-                              <button
-                                onClick={() => removeLevel(index)}
-                                className="text-red-500 hover:text-red-700 p-1"
+                    {columnMappings.levels.map((level, index) => {
+                      // Get available columns (exclude already selected ones and midColumn)
+                      const availableColumns = mappingColumns.filter(col => {
+                        const isSelectedInOtherLevels = columnMappings.levels.some((l, i) => i !== index && l === col)
+                        const isMidColumn = col === columnMappings.midColumn
+                        return !isSelectedInOtherLevels && !isMidColumn
+                      })
+                      
+                      return (
+                        <div key={index} className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200">
+                          <div className="space-y-3">
+                            <div className="flex items-center space-x-2">
+                              <span className="text-xs font-medium text-gray-500 w-8">Level {index + 1}</span>
+                              <select 
+                                className="flex-1 px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                value={level}
+                                onChange={(e) => updateLevel(index, e.target.value)}
                               >
-                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                                </svg>
-                              </button>
-                            )}
-                          </div>
-                          
-                          {/* Alias Input - Hidden */}
-                          <div className="hidden flex items-center space-x-2">
-                            <span className="text-xs font-medium text-gray-500 w-8">Alias</span>
-                            <input
-                              type="text"
-                              className="flex-1 px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                              placeholder="Alias (optional)"
-                              value={columnMappings.levelAliases[level] || ''}
-                              onChange={(e) => updateLevelAlias(level, e.target.value)}
-                            />
+                                <option value="">Select column...</option>
+                                {availableColumns.map((column, colIndex) => (
+                                  <option key={colIndex} value={column}>{column}</option>
+                                ))}
+                              </select>
+                              {columnMappings.levels.length > 1 && (
+                                <button
+                                  onClick={() => removeLevel(index)}
+                                  className="text-red-500 hover:text-red-700 p-1"
+                                >
+                                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                  </svg>
+                                </button>
+                              )}
+                            </div>
+                            
+                            {/* Alias Input - Hidden */}
+                            <div className="hidden flex items-center space-x-2">
+                              <span className="text-xs font-medium text-gray-500 w-8">Alias</span>
+                              <input
+                                type="text"
+                                className="flex-1 px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                placeholder="Alias (optional)"
+                                value={columnMappings.levelAliases[level] || ''}
+                                onChange={(e) => updateLevelAlias(level, e.target.value)}
+                              />
+                            </div>
                           </div>
                         </div>
-                      </div>
-                    )
-                  })}
-                </div>
+                      )
+                    })}
+                  </div>
+                )}
 
                 {/* MID Column Mapping */}
                 <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200">
@@ -501,15 +1076,17 @@ function App() {
                     value={columnMappings.midColumn || ''}
                     onChange={(e) => handleColumnMappingChange('midColumn', e.target.value)}
                   >
-                    <option value="">Use last level as MID</option>
+                    <option value="">{isParentChildMode ? 'Use account ID as MID' : 'Use last level as MID'}</option>
                     {columns
-                      .filter(col => !columnMappings.levels.includes(col))
+                      .filter(col => isParentChildMode || !columnMappings.levels.includes(col))
                       .map((column, index) => (
                         <option key={index} value={column}>{column}</option>
                       ))}
                   </select>
                   <p className="text-xs text-gray-500 mt-1">
-                    If not set, the last Level is treated as MID.
+                    {isParentChildMode
+                      ? 'If not set, accounts without children are treated as MIDs.'
+                      : 'If not set, the last Level is treated as MID.'}
                   </p>
                   {isMidColumnInLevels() && (
                     <p className="text-xs text-red-600 mt-1">
@@ -518,26 +1095,111 @@ function App() {
                   )}
                 </div>
                 
+                {/* Measure Columns */}
+                <div className="space-y-3 mt-4">
+                  <div className="flex items-center justify-between">
+                    <label className="text-xs font-medium text-gray-600">Measures (optional)</label>
+                    <button
+                      onClick={addMeasure}
+                      className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 hover:text-blue-700 rounded-lg border border-blue-200 hover:border-blue-300 transition-all duration-200 shadow-sm hover:shadow-md"
+                    >
+                      <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                      </svg>
+                      Add Measure
+                    </button>
+                  </div>
+
+                  {columnMappings.measures.map((measure, index) => (
+                    <div key={index} className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200">
+                      <div className="flex items-center space-x-2">
+                        <select
+                          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          value={measure.column}
+                          onChange={(e) => updateMeasure(index, 'column', e.target.value)}
+                        >
+                          <option value="">Select column...</option>
+                          {mappingColumns.map((column, colIndex) => (
+                            <option key={colIndex} value={column}>
+                              {column}{numericColumns.includes(column) ? '' : ' (text)'}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          className="w-36 px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          value={measure.aggregation}
+                          onChange={(e) => updateMeasure(index, 'aggregation', e.target.value)}
+                        >
+                          {AGGREGATIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => removeMeasure(index)}
+                          className="text-red-500 hover:text-red-700 p-1"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {/* Row Filters */}
+                {parsedData.length > 0 && (
+                  <div className="mt-4">
+                    <label className="block text-xs font-medium text-gray-600 mb-2">
+                      Row filters (optional)
+                    </label>
+                    <RowFilterBuilder
+                      rowFilters={columnMappings.rowFilters}
+                      columns={mappingColumns}
+                      rows={joinedRows}
+                      matchedCount={hierarchyRows.length}
+                      onChange={setRowFilters}
+                    />
+                  </div>
+                )}
+                
                 {/* Mapping Status */}
                 {parsedData.length > 0 && (
                   <div className="mt-4 p-3 bg-blue-50 rounded-2xl border border-blue-200">
                     <h4 className="text-xs font-medium text-blue-800 mb-2">Current Mappings:</h4>
                     <div className="text-xs text-blue-700 space-y-1">
-                      <div>
-                        <span className="font-medium">Levels:</span> [
-                        {columnMappings.levels.length > 0 
-                          ? columnMappings.levels.map(level => {
-                              const alias = columnMappings.levelAliases[level]
-                              return alias ? `${level} → ${alias}` : level
-                            }).join(' > ')
-                          : 'None selected'
-                        }]
-                      </div>
+                      {isParentChildMode ? (
+                        <div>
+                          <span className="font-medium">Links:</span> {columnMappings.idColumn || '(no ID)'} → {columnMappings.parentColumn || '(no parent)'}
+                          {columnMappings.labelColumn && ` (label: ${columnMappings.labelColumn})`}
+                        </div>
+                      ) : (
+                        <div>
+                          <span className="font-medium">Levels:</span> [
+                          {columnMappings.levels.length > 0 
+                            ? columnMappings.levels.map(level => {
+                                const alias = columnMappings.levelAliases[level]
+                                return alias ? `${level} → ${alias}` : level
+                              }).join(' > ')
+                            : 'None selected'
+                          }]
+                        </div>
+                      )}
+                      {activeMeasures.length > 0 && (
+                        <div>
+                          <span className="font-medium">Measures:</span> {activeMeasures.map(measureLabel).join(', ')}
+                        </div>
+                      )}
+                      {activeConditions(columnMappings.rowFilters).length > 0 && (
+                        <div>
+                          <span className="font-medium">Filters:</span> {activeConditions(columnMappings.rowFilters).length} ({columnMappings.rowFilters.combinator === 'or' ? 'any' : 'all'}), {hierarchyRows.length.toLocaleString()} of {joinedRows.length.toLocaleString()} rows
+                        </div>
+                      )}
                       <div>
                         <span className="font-medium">MID:</span> {
                           columnMappings.midColumn 
                             ? columnMappings.midColumn 
-                            : '(last level)'
+                            : isParentChildMode ? '(account ID)' : '(last level)'
                         }
                       </div>
                       {hasDuplicateSelections() && (
@@ -549,6 +1211,52 @@ function App() {
                   </div>
                 )}
                 
+                {/* Value Normalization */}
+                {parsedData.length > 0 && (() => {
+                  const transformColumns = isParentChildMode
+                    ? [columnMappings.labelColumn].filter(Boolean)
+                    : columnMappings.levels.filter(Boolean)
+                  if (transformColumns.length === 0) return null
+                  return (
+                    <div className="mt-4">
+                      <label className="block text-xs font-medium text-gray-600 mb-2">
+                        Value normalization
+                      </label>
+                      <LevelTransformsEditor
+                        rows={hierarchyRows}
+                        columns={transformColumns}
+                        levelTransforms={columnMappings.levelTransforms}
+                        onChange={setLevelTransform}
+                      />
+                    </div>
+                  )
+                })()}
+
+                {/* Sort Order */}
+                {parsedData.length > 0 && (() => {
+                  const sortColumns = isParentChildMode
+                    ? [adjacencySortColumn(columnMappings)].filter(Boolean)
+                    : columnMappings.levels.filter(Boolean)
+                  if (sortColumns.length === 0) return null
+                  return (
+                    <div className="mt-4">
+                      <label className="block text-xs font-medium text-gray-600 mb-2">
+                        Sort order
+                      </label>
+                      <LevelSortEditor
+                        columns={sortColumns}
+                        nodes={memoizedHierarchyData?.children || []}
+                        isParentChildMode={isParentChildMode}
+                        measures={activeMeasures}
+                        levelSorts={columnMappings.levelSorts}
+                        midSort={columnMappings.midSort}
+                        onChange={setLevelSort}
+                        onMidSortChange={setMidSort}
+                      />
+                    </div>
+                  )
+                })()}
+
                 {/* Validation Messages */}
                 {parsedData.length > 0 && (() => {
                   const validation = validateMapping()
@@ -574,14 +1282,112 @@ function App() {
                   )
                 })()}
 
+                {/* Data Quality Report */}
+                {memoizedHierarchyData && (
+                  <div className="mt-6">
+                    <h3 className="text-sm font-medium text-gray-700 mb-3">Data Quality</h3>
+                    <DataQualityReport
+                      findings={qualityFindings}
+                      levelAliases={memoizedLevelAliases}
+                      onSelectPath={handleRevealNode}
+                    />
+                  </div>
+                )}
+
+                {/* Snapshot Comparison */}
+                {memoizedHierarchyData && (
+                  <div className="mt-6">
+                    <h3 className="text-sm font-medium text-gray-700 mb-3">Compare Snapshots</h3>
+                    <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200 space-y-3">
+                      <input
+                        id="comparison-upload"
+                        type="file"
+                        accept={SUPPORTED_EXTENSIONS.join(',')}
+                        onChange={handleComparisonUpload}
+                        className="hidden"
+                      />
+                      {!comparison ? (
+                        <>
+                          <p className="text-xs text-gray-500">
+                            Load another export with the same columns to see what changed. The current mapping is applied to both files.
+                          </p>
+                          <button
+                            onClick={() => document.getElementById('comparison-upload').click()}
+                            className="px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg border border-blue-200 transition-all duration-200"
+                          >
+                            Load snapshot to compare
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <div className="flex items-center justify-between gap-2">
+                            <span className="text-sm text-gray-800 truncate" title={comparison.fileName}>{comparison.fileName}</span>
+                            <button
+                              onClick={handleClearComparison}
+                              className="px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg border border-red-200 transition-all duration-200"
+                            >
+                              {comparisonParser.isLoading ? 'Cancel' : 'Remove'}
+                            </button>
+                          </div>
+                          {comparisonParser.isLoading && comparisonParser.progress && (
+                            <p className="text-xs text-gray-500">
+                              Parsing... {comparisonParser.progress.rows.toLocaleString()} rows
+                            </p>
+                          )}
+                          {comparisonParser.sheetNames.length > 1 && (
+                            <select
+                              className="w-full px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              value={comparisonParser.selectedSheet}
+                              disabled={comparisonParser.isLoading}
+                              onChange={(e) => comparisonParser.selectSheet(e.target.value)}
+                            >
+                              {comparisonParser.sheetNames.map((sheetName) => (
+                                <option key={sheetName} value={sheetName}>{sheetName}</option>
+                              ))}
+                            </select>
+                          )}
+                          {comparison.data.length > 0 && (
+                            <div className="space-y-1">
+                              <label className="flex items-center gap-2 text-sm text-gray-700">
+                                <input
+                                  type="radio"
+                                  checked={comparisonIsBaseline}
+                                  onChange={() => setComparisonIsBaseline(true)}
+                                />
+                                This file is the older snapshot
+                              </label>
+                              <label className="flex items-center gap-2 text-sm text-gray-700">
+                                <input
+                                  type="radio"
+                                  checked={!comparisonIsBaseline}
+                                  onChange={() => setComparisonIsBaseline(false)}
+                                />
+                                This file is the newer snapshot
+                              </label>
+                            </div>
+                          )}
+                          {comparisonMissingColumns.length > 0 && (
+                            <p className="text-sm text-red-600">
+                              Missing mapped columns: {comparisonMissingColumns.join(', ')}
+                            </p>
+                          )}
+                        </>
+                      )}
+                      {comparisonError && (
+                        <p className="text-sm text-red-600">{comparisonError}</p>
+                      )}
+                    </div>
+                  </div>
+                )}
+
                 <div className="mt-6">
                   <button 
                     className={`w-full py-3 px-4 rounded-2xl text-sm font-medium transition-all duration-200 shadow-sm ${
-                      parsedData.length > 0 && columnMappings.levels.length > 0 && !hasDuplicateSelections() && !isMidColumnInLevels()
+                      parsedData.length > 0 && isMappingComplete() && !hasDuplicateSelections() && !isMidColumnInLevels()
                         ? 'bg-blue-600 hover:bg-blue-700 text-white shadow-lg hover:shadow-xl' 
                         : 'bg-gray-300 text-gray-500 cursor-not-allowed'
                     }`}
-                    disabled={parsedData.length === 0 || columnMappings.levels.length === 0 || hasDuplicateSelections() || isMidColumnInLevels()}
+                    disabled={parsedData.length === 0 || !isMappingComplete() || hasDuplicateSelections() || isMidColumnInLevels()}
                     onClick={handleGenerateVisualization}
                   >
                     Generate Visualization
@@ -599,20 +1405,118 @@ function App() {
             transition={{ duration: 0.5, delay: 0.5 }}
           >
             <div className="flex flex-col h-full">
-              <div className="mb-6">
-                <h2 className="text-xl font-semibold text-gray-900 mb-2">Hierarchy Preview</h2>
-                <p className="text-sm text-gray-600">Interactive visualization of your data</p>
+              <div className="mb-6 flex items-start justify-between gap-4">
+                <div>
+                  <h2 className="text-xl font-semibold text-gray-900 mb-2">Hierarchy Preview</h2>
+                  <p className="text-sm text-gray-600">Interactive visualization of your data</p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {memoizedHierarchyData && (
+                    <button
+                      onClick={handleCopyLink}
+                      className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border transition-all duration-200 shadow-sm text-blue-600 bg-blue-50 hover:bg-blue-100 hover:text-blue-700 border-blue-200 hover:border-blue-300 hover:shadow-md"
+                      title="Copy a link that restores this mapping and view"
+                    >
+                      {linkCopied ? 'Copied' : 'Copy link'}
+                    </button>
+                  )}
+                  {memoizedHierarchyData && (
+                    <button
+                      onClick={() => {
+                        setIsEditing(prev => !prev)
+                        setEditError('')
+                      }}
+                      disabled={mappingUsesJoinedColumns}
+                      aria-pressed={isRestructuring}
+                      className={`inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border transition-all duration-200 shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed ${
+                        isRestructuring
+                          ? 'text-amber-700 bg-amber-100 hover:bg-amber-200 border-amber-300'
+                          : 'text-blue-600 bg-blue-50 hover:bg-blue-100 hover:text-blue-700 border-blue-200 hover:border-blue-300'
+                      }`}
+                      title={mappingUsesJoinedColumns
+                        ? 'Restructuring changes the uploaded columns; remove joined attribute levels first'
+                        : 'Move, rename and add nodes, then export the modified file'}
+                    >
+                      {isRestructuring ? 'Done editing' : 'Edit structure'}
+                    </button>
+                  )}
+                  <ExportMenu
+                    hierarchyData={memoizedHierarchyData}
+                    selectedPath={selectedPath}
+                    levelAliases={memoizedLevelAliases}
+                    midLabel={columnMappings.midColumn || 'MID'}
+                    measures={activeMeasures}
+                  />
+                </div>
               </div>
               
-              {/* Visualization Container */}
-              <div className="flex-1 border border-gray-200 rounded-2xl overflow-hidden shadow-sm">
-                <HierarchyTree 
-                  key={`hierarchy-${JSON.stringify(columnMappings.levels)}-${columnMappings.midColumn}`}
-                  hierarchyData={memoizedHierarchyData} 
+              {hierarchyDiff && (
+                <div className="mb-4 inline-flex rounded-xl border border-gray-200 bg-gray-50 p-1 self-start">
+                  {[
+                    { value: 'hierarchy', label: 'Hierarchy' },
+                    { value: 'changes', label: 'Changes' }
+                  ].map(tab => (
+                    <button
+                      key={tab.value}
+                      onClick={() => setPreviewTab(tab.value)}
+                      className={`px-3 py-1.5 text-xs font-medium rounded-lg transition-all duration-200 ${
+                        previewTab === tab.value ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                      }`}
+                    >
+                      {tab.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {isRestructuring && memoizedHierarchyData && (
+                <RestructureToolbar
+                  changes={changeSet.changes}
+                  canUndo={changeSet.canUndo}
+                  canRedo={changeSet.canRedo}
+                  onUndo={changeSet.undo}
+                  onRedo={changeSet.redo}
+                  onDiscard={handleDiscardChanges}
+                  selectedPath={selectedPath}
                   levelAliases={memoizedLevelAliases}
-                  expandedNodes={expandedNodes}
-                  onToggleExpanded={memoizedToggleExpanded}
+                  onRename={(path, name) => handleEdit({ type: 'rename', path, name })}
+                  onAddChild={(parentPath, name) => handleEdit({ type: 'addNode', parentPath, name })}
+                  error={editError}
+                  onExportData={handleExportEditedData}
+                  onExportLog={handleExportChangeLog}
                 />
+              )}
+
+              {/* Visualization Container */}
+              <div className="flex-1 border border-gray-200 rounded-2xl overflow-hidden shadow-sm">
+                {hierarchyDiff && previewTab === 'changes' ? (
+                  <DiffTreeView
+                    diff={hierarchyDiff}
+                    levelAliases={memoizedLevelAliases}
+                    beforeLabel={comparisonIsBaseline ? comparison.fileName : fileName}
+                    afterLabel={comparisonIsBaseline ? fileName : comparison.fileName}
+                  />
+                ) : (
+                  <HierarchyTree 
+                    hierarchyData={memoizedHierarchyData} 
+                    levelAliases={memoizedLevelAliases}
+                    expandedNodes={expandedNodes}
+                    onToggleExpanded={memoizedToggleExpanded}
+                    onSetExpanded={setExpandedNodes}
+                    selectedPath={selectedPath}
+                    onSelectNode={handleSelectNode}
+                    measures={activeMeasures}
+                    sizeOptions={numericColumns}
+                    sizeBy={sizeBy}
+                    onSizeByChange={setSizeBy}
+                    viewSettings={viewSettings}
+                    onViewSettingsChange={handleViewSettingsChange}
+                    onShowDetails={handleShowDetails}
+                    editing={editing}
+                    midAttributes={midAttributes}
+                    attributeColumns={attributeColumns}
+                  />
+                )}
               </div>
             </div>
           </motion.div>
@@ -620,6 +1524,19 @@ function App() {
         </div>
       </main>
 
+      <AnimatePresence>
+        {detailTarget && (
+          <NodeDetailPanel
+            target={detailTarget}
+            rows={detailRows}
+            columns={mappingColumns}
+            mappedColumns={mappedColumns}
+            levelAliases={memoizedLevelAliases}
+            onClose={handleCloseDetails}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Footer */}
       <footer className="bg-white border-t border-gray-200">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
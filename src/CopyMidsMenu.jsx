@@ -0,0 +1,63 @@
+import React, { useState, useRef } from 'react'
+import useClickOutside from './hooks/useClickOutside'
+import { MID_COPY_FORMATS, collectSubtreeMids, formatMidList } from './utils/midLists'
+import { copyText } from './utils/clipboard'
+
+// "Copy all MIDs in this subtree" on a node header, one per line or comma
+// separated. Clicks stay inside so the header does not also select and toggle.
+const CopyMidsMenu = ({ node, label }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  // { count } after a copy, or { failed: true }, for two seconds
+  const [copyResult, setCopyResult] = useState(null)
+  const menuRef = useRef(null)
+
+  useClickOutside(menuRef, isOpen, () => setIsOpen(false))
+
+  const handleCopy = async (format) => {
+    const mids = collectSubtreeMids(node)
+    setIsOpen(false)
+    const copied = await copyText(formatMidList(mids, format))
+    setCopyResult(copied ? { count: mids.length } : { failed: true })
+    setTimeout(() => setCopyResult(null), 2000)
+  }
+
+  return (
+    <div className="relative" ref={menuRef} onClick={(event) => event.stopPropagation()}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        tabIndex={-1}
+        className="p-1 rounded-lg text-gray-400 hover:text-blue-600 hover:bg-blue-50 text-xs whitespace-nowrap"
+        title={`Copy all MIDs in ${label}`}
+        aria-label={`Copy all MIDs in ${label}`}
+      >
+        {copyResult?.failed ? (
+          <span className="px-1 text-red-600">Copy failed</span>
+        ) : copyResult ? (
+          <span className="px-1 text-green-600">Copied {copyResult.count.toLocaleString()}</span>
+        ) : (
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+          </svg>
+        )}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-44 bg-white rounded-xl shadow-lg border border-gray-200 p-1 z-20">
+          <div className="px-2 py-1 text-xs text-gray-500">Copy MIDs in subtree</div>
+          {MID_COPY_FORMATS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => handleCopy(option.value)}
+              className="w-full text-left px-2 py-1.5 text-sm text-gray-800 rounded-lg hover:bg-gray-50"
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CopyMidsMenu
@@ -0,0 +1,109 @@
+import React, { useState } from 'react'
+import { FINDING_TYPES, qualityReportToRows } from './utils/dataQuality'
+import { PATH_SEPARATOR } from './utils/hierarchyDiff'
+import { exportCsv } from './utils/exporters'
+
+// Findings and paths listed per group before "show all"
+const VISIBLE_FINDINGS = 20
+const VISIBLE_PATHS = 4
+
+const SEVERITY_STYLES = {
+  error: 'text-red-700 bg-red-100',
+  warning: 'text-yellow-800 bg-yellow-100'
+}
+
+const FindingGroup = ({ label, severity, findings, getDisplayLabel, onSelectPath }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [showAll, setShowAll] = useState(false)
+  const visibleFindings = showAll ? findings : findings.slice(0, VISIBLE_FINDINGS)
+
+  return (
+    <div className="border-b border-gray-100 last:border-b-0">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="w-full flex items-center justify-between gap-2 py-2 text-left"
+      >
+        <span className="text-sm text-gray-800">{label}</span>
+        <span className={`text-xs px-2 py-0.5 rounded-full ${SEVERITY_STYLES[severity]}`}>{findings.length}</span>
+      </button>
+      {isOpen && (
+        <div className="pb-2 space-y-2">
+          {visibleFindings.map((finding, index) => (
+            <div key={index} className="text-xs">
+              <div className="text-gray-700">{finding.description}</div>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {finding.paths.slice(0, VISIBLE_PATHS).map((path, pathIndex) => (
+                  <button
+                    key={pathIndex}
+                    onClick={() => onSelectPath(path)}
+                    className="px-2 py-0.5 rounded-lg bg-blue-50 text-blue-700 hover:bg-blue-100 truncate max-w-full"
+                    title="Show in tree"
+                  >
+                    {path.map(getDisplayLabel).join(PATH_SEPARATOR)}
+                  </button>
+                ))}
+                {finding.paths.length > VISIBLE_PATHS && (
+                  <span className="px-2 py-0.5 text-gray-500">+{finding.paths.length - VISIBLE_PATHS} more</span>
+                )}
+              </div>
+            </div>
+          ))}
+          {findings.length > VISIBLE_FINDINGS && (
+            <button
+              onClick={() => setShowAll(all => !all)}
+              className="text-xs font-medium text-blue-600 hover:text-blue-700"
+            >
+              {showAll ? 'Show fewer' : `Show all ${findings.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const DataQualityReport = ({ findings, levelAliases = {}, onSelectPath }) => {
+  const getDisplayLabel = (name) => levelAliases[name] || name
+
+  if (findings.length === 0) {
+    return (
+      <div className="p-3 bg-green-50 border border-green-200 rounded-2xl">
+        <p className="text-sm text-green-700">No data-quality problems found.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <span className="text-xs font-medium text-gray-600">
+          {findings.length} finding{findings.length === 1 ? '' : 's'}
+        </span>
+        <button
+          onClick={() => exportCsv(qualityReportToRows(findings), 'data-quality-report.csv')}
+          className="px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg border border-blue-200 transition-all duration-200"
+        >
+          Download report
+        </button>
+      </div>
+      <div className="max-h-72 overflow-auto">
+        {FINDING_TYPES.map(({ type, label, severity }) => {
+          const typeFindings = findings.filter(finding => finding.type === type)
+          if (typeFindings.length === 0) return null
+          return (
+            <FindingGroup
+              key={type}
+              label={label}
+              severity={severity}
+              findings={typeFindings}
+              getDisplayLabel={getDisplayLabel}
+              onSelectPath={onSelectPath}
+            />
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default DataQualityReport
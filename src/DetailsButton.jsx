@@ -0,0 +1,24 @@
+import React from 'react'
+
+// "Show details" action on a node header, opening the node's source rows. It
+// sits inside the clickable header, so its click must not also select and
+// toggle the node.
+const DetailsButton = ({ label, onClick }) => (
+  <button
+    type="button"
+    onClick={(event) => {
+      event.stopPropagation()
+      onClick()
+    }}
+    tabIndex={-1}
+    className="p-1 rounded-lg text-gray-400 hover:text-blue-600 hover:bg-blue-50"
+    title={`Show details for ${label} (Shift+Enter)`}
+    aria-label={`Show details for ${label}`}
+  >
+    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+    </svg>
+  </button>
+)
+
+export default DetailsButton
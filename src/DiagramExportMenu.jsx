@@ -0,0 +1,115 @@
+import React, { useState, useRef } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import useClickOutside from './hooks/useClickOutside'
+import {
+  DEFAULT_MID_LIMIT,
+  collectDiagramTree,
+  diagramToSvg,
+  diagramToPng,
+  diagramToPdf,
+  diagramToMermaid,
+  diagramToDot
+} from './utils/diagramExport'
+import { downloadFile } from './utils/exporters'
+
+const FORMATS = [
+  { format: 'svg', label: 'SVG', description: 'Vector image for docs and slides' },
+  { format: 'png', label: 'PNG', description: 'High-resolution image' },
+  { format: 'pdf', label: 'PDF', description: 'Slide-sized pages, continued as needed' },
+  { format: 'mermaid', label: 'Mermaid', description: 'Flowchart text for wikis' },
+  { format: 'dot', label: 'Graphviz DOT', description: 'Digraph text for architecture docs' }
+]
+
+// Diagram exports of the tree as currently shown: nodes are the (search
+// filtered) top-level nodes and only expanded branches are drawn. While a
+// subtree is in focus, rootNode is the focused node and basePath its path.
+const DiagramExportMenu = ({ rootNode, nodes, expandedNodes, getDisplayLabel, basePath = [] }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [midLimit, setMidLimit] = useState(DEFAULT_MID_LIMIT)
+  const [isExporting, setIsExporting] = useState(false)
+  const [error, setError] = useState('')
+  const menuRef = useRef(null)
+
+  useClickOutside(menuRef, isOpen, () => setIsOpen(false))
+
+  const handleExport = async (format) => {
+    const tree = collectDiagramTree(rootNode, nodes, expandedNodes, { getLabel: getDisplayLabel, midLimit, basePath })
+    setError('')
+    setIsExporting(true)
+    try {
+      if (format === 'svg') {
+        downloadFile(diagramToSvg(tree), 'hierarchy.svg', 'image/svg+xml')
+      } else if (format === 'png') {
+        downloadFile(await diagramToPng(tree), 'hierarchy.png', 'image/png')
+      } else if (format === 'pdf') {
+        downloadFile(await diagramToPdf(tree), 'hierarchy.pdf', 'application/pdf')
+      } else if (format === 'mermaid') {
+        downloadFile(diagramToMermaid(tree), 'hierarchy.mmd', 'text/plain;charset=utf-8')
+      } else {
+        downloadFile(diagramToDot(tree), 'hierarchy.dot', 'text/vnd.graphviz;charset=utf-8')
+      }
+      setIsOpen(false)
+    } catch (exportError) {
+      setError(exportError.message)
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="px-2 py-1 border border-gray-300 rounded-lg bg-white hover:bg-gray-50"
+        title="Export the tree as shown as a diagram"
+      >
+        Diagram ▾
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 mt-2 w-64 bg-white rounded-2xl shadow-lg border border-gray-200 p-3 z-20"
+          >
+            <p className="text-xs text-gray-500 mb-3">
+              Exports expanded branches only, and only search results while searching.
+            </p>
+            <label className="flex items-center justify-between gap-2 mb-3 text-xs font-medium text-gray-600">
+              MIDs per leaf
+              <input
+                type="number"
+                min={0}
+                value={midLimit}
+                onChange={(e) => setMidLimit(Math.max(0, Number.parseInt(e.target.value, 10) || 0))}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                title="Longer MID lists end in “… N more”; 0 leaves MIDs out"
+              />
+            </label>
+
+            <div className="text-xs font-medium text-gray-600 mb-2">Format</div>
+            <div className="space-y-1">
+              {FORMATS.map(option => (
+                <button
+                  key={option.format}
+                  onClick={() => handleExport(option.format)}
+                  disabled={isExporting}
+                  className="w-full text-left px-3 py-2 rounded-xl hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  <div className="text-sm text-gray-900">{option.label}</div>
+                  <div className="text-xs text-gray-500">{option.description}</div>
+                </button>
+              ))}
+            </div>
+            {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default DiagramExportMenu
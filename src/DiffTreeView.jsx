@@ -0,0 +1,212 @@
+import React, { useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { diffToReportRows, PATH_SEPARATOR } from './utils/hierarchyDiff'
+import { exportCsv, exportXlsx } from './utils/exporters'
+
+const STATUS_STYLES = {
+  added: { label: 'Added', card: 'border-green-300 bg-green-50/40', badge: 'text-green-700 bg-green-100' },
+  removed: { label: 'Removed', card: 'border-red-300 bg-red-50/40', badge: 'text-red-700 bg-red-100' },
+  changed: { label: 'Changed', card: 'border-amber-300', badge: 'text-amber-700 bg-amber-100' },
+  unchanged: { label: 'Unchanged', card: 'border-gray-200', badge: 'text-gray-500 bg-gray-100' }
+}
+
+const MID_CHANGE_STYLES = {
+  added: 'text-green-800 bg-green-100',
+  removed: 'text-red-800 bg-red-100 line-through',
+  movedIn: 'text-amber-800 bg-amber-100',
+  movedOut: 'text-gray-500 bg-gray-100 line-through'
+}
+
+const formatCountChange = (before, after) => {
+  if (before === after) return `${after}`
+  const delta = after - before
+  return `${before} → ${after} (${delta > 0 ? '+' : ''}${delta})`
+}
+
+const describeMidChange = (change) => {
+  if (change.type === 'movedIn') return `Moved here from ${change.fromPath.join(PATH_SEPARATOR)}`
+  if (change.type === 'movedOut') return `Moved to ${change.toPath.join(PATH_SEPARATOR)}`
+  return change.type === 'added' ? 'New MID' : 'MID no longer present'
+}
+
+const DiffNode = ({ node, depth, hideUnchanged, expandedOverrides, onToggle, getDisplayLabel }) => {
+  const pathKey = node.namePath.join('\u0000')
+  const visibleChildren = (node.children || []).filter(child => !hideUnchanged || child.status !== 'unchanged')
+  const hasChildren = visibleChildren.length > 0
+  // Branches with changes inside start open; whole added, removed or unchanged subtrees start closed
+  const isExpanded = expandedOverrides[pathKey] ?? node.status === 'changed'
+  const style = STATUS_STYLES[node.status]
+
+  return (
+    <div className={`${depth > 0 ? 'pl-4' : ''}`}>
+      <div className={`bg-white rounded-2xl shadow-sm border mb-2 ${style.card}`}>
+        <div
+          className={`flex items-center p-4 ${hasChildren ? 'cursor-pointer hover:bg-gray-50' : ''} transition-colors`}
+          onClick={() => hasChildren && onToggle(pathKey, !isExpanded)}
+        >
+          <div className="flex items-center flex-1 flex-wrap gap-y-1">
+            {hasChildren && (
+              <motion.div
+                animate={{ rotate: isExpanded ? 90 : 0 }}
+                transition={{ duration: 0.2 }}
+                className="mr-3"
+              >
+                <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                </svg>
+              </motion.div>
+            )}
+            <span className={`font-semibold ${node.status === 'removed' ? 'text-gray-500 line-through' : 'text-gray-900'}`}>
+              {getDisplayLabel(node.name)}
+            </span>
+            <span className={`ml-2 text-xs px-2 py-1 rounded-full ${style.badge}`}>{style.label}</span>
+            <span className="ml-2 text-xs text-gray-500 bg-blue-100 px-2 py-1 rounded-full">
+              {formatCountChange(node.countBefore, node.countAfter)}
+            </span>
+          </div>
+        </div>
+
+        {node.midChanges.length > 0 && (
+          <div className="px-4 pb-4">
+            <div className="flex flex-wrap gap-1">
+              {node.midChanges.map(change => (
+                <span
+                  key={`${change.type}-${change.mid}`}
+                  className={`text-xs font-mono px-2 py-1 rounded-lg ${MID_CHANGE_STYLES[change.type]}`}
+                  title={describeMidChange(change)}
+                >
+                  {change.type === 'movedIn' && '↪ '}
+                  {change.mid}
+                </span>
+              ))}
+            </div>
+            {node.unchangedMidCount > 0 && (
+              <p className="text-xs text-gray-500 mt-2">{node.unchangedMidCount} unchanged MIDs</p>
+            )}
+          </div>
+        )}
+
+        {hasChildren && (
+          <AnimatePresence>
+            {isExpanded && (
+              <motion.div
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+                transition={{ duration: 0.3 }}
+                className="border-t border-gray-100"
+              >
+                <div className="p-4 space-y-2">
+                  {visibleChildren.map(child => (
+                    <DiffNode
+                      key={child.name}
+                      node={child}
+                      depth={depth + 1}
+                      hideUnchanged={hideUnchanged}
+                      expandedOverrides={expandedOverrides}
+                      onToggle={onToggle}
+                      getDisplayLabel={getDisplayLabel}
+                    />
+                  ))}
+                </div>
+              </motion.div>
+            )}
+          </AnimatePresence>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const DiffTreeView = ({ diff, levelAliases = {}, beforeLabel, afterLabel }) => {
+  const [hideUnchanged, setHideUnchanged] = useState(true)
+  // Only nodes the user toggled are stored; the rest follow their status
+  const [expandedOverrides, setExpandedOverrides] = useState({})
+
+  const getDisplayLabel = (name) => levelAliases[name] || name
+
+  const handleToggle = (pathKey, expanded) => {
+    setExpandedOverrides(prev => ({ ...prev, [pathKey]: expanded }))
+  }
+
+  const handleExport = (format) => {
+    const table = diffToReportRows(diff.root)
+    if (format === 'csv') {
+      exportCsv(table, 'hierarchy-changes.csv')
+    } else {
+      exportXlsx(table, 'hierarchy-changes.xlsx', 'Changes')
+    }
+  }
+
+  const { summary } = diff
+  const topLevel = (diff.root.children || []).filter(child => !hideUnchanged || child.status !== 'unchanged')
+  const hasChanges = diff.root.status !== 'unchanged'
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="p-4 border-b border-gray-200 bg-gray-50 space-y-3">
+        <div className="text-xs text-gray-600">
+          Comparing <span className="font-medium text-gray-800">{beforeLabel}</span> → <span className="font-medium text-gray-800">{afterLabel}</span>
+        </div>
+        <div className="flex flex-wrap gap-2 text-xs">
+          <span className="px-2 py-1 rounded-full text-green-700 bg-green-100">{summary.nodesAdded} nodes added</span>
+          <span className="px-2 py-1 rounded-full text-red-700 bg-red-100">{summary.nodesRemoved} nodes removed</span>
+          <span className="px-2 py-1 rounded-full text-amber-700 bg-amber-100">{summary.nodesChanged} nodes changed</span>
+          <span className="px-2 py-1 rounded-full text-green-700 bg-green-50">{summary.midsAdded} MIDs added</span>
+          <span className="px-2 py-1 rounded-full text-red-700 bg-red-50">{summary.midsRemoved} MIDs removed</span>
+          <span className="px-2 py-1 rounded-full text-amber-700 bg-amber-50">{summary.midsMoved} MIDs moved</span>
+        </div>
+        <div className="flex items-center justify-between gap-2">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={hideUnchanged}
+              onChange={(e) => setHideUnchanged(e.target.checked)}
+            />
+            Hide unchanged branches
+          </label>
+          <div className="flex gap-2">
+            {['csv', 'xlsx'].map(format => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={!hasChanges}
+                className={`px-3 py-1.5 text-xs font-medium rounded-lg border transition-all duration-200 ${
+                  hasChanges
+                    ? 'text-blue-600 bg-blue-50 hover:bg-blue-100 border-blue-200'
+                    : 'text-gray-400 bg-gray-100 border-gray-200 cursor-not-allowed'
+                }`}
+              >
+                Report ({format === 'csv' ? 'CSV' : 'Excel'})
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto p-4">
+        {!hasChanges ? (
+          <div className="text-center text-sm text-gray-500 py-12">
+            No differences between the two snapshots.
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {topLevel.map(node => (
+              <DiffNode
+                key={node.name}
+                node={node}
+                depth={0}
+                hideUnchanged={hideUnchanged}
+                expandedOverrides={expandedOverrides}
+                onToggle={handleToggle}
+                getDisplayLabel={getDisplayLabel}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default DiffTreeView
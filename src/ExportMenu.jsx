@@ -0,0 +1,128 @@
+import React, { useState, useRef } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import useClickOutside from './hooks/useClickOutside'
+import { findNodeByPath } from './utils/hierarchy'
+import { hierarchyToJson, flattenHierarchyToRows, exportJson, exportCsv, exportXlsx } from './utils/exporters'
+
+const toFileSlug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'node'
+
+const ExportMenu = ({ hierarchyData, selectedPath = [], levelAliases = {}, midLabel = 'MID', measures = [] }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [scope, setScope] = useState('all')
+  const menuRef = useRef(null)
+
+  useClickOutside(menuRef, isOpen, () => setIsOpen(false))
+
+  const selectedNode = selectedPath.length > 0 && hierarchyData
+    ? findNodeByPath(hierarchyData, selectedPath)
+    : null
+  const exportScope = scope === 'selected' && selectedNode ? 'selected' : 'all'
+
+  const getExportTarget = () => {
+    if (exportScope === 'selected') {
+      // Ancestors keep the full path in flat exports of a subtree
+      const ancestors = selectedPath.slice(0, -1).map((_, index) =>
+        findNodeByPath(hierarchyData, selectedPath.slice(0, index + 1))
+      )
+      return {
+        node: selectedNode,
+        ancestors,
+        isVirtualRoot: false,
+        baseName: `hierarchy-${toFileSlug(selectedNode.name)}`
+      }
+    }
+    return { node: hierarchyData, ancestors: [], isVirtualRoot: true, baseName: 'hierarchy' }
+  }
+
+  const handleExport = (format) => {
+    const { node, ancestors, isVirtualRoot, baseName } = getExportTarget()
+
+    if (format === 'json') {
+      exportJson(hierarchyToJson(node, ancestors.length + (isVirtualRoot ? 0 : 1)), `${baseName}.json`)
+    } else {
+      const table = flattenHierarchyToRows(node, { ancestors, isVirtualRoot, levelAliases, midLabel, measures })
+      if (format === 'csv') {
+        exportCsv(table, `${baseName}.csv`)
+      } else {
+        exportXlsx(table, `${baseName}.xlsx`)
+      }
+    }
+    setIsOpen(false)
+  }
+
+  const isDisabled = !hierarchyData
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        disabled={isDisabled}
+        className={`inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border transition-all duration-200 shadow-sm ${
+          isDisabled
+            ? 'text-gray-400 bg-gray-100 border-gray-200 cursor-not-allowed'
+            : 'text-blue-600 bg-blue-50 hover:bg-blue-100 hover:text-blue-700 border-blue-200 hover:border-blue-300 hover:shadow-md'
+        }`}
+      >
+        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+        </svg>
+        Export
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 mt-2 w-64 bg-white rounded-2xl shadow-lg border border-gray-200 p-3 z-20"
+          >
+            <div className="text-xs font-medium text-gray-600 mb-2">Scope</div>
+            <div className="space-y-1 mb-3">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  checked={exportScope === 'all'}
+                  onChange={() => setScope('all')}
+                />
+                Whole hierarchy
+              </label>
+              <label className={`flex items-center gap-2 text-sm ${selectedNode ? 'text-gray-700' : 'text-gray-400'}`}>
+                <input
+                  type="radio"
+                  checked={exportScope === 'selected'}
+                  disabled={!selectedNode}
+                  onChange={() => setScope('selected')}
+                />
+                <span className="truncate">
+                  {selectedNode ? `Selected: ${selectedNode.name}` : 'Selected subtree (select a node)'}
+                </span>
+              </label>
+            </div>
+
+            <div className="text-xs font-medium text-gray-600 mb-2">Format</div>
+            <div className="space-y-1">
+              {[
+                { format: 'json', label: 'Nested JSON', description: 'Names, levels, counts, measures and MIDs' },
+                { format: 'csv', label: 'Flat CSV', description: 'One row per MID with its path' },
+                { format: 'xlsx', label: 'Flat Excel (.xlsx)', description: 'One row per MID with its path' }
+              ].map(option => (
+                <button
+                  key={option.format}
+                  onClick={() => handleExport(option.format)}
+                  className="w-full text-left px-3 py-2 rounded-xl hover:bg-gray-50 transition-colors"
+                >
+                  <div className="text-sm text-gray-900">{option.label}</div>
+                  <div className="text-xs text-gray-500">{option.description}</div>
+                </button>
+              ))}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default ExportMenu
@@ -0,0 +1,23 @@
+import React from 'react'
+
+// "Focus on this node" action on a branch header. It sits inside the clickable
+// header, so its click must not also select and toggle the node.
+const FocusButton = ({ label, onClick }) => (
+  <button
+    type="button"
+    onClick={(event) => {
+      event.stopPropagation()
+      onClick()
+    }}
+    tabIndex={-1}
+    className="p-1 rounded-lg text-gray-400 hover:text-blue-600 hover:bg-blue-50"
+    title={`Focus on ${label}`}
+    aria-label={`Focus on ${label}`}
+  >
+    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 8V4h4M20 8V4h-4M4 16v4h4M20 16v4h-4M12 12m-3 0a3 3 0 106 0a3 3 0 10-6 0" />
+    </svg>
+  </button>
+)
+
+export default FocusButton
@@ -1,104 +1,322 @@
-import React, { useState } from 'react'
+import React, { useState, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import VirtualTreeList from './VirtualTreeList'
+import OrgChartView from './OrgChartView'
+import ProportionView from './ProportionView'
+import { measureKey, measureLabel, formatMeasureValue } from './utils/measures'
+import { sortHierarchy, findNodeByPath } from './utils/hierarchy'
+import { countVisibleItems, listVisibleNodes, childKey, collectBranchKeys, branchDepth, pathExpansion, formatShare } from './utils/treeRows'
+import { parseSearchQuery, collectSearchFields, runSearch, highlightRanges } from './utils/searchQuery'
+import HighlightedText from './HighlightedText'
+import DiagramExportMenu from './DiagramExportMenu'
+import FocusButton from './FocusButton'
+import DetailsButton from './DetailsButton'
+import CopyMidsMenu from './CopyMidsMenu'
+import LeafMidList from './LeafMidList'
+import { nodeDragProps } from './utils/dragAndDrop'
+import { DEFAULT_VIEW_SETTINGS } from './utils/urlState'
 
-const HierarchyTree = React.memo(({ hierarchyData, levelAliases = {}, expandedNodes = {}, onToggleExpanded }) => {
-  const [searchQuery, setSearchQuery] = useState('')
-  const [originalExpandedState, setOriginalExpandedState] = useState({})
+// Above this many mounted cards and MID chips, switch to the windowed list
+const VIRTUALIZE_THRESHOLD = 1500
 
-  const isExpanded = (nodeKey) => expandedNodes[nodeKey] || false
+// Pause after which type-ahead starts a new prefix
+const TYPEAHEAD_RESET_MS = 500
+
+const EMPTY_PATH = []
+
+const EMPTY_OPTIONS = []
+
+// One card of the stacked view, with its children. It lives outside
+// HierarchyTree so re-renders keep it mounted: remounting would drop keyboard
+// focus. Shared state and callbacks arrive through `tree`.
+const TreeNode = ({ node, depth = 0, namePath = [node.name], setSize, positionInSet, tree }) => {
+  const nodeKey = namePath.join('\u0000')
+  const pathKey = nodeKey
+  const hasChildren = node.children && node.children.length > 0
+  const isLeaf = !hasChildren && node.mids
+  const isExpandedValue = Boolean(tree.expandedNodes[nodeKey])
+  const isSelected = pathKey === tree.selectedPathKey
+  const isFocused = pathKey === tree.focusedPathKey
+  const label = tree.getDisplayLabel(node.name)
+  const itemRef = useRef(null)
+  const [isDropTarget, setIsDropTarget] = useState(false)
+
+  // Follow keyboard focus while it is inside the tree
+  React.useEffect(() => {
+    if (isFocused && tree.hasFocus && document.activeElement !== itemRef.current) {
+      itemRef.current?.focus()
+    }
+  }, [isFocused, tree.hasFocus])
+
+  return (
+    <div className={`${depth > 0 ? `pl-${depth * 4}` : ''}`}>
+      <div
+        ref={itemRef}
+        role="treeitem"
+        aria-level={depth + 1}
+        aria-setsize={setSize}
+        aria-posinset={positionInSet}
+        aria-expanded={hasChildren ? isExpandedValue : undefined}
+        aria-selected={isSelected}
+        aria-label={`${label}, ${node.count || 0} ${isLeaf ? 'MIDs' : 'items'}`}
+        tabIndex={isFocused ? 0 : -1}
+        data-selected={isSelected || undefined}
+        onFocus={(e) => {
+          if (e.target === e.currentTarget) tree.onFocusItem(pathKey)
+        }}
+        className={`bg-white rounded-2xl shadow-sm border mb-2 focus:outline-none ${isSelected ? 'border-blue-400 ring-2 ring-blue-200' : 'border-gray-200'}`}
+      >
+        {/* Node Header */}
+        <div
+          data-active-hit={tree.isActiveHit(pathKey) || undefined}
+          className={`flex items-center p-4 cursor-pointer hover:bg-gray-50 transition-colors rounded-2xl ${tree.isActiveHit(pathKey) ? 'bg-yellow-50' : ''} ${
+            isDropTarget
+              ? 'ring-2 ring-inset ring-blue-400 bg-blue-50'
+              : isFocused && tree.hasFocus ? 'ring-2 ring-inset ring-blue-500' : ''
+          }`}
+          onClick={() => tree.onActivate(nodeKey, namePath, hasChildren)}
+          {...nodeDragProps(tree.dragAndDrop, namePath, label, setIsDropTarget)}
+        >
+          <div className="flex items-center flex-1 flex-wrap gap-y-1">
+            {hasChildren && (
+              <motion.div
+                animate={{ rotate: isExpandedValue ? 90 : 0 }}
+                transition={{ duration: 0.2 }}
+                className="mr-3"
+              >
+                <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                </svg>
+              </motion.div>
+            )}
+            <span className="font-semibold text-gray-900">
+              {tree.renderHighlighted(label, { target: 'name', level: node.level, pathKey })}
+            </span>
+            <span className="ml-2 text-xs text-gray-500 bg-blue-100 px-2 py-1 rounded-full">
+              {node.count || 0} {isLeaf ? 'MIDs' : 'items'}
+            </span>
+            {tree.focusTotal !== null && (
+              <span className="ml-2 text-xs text-gray-500" title="Share of the focused subtree's MIDs">
+                {formatShare(node.count, tree.focusTotal)}
+              </span>
+            )}
+            {tree.measures.map(measure => (
+              <span
+                key={measureKey(measure)}
+                className="ml-2 text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded-full"
+                title={measureLabel(measure)}
+              >
+                {measureLabel(measure)}: {formatMeasureValue(node.measures?.[measureKey(measure)])}
+              </span>
+            ))}
+          </div>
+          <div className="ml-2 flex items-center gap-1">
+            {hasChildren && (
+              <FocusButton label={label} onClick={() => tree.onFocusNode(namePath)} />
+            )}
+            <CopyMidsMenu node={node} label={label} />
+            {tree.onShowDetails && (
+              <DetailsButton label={label} onClick={() => tree.onShowDetails(namePath)} />
+            )}
+          </div>
+        </div>
+
+        {/* MIDs for leaf nodes */}
+        {isLeaf && node.mids && (
+          <LeafMidList node={node} namePath={namePath} pathKey={pathKey} tree={tree} />
+        )}
+
+        {/* Node Children */}
+        {hasChildren && (
+          <AnimatePresence>
+            {isExpandedValue && (
+              <motion.div
+                role="group"
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+                transition={{ duration: 0.3 }}
+                className="border-t border-gray-100"
+              >
+                <div className="p-4 space-y-2">
+                  {node.children.map((child, index) => (
+                    <TreeNode
+                      key={`${child.name}-${index}`}
+                      node={child}
+                      depth={depth + 1}
+                      namePath={[...namePath, child.name]}
+                      setSize={node.children.length}
+                      positionInSet={index + 1}
+                      tree={tree}
+                    />
+                  ))}
+                </div>
+              </motion.div>
+            )}
+          </AnimatePresence>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const HierarchyTree = React.memo(({ hierarchyData, levelAliases = {}, expandedNodes = {}, onToggleExpanded, onSetExpanded, selectedPath = EMPTY_PATH, onSelectNode, measures = EMPTY_OPTIONS, sizeOptions = EMPTY_OPTIONS, sizeBy = 'count', onSizeByChange, viewSettings = DEFAULT_VIEW_SETTINGS, onViewSettingsChange, onShowDetails, editing = null, midAttributes = null, attributeColumns = EMPTY_OPTIONS }) => {
+  // Search, view and sort live in App so they can be shared in the URL
+  const { searchQuery, viewMode, sortBy, sortDirection } = viewSettings
+  const updateViewSettings = (changes) => onViewSettingsChange?.(changes)
+  const selectedPathKey = selectedPath.join('\u0000')
+  // Expansion from before the current search, restored when it is cleared
+  const originalExpandedRef = useRef({})
+  // Latest expansion for effects that should not re-run on every toggle
+  const expandedNodesRef = useRef(expandedNodes)
+  expandedNodesRef.current = expandedNodes
+  const [activeHitIndex, setActiveHitIndex] = useState(-1)
+  const [focusedPathKey, setFocusedPathKey] = useState('')
+  const [treeHasFocus, setTreeHasFocus] = useState(false)
+  const cardsContainerRef = useRef(null)
+  const typeaheadRef = useRef({ text: '', time: 0 })
 
   // Helper function to get display label with alias
   const getDisplayLabel = (levelName) => {
     return levelAliases[levelName] || levelName
   }
 
-  // Recursive function to check if a node matches search query
-  const nodeMatchesSearch = (node, query) => {
-    if (!query.trim()) return true
-    
-    const lowerQuery = query.toLowerCase()
-    
-    // Check node name
-    if (node.name.toLowerCase().includes(lowerQuery)) {
-      return true
-    }
-    
-    // Check MIDs if present
-    if (node.mids) {
-      return node.mids.some(mid => mid.toLowerCase().includes(lowerQuery))
+  // Area of a leaf in the sunburst and treemap views
+  const getNodeValue = React.useCallback((node) => {
+    if (sizeBy === 'count') return node.count || 0
+    return node.measures?.[measureKey({ column: sizeBy, aggregation: 'sum' })] || 0
+  }, [sizeBy])
+
+  // 'levels' keeps the per-level order of the mapping; a measure that is no
+  // longer mapped falls back to it
+  const activeSortBy = sortBy === 'name' || sortBy === 'count' || measures.some(measure => measureKey(measure) === sortBy)
+    ? sortBy
+    : 'levels'
+
+  const sortedNodes = React.useMemo(() => {
+    if (!hierarchyData?.children) return []
+    // Builders already apply the mapping's level sorts
+    return activeSortBy === 'levels'
+      ? hierarchyData.children
+      : sortHierarchy(hierarchyData.children, activeSortBy, sortDirection)
+  }, [hierarchyData, activeSortBy, sortDirection])
+
+  // Focus mode shows one branch as the temporary root. The path is kept by
+  // name, so when remapping or editing removes the branch the focus falls
+  // back to its closest remaining ancestor
+  const [focusPath, setFocusPath] = useState(EMPTY_PATH)
+  const [scopeSearchToFocus, setScopeSearchToFocus] = useState(true)
+  const focus = React.useMemo(() => {
+    for (let length = focusPath.length; length > 0; length--) {
+      const namePath = focusPath.slice(0, length)
+      const node = findNodeByPath({ children: sortedNodes }, namePath)
+      if (node?.children?.length > 0) return { node, namePath }
     }
-    
-    // Check children recursively
-    if (node.children) {
-      return node.children.some(child => nodeMatchesSearch(child, query))
+    return null
+  }, [sortedNodes, focusPath])
+
+  const searchFields = React.useMemo(() => {
+    return collectSearchFields(hierarchyData?.children || [], levelAliases, attributeColumns)
+  }, [hierarchyData, levelAliases, attributeColumns])
+
+  // Parsed query, or { error } for a malformed one or an unknown field
+  const parsedQuery = React.useMemo(() => {
+    const query = parseSearchQuery(searchQuery)
+    if (!query || query.error) return query
+    const unknownTerm = query.terms.find(({ term }) => term.field && !searchFields.has(term.field))
+    if (unknownTerm) {
+      return { error: `Unknown field "${unknownTerm.term.field}". Use mid, name, a level or a MID attribute.` }
     }
-    
-    return false
+    return query
+  }, [searchQuery, searchFields])
+
+  // A search not scoped to the focus looks through the whole tree, so the
+  // focus steps aside while it runs
+  const isSearching = Boolean(parsedQuery && !parsedQuery.error)
+  const isFocusActive = Boolean(focus) && (!isSearching || scopeSearchToFocus)
+  const basePath = isFocusActive ? focus.namePath : EMPTY_PATH
+  const rootNodes = isFocusActive ? focus.node.children : sortedNodes
+  const rootNode = isFocusActive ? focus.node : hierarchyData
+
+  // Levels the expand-to-depth control offers
+  const expandableDepth = React.useMemo(() => branchDepth(rootNodes), [rootNodes])
+
+  // Expansion controls act inside the focused subtree and keep the way to it open
+  const expandWithinRoot = (expanded) => {
+    onSetExpanded({ ...pathExpansion(sortedNodes, basePath), ...expanded })
   }
 
-  // Recursive function to filter hierarchy data
-  const filterHierarchy = (nodes, query) => {
-    if (!query.trim()) return nodes
-    
-    return nodes.filter(node => {
-      const nodeMatches = nodeMatchesSearch(node, query)
-      
-      if (nodeMatches) {
-        return true
-      }
-      
-      // Check if any children match
-      if (node.children) {
-        const filteredChildren = filterHierarchy(node.children, query)
-        return filteredChildren.length > 0
-      }
-      
-      return false
-    }).map(node => {
-      if (node.children) {
-        return {
-          ...node,
-          children: filterHierarchy(node.children, query)
-        }
+  const searchResult = React.useMemo(() => {
+    if (!isSearching) return null
+    return runSearch(rootNodes, parsedQuery, levelAliases, midAttributes, basePath)
+  }, [isSearching, rootNodes, parsedQuery, levelAliases, midAttributes, basePath])
+
+  const filteredHierarchy = searchResult ? searchResult.filteredNodes : rootNodes
+  const activeHit = searchResult?.hits[activeHitIndex] || null
+
+  React.useEffect(() => {
+    setActiveHitIndex(-1)
+  }, [searchResult])
+
+  // Wrap-around navigation; opens the hit's branches and scrolls to it
+  const goToHit = (step) => {
+    const hitCount = searchResult?.hits.length || 0
+    if (hitCount === 0) return
+    const nextIndex = ((activeHitIndex + step) % hitCount + hitCount) % hitCount
+    const hit = searchResult.hits[nextIndex]
+    hit.ancestorKeys.forEach(nodeKey => {
+      if (!expandedNodes[nodeKey] && onToggleExpanded) {
+        onToggleExpanded(nodeKey)
       }
-      return node
     })
+    setActiveHitIndex(nextIndex)
+  }
+
+  React.useEffect(() => {
+    if (!activeHit) return
+    // Wait for the expand animation before measuring
+    const timer = setTimeout(() => {
+      cardsContainerRef.current?.querySelector('[data-active-hit]')?.scrollIntoView({ block: 'center', behavior: 'smooth' })
+    }, 350)
+    return () => clearTimeout(timer)
+  }, [activeHit])
+
+  // Name or MID text with the query's matches marked
+  const renderHighlighted = (text, { target, level, pathKey, mid }) => {
+    const isHit = target === 'mid'
+      ? searchResult?.midHits.get(pathKey)?.has(mid)
+      : searchResult?.nodeHits.has(pathKey)
+    if (!isHit) return text
+    return (
+      <HighlightedText
+        text={text}
+        ranges={highlightRanges(searchResult.positiveTerms, text, { target, level, levelAliases })}
+      />
+    )
   }
 
-  // Memoize filtered hierarchy to prevent unnecessary re-renders
-  const filteredHierarchy = React.useMemo(() => {
-    return hierarchyData?.children ? 
-      filterHierarchy(hierarchyData.children, searchQuery) : []
-  }, [hierarchyData, searchQuery])
+  const isActiveHit = (pathKey, mid) => Boolean(activeHit) && activeHit.pathKey === pathKey && activeHit.mid === mid
+
+  const visibleItemCount = React.useMemo(() => {
+    return countVisibleItems(filteredHierarchy, expandedNodes, basePath)
+  }, [filteredHierarchy, expandedNodes, basePath])
+
+  const isVirtualized = viewMode === 'cards' && visibleItemCount > VIRTUALIZE_THRESHOLD
 
   // Auto-expand nodes that contain search results
   React.useEffect(() => {
-    if (searchQuery.trim()) {
+    const expandedNodes = expandedNodesRef.current
+    if (searchResult) {
       // Save original state if this is the first search
-      setOriginalExpandedState(prev => {
-        if (Object.keys(prev).length === 0) {
-          return expandedNodes
-        }
-        return prev
-      })
-      
-      const newExpandedNodes = {}
-      
-      const expandMatchingNodes = (nodes, path = '') => {
-        nodes.forEach((node, index) => {
-          const nodeKey = path ? `${path}-${index}` : `root-${index}`
-          
-          if (node.children && node.children.length > 0) {
-            // Check if this node or any of its children match
-            if (nodeMatchesSearch(node, searchQuery)) {
-              newExpandedNodes[nodeKey] = true
-            }
-            expandMatchingNodes(node.children, nodeKey)
-          }
-        })
+      if (Object.keys(originalExpandedRef.current).length === 0) {
+        originalExpandedRef.current = expandedNodes
       }
       
-      expandMatchingNodes(filteredHierarchy)
+      // Open every branch above a hit
+      const newExpandedNodes = {}
+      searchResult.expandKeys.forEach(nodeKey => {
+        newExpandedNodes[nodeKey] = true
+      })
       
       // Only update if the new state is different
       const currentKeys = Object.keys(expandedNodes).sort()
@@ -122,6 +340,7 @@ const HierarchyTree = React.memo(({ hierarchyData, levelAliases = {}, expandedNo
       }
     } else {
       // Restore original state when search is cleared
+      const originalExpandedState = originalExpandedRef.current
       if (Object.keys(originalExpandedState).length > 0 && onToggleExpanded) {
         const currentKeys = Object.keys(expandedNodes).sort()
         const originalKeys = Object.keys(originalExpandedState).sort()
@@ -144,101 +363,217 @@ const HierarchyTree = React.memo(({ hierarchyData, levelAliases = {}, expandedNo
         }
       }
       
-      setOriginalExpandedState({})
+      originalExpandedRef.current = {}
     }
-  }, [searchQuery, filteredHierarchy, onToggleExpanded])
-
-  // Memoized TreeNode component to prevent unnecessary re-renders
-  const TreeNode = React.memo(({ node, depth = 0, path = '' }) => {
-    const nodeKey = path || `root-${node.name}`
-    const hasChildren = node.children && node.children.length > 0
-    const isLeaf = !hasChildren && node.mids
-    const isExpandedValue = isExpanded(nodeKey)
-    
-    // Memoize the click handler to prevent re-renders
-    const handleToggle = React.useCallback(() => {
-      if (hasChildren && onToggleExpanded) {
+  }, [searchResult, onToggleExpanded])
+
+  // Open the ancestors of the selected node, so a node picked from outside
+  // the tree (such as a data-quality finding) is revealed, then scroll to it.
+  // A node outside the focused subtree ends focus mode. It runs only when the
+  // selection changes, reading the rest of the tree state through refs
+  const revealRef = useRef(null)
+  revealRef.current = { selectedPath, basePath, sortedNodes, onToggleExpanded }
+  React.useEffect(() => {
+    const { selectedPath, basePath, sortedNodes, onToggleExpanded } = revealRef.current
+    const expandedNodes = expandedNodesRef.current
+    if (selectedPath.length > 0) {
+      setFocusedPathKey(selectedPathKey)
+    }
+    if (selectedPath.length === 0 || !onToggleExpanded) return
+    if (basePath.some((name, index) => selectedPath[index] !== name)) {
+      setFocusPath(EMPTY_PATH)
+    }
+    let nodes = sortedNodes
+    let nodeKey = ''
+    for (let depth = 0; depth < selectedPath.length - 1; depth++) {
+      const ancestor = nodes.find(node => node.name === selectedPath[depth])
+      if (!ancestor) return
+      nodeKey = childKey(nodeKey, ancestor.name)
+      if (!expandedNodes[nodeKey]) {
         onToggleExpanded(nodeKey)
       }
-    }, [hasChildren, nodeKey, onToggleExpanded])
-    
-    // Memoize the chevron rotation to prevent re-renders
-    const chevronRotation = React.useMemo(() => 
-      isExpandedValue ? 90 : 0, [isExpandedValue]
-    )
-    
-    return (
-      <div className={`${depth > 0 ? `pl-${depth * 4}` : ''}`}>
-        <div className="bg-white rounded-2xl shadow-sm border border-gray-200 mb-2">
-          {/* Node Header */}
-          <div 
-            className="flex items-center p-4 cursor-pointer hover:bg-gray-50 transition-colors"
-            onClick={handleToggle}
-          >
-            <div className="flex items-center flex-1">
-              {hasChildren && (
-                <motion.div
-                  animate={{ rotate: chevronRotation }}
-                  transition={{ duration: 0.2 }}
-                  className="mr-3"
-                >
-                  <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
-                  </svg>
-                </motion.div>
-              )}
-              <span className="font-semibold text-gray-900">{getDisplayLabel(node.name)}</span>
-              <span className="ml-2 text-xs text-gray-500 bg-blue-100 px-2 py-1 rounded-full">
-                {node.count || 0} {isLeaf ? 'MIDs' : 'items'}
-              </span>
-            </div>
-          </div>
+      nodes = ancestor.children || []
+    }
+    // Wait for the expand animation before measuring
+    const timer = setTimeout(() => {
+      cardsContainerRef.current?.querySelector('[data-selected]')?.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+    }, 350)
+    return () => clearTimeout(timer)
+  }, [selectedPathKey])
 
-          {/* MIDs for leaf nodes */}
-          {isLeaf && node.mids && (
-            <div className="px-4 pb-4">
-              <div className="flex flex-wrap gap-1">
-                {node.mids.map((mid, index) => (
-                  <span 
-                    key={index} 
-                    className="text-xs text-gray-700 font-mono bg-blue-50 px-2 py-1 rounded-lg"
-                  >
-                    {mid}
-                  </span>
-                ))}
-              </div>
-            </div>
-          )}
+  // Keyboard navigation follows the WAI-ARIA tree pattern over the nodes
+  // currently on screen, in display order
+  const visibleItems = React.useMemo(() => {
+    return listVisibleNodes(filteredHierarchy, expandedNodes, basePath)
+  }, [filteredHierarchy, expandedNodes, basePath])
 
-          {/* Node Children */}
-          {hasChildren && (
-            <AnimatePresence>
-              {isExpandedValue && (
-                <motion.div
-                  initial={{ opacity: 0, height: 0 }}
-                  animate={{ opacity: 1, height: 'auto' }}
-                  exit={{ opacity: 0, height: 0 }}
-                  transition={{ duration: 0.3 }}
-                  className="border-t border-gray-100"
-                >
-                  <div className="p-4 space-y-2">
-                    {node.children.map((child, index) => (
-                      <TreeNode 
-                        key={`${child.name}-${index}`}
-                        node={child} 
-                        depth={depth + 1}
-                        path={`${nodeKey}-${index}`}
-                      />
-                    ))}
-                  </div>
-                </motion.div>
-              )}
-            </AnimatePresence>
-          )}
-        </div>
-      </div>
-    )
-  })
+  // The focused node is remembered by name path. When filtering or collapsing
+  // hides it, focus falls back to its closest visible ancestor, then the top
+  const focusedIndex = React.useMemo(() => {
+    if (visibleItems.length === 0) return -1
+    const parts = focusedPathKey ? focusedPathKey.split('\u0000') : []
+    for (let length = parts.length; length > 0; length--) {
+      const ancestorKey = parts.slice(0, length).join('\u0000')
+      const index = visibleItems.findIndex(item => item.pathKey === ancestorKey)
+      if (index !== -1) return index
+    }
+    return 0
+  }, [visibleItems, focusedPathKey])
+
+  const focusedItem = visibleItems[focusedIndex]
+
+  const focusIndex = (index) => {
+    const item = visibleItems[index]
+    if (item) setFocusedPathKey(item.pathKey)
+  }
+
+  const activateNode = (nodeKey, namePath, hasChildren) => {
+    if (onSelectNode) {
+      onSelectNode(namePath)
+    }
+    if (hasChildren && onToggleExpanded) {
+      onToggleExpanded(nodeKey)
+    }
+  }
+
+  // Next node, after the focused one and wrapping around, whose label starts
+  // with the characters typed in quick succession
+  const typeahead = (character) => {
+    const now = Date.now()
+    const buffer = typeaheadRef.current
+    buffer.text = now - buffer.time > TYPEAHEAD_RESET_MS ? character : buffer.text + character
+    buffer.time = now
+    const prefix = buffer.text.toLowerCase()
+    // Repeating one character cycles through its matches
+    const start = buffer.text.length === 1 ? focusedIndex + 1 : focusedIndex
+    for (let offset = 0; offset < visibleItems.length; offset++) {
+      const index = (start + offset) % visibleItems.length
+      if (String(getDisplayLabel(visibleItems[index].node.name)).toLowerCase().startsWith(prefix)) {
+        focusIndex(index)
+        return
+      }
+    }
+  }
+
+  const handleTreeKeyDown = (event) => {
+    if (!focusedItem || event.altKey || event.ctrlKey || event.metaKey) return
+    if (['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(event.target.tagName)) return
+    switch (event.key) {
+      case 'ArrowDown':
+        focusIndex(focusedIndex + 1)
+        break
+      case 'ArrowUp':
+        focusIndex(focusedIndex - 1)
+        break
+      case 'ArrowRight':
+        if (focusedItem.hasChildren && !focusedItem.isExpanded) {
+          onToggleExpanded?.(focusedItem.key)
+        } else if (focusedItem.isExpanded) {
+          focusIndex(focusedIndex + 1)
+        }
+        break
+      case 'ArrowLeft':
+        if (focusedItem.isExpanded) {
+          onToggleExpanded?.(focusedItem.key)
+        } else {
+          focusIndex(focusedItem.parentIndex)
+        }
+        break
+      case 'Home':
+        focusIndex(0)
+        break
+      case 'End':
+        focusIndex(visibleItems.length - 1)
+        break
+      case 'Enter':
+        // Shift+Enter opens the details panel, like the header's details button
+        if (event.shiftKey) {
+          onShowDetails?.(focusedItem.namePath)
+          break
+        }
+        activateNode(focusedItem.key, focusedItem.namePath, focusedItem.hasChildren)
+        break
+      case ' ':
+        activateNode(focusedItem.key, focusedItem.namePath, focusedItem.hasChildren)
+        break
+      case '*':
+        // Expand every collapsed sibling of the focused node
+        visibleItems.forEach(item => {
+          if (item.parentIndex === focusedItem.parentIndex && item.hasChildren && !item.isExpanded) {
+            onToggleExpanded?.(item.key)
+          }
+        })
+        break
+      default:
+        if (event.key.length !== 1 || event.key.trim() === '') return
+        typeahead(event.key)
+    }
+    event.preventDefault()
+  }
+
+  // Spread onto the element with role="tree" in the card and windowed views
+  const treeProps = {
+    role: 'tree',
+    'aria-label': 'Hierarchy',
+    onKeyDown: handleTreeKeyDown,
+    onFocus: () => setTreeHasFocus(true),
+    onBlur: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setTreeHasFocus(false)
+    }
+  }
+
+  const focusedKey = focusedItem?.pathKey
+
+  const handleFocusNode = (namePath) => {
+    setFocusPath(namePath)
+    cardsContainerRef.current?.scrollTo({ top: 0 })
+  }
+
+  // While restructuring, nodes and MIDs can be dragged onto other nodes;
+  // editing validates and applies the move
+  const [dragItem, setDragItem] = useState(null)
+  const canDrop = (targetPath) => {
+    if (!dragItem || !editing) return false
+    return dragItem.mid !== undefined
+      ? editing.canMoveMid(dragItem.namePath, targetPath)
+      : editing.canMoveNode(dragItem.namePath, targetPath)
+  }
+  const dragAndDrop = editing ? {
+    dragItem,
+    midsDraggable: editing.midsDraggable,
+    onDragStart: setDragItem,
+    onDragEnd: () => setDragItem(null),
+    canDrop,
+    onDrop: (targetPath) => {
+      if (canDrop(targetPath)) {
+        if (dragItem.mid !== undefined) {
+          editing.onMoveMid(dragItem.namePath, dragItem.mid, targetPath)
+        } else {
+          editing.onMoveNode(dragItem.namePath, targetPath)
+        }
+      }
+      setDragItem(null)
+    }
+  } : null
+
+  const treeContext = {
+    expandedNodes,
+    selectedPathKey,
+    focusedPathKey: focusedKey,
+    hasFocus: treeHasFocus,
+    onFocusItem: setFocusedPathKey,
+    onActivate: activateNode,
+    getDisplayLabel,
+    renderHighlighted,
+    isActiveHit,
+    activeHit,
+    measures,
+    onShowDetails,
+    dragAndDrop,
+    midAttributes,
+    focusTotal: isFocusActive ? focus.node.count || 0 : null,
+    onFocusNode: handleFocusNode
+  }
 
   if (!hierarchyData || Object.keys(hierarchyData).length === 0) {
     return (
@@ -258,65 +593,287 @@ const HierarchyTree = React.memo(({ hierarchyData, levelAliases = {}, expandedNo
     <div className="h-full flex flex-col">
       {/* Search Bar */}
       <div className="p-4 border-b border-gray-200 bg-gray-50">
-        <div className="relative">
-          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-            <svg className="h-4 w-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-            </svg>
+        <div className="flex items-center gap-2">
+          <div className="relative flex-1">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <svg className="h-4 w-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+              </svg>
+            </div>
+            <input
+              type="text"
+              placeholder="Search tiers or MIDs, e.g. Processor:adyen mid:123*"
+              title={'Terms: text, "exact", /regex/, wild*card\nFields: mid:, name: or a level name, e.g. Processor:adyen\nCombine with AND, OR, NOT (or -term) and ( )'}
+              value={searchQuery}
+              onChange={(e) => updateViewSettings({ searchQuery: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault()
+                  goToHit(e.shiftKey ? -1 : 1)
+                }
+              }}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-2xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            {searchQuery && (
+              <button
+                onClick={() => updateViewSettings({ searchQuery: '' })}
+                className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-600"
+              >
+                <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            )}
+          </div>
+
+          {/* View Switcher */}
+          <div className="flex bg-white rounded-xl p-1 border border-gray-200 shadow-sm">
+            {[
+              { value: 'cards', label: 'Cards' },
+              { value: 'chart', label: 'Org chart' },
+              { value: 'sunburst', label: 'Sunburst' },
+              { value: 'treemap', label: 'Treemap' }
+            ].map(option => (
+              <button
+                key={option.value}
+                onClick={() => updateViewSettings({ viewMode: option.value })}
+                className={`px-3 py-1 text-xs font-medium rounded-lg transition-all duration-200 ${
+                  viewMode === option.value
+                    ? 'bg-blue-600 text-white shadow-sm'
+                    : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
           </div>
-          <input
-            type="text"
-            placeholder="Search tiers or MIDs..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-2xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-          />
-          {searchQuery && (
+        </div>
+        {/* Sort and Expansion Controls */}
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-600">
+          <span>Sort by</span>
+          <select
+            className="px-2 py-1 border border-gray-300 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            value={activeSortBy}
+            onChange={(e) => updateViewSettings({ sortBy: e.target.value })}
+          >
+            <option value="levels">Level settings</option>
+            <option value="name">Name</option>
+            <option value="count">MID count</option>
+            {measures.map(measure => (
+              <option key={measureKey(measure)} value={measureKey(measure)}>{measureLabel(measure)}</option>
+            ))}
+          </select>
+          {activeSortBy !== 'levels' && (
             <button
-              onClick={() => setSearchQuery('')}
-              className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-600"
+              onClick={() => updateViewSettings({ sortDirection: sortDirection === 'asc' ? 'desc' : 'asc' })}
+              className="px-2 py-1 border border-gray-300 rounded-lg bg-white hover:bg-gray-50"
+              title={sortDirection === 'asc' ? 'Ascending' : 'Descending'}
             >
-              <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-              </svg>
+              {sortDirection === 'asc' ? '↑ Asc' : '↓ Desc'}
             </button>
           )}
+          {onSetExpanded && expandableDepth > 0 && (
+            <>
+              <span className="ml-2">Expand</span>
+              <button
+                onClick={() => expandWithinRoot(collectBranchKeys(rootNodes, Infinity, basePath))}
+                className="px-2 py-1 border border-gray-300 rounded-lg bg-white hover:bg-gray-50"
+              >
+                All
+              </button>
+              <button
+                onClick={() => expandWithinRoot({})}
+                className="px-2 py-1 border border-gray-300 rounded-lg bg-white hover:bg-gray-50"
+              >
+                None
+              </button>
+              {expandableDepth > 1 && (
+                <select
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  value=""
+                  onChange={(e) => expandWithinRoot(collectBranchKeys(rootNodes, Number(e.target.value), basePath))}
+                  title="Expand every branch down to a depth and collapse the rest"
+                >
+                  <option value="" disabled>To depth…</option>
+                  {Array.from({ length: expandableDepth }, (_, index) => (
+                    <option key={index} value={index + 1}>{index + 1}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                onClick={() => onSetExpanded(pathExpansion(sortedNodes, selectedPath))}
+                disabled={selectedPath.length === 0}
+                className="px-2 py-1 border border-gray-300 rounded-lg bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Collapse everything except the way to the selected node"
+              >
+                Selected path
+              </button>
+            </>
+          )}
+          <div className="ml-auto">
+            <DiagramExportMenu
+              rootNode={rootNode}
+              nodes={filteredHierarchy}
+              expandedNodes={expandedNodes}
+              getDisplayLabel={getDisplayLabel}
+              basePath={basePath}
+            />
+          </div>
         </div>
-        {searchQuery && (
-          <div className="mt-2 text-xs text-gray-600">
-            {Object.keys(filteredHierarchy).length > 0 
-              ? `Found ${Object.keys(filteredHierarchy).length} matching tier${Object.keys(filteredHierarchy).length === 1 ? '' : 's'}`
-              : 'No matches found'
-            }
+        {/* Focus Breadcrumb */}
+        {focus && (
+          <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-xs text-gray-600">
+            <nav className="flex items-center flex-wrap gap-1 min-w-0" aria-label="Focused subtree">
+              {[hierarchyData.name, ...focus.namePath].map((name, index) => {
+                const isLast = index === focus.namePath.length
+                return (
+                  <React.Fragment key={index}>
+                    {index > 0 && <span className="text-gray-400">›</span>}
+                    <button
+                      onClick={() => handleFocusNode(focus.namePath.slice(0, index))}
+                      disabled={isLast}
+                      className={`truncate max-w-[10rem] ${isLast ? 'font-semibold text-gray-900' : 'text-blue-600 hover:underline'}`}
+                    >
+                      {index === 0 ? name : getDisplayLabel(name)}
+                    </button>
+                  </React.Fragment>
+                )
+              })}
+              <span className="ml-1 text-gray-500">
+                · {(focus.node.count || 0).toLocaleString()} MIDs
+                {!isFocusActive && ', search covers all accounts'}
+              </span>
+            </nav>
+            <label className="flex items-center gap-1.5 whitespace-nowrap">
+              <input
+                type="checkbox"
+                checked={scopeSearchToFocus}
+                onChange={(e) => setScopeSearchToFocus(e.target.checked)}
+              />
+              Search this subtree only
+            </label>
+          </div>
+        )}
+        {isVirtualized && (
+          <div className="mt-2 text-xs text-gray-500">
+            Large tree: showing a windowed list of {visibleItemCount.toLocaleString()} items
+          </div>
+        )}
+        {parsedQuery?.error && (
+          <div className="mt-2 text-xs text-red-600">{parsedQuery.error}</div>
+        )}
+        {searchResult && (
+          <div className="mt-2 flex items-center justify-between gap-2 text-xs text-gray-600">
+            <span>
+              {searchResult.hits.length > 0 || searchResult.matchedMidCount > 0
+                ? `${searchResult.nodeHitCount.toLocaleString()} node${searchResult.nodeHitCount === 1 ? '' : 's'} and ${searchResult.midHitCount.toLocaleString()} MID${searchResult.midHitCount === 1 ? '' : 's'} match · ${searchResult.matchedMidCount.toLocaleString()} MIDs in results`
+                : 'No matches found'
+              }
+            </span>
+            {searchResult.hits.length > 0 && (
+              <div className="flex items-center gap-1">
+                <span className="tabular-nums">
+                  {activeHitIndex >= 0 ? activeHitIndex + 1 : 0} / {searchResult.hits.length.toLocaleString()}
+                </span>
+                <button
+                  onClick={() => goToHit(-1)}
+                  className="px-2 py-0.5 border border-gray-300 rounded-lg bg-white hover:bg-gray-50"
+                  title="Previous match (Shift+Enter)"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => goToHit(1)}
+                  className="px-2 py-0.5 border border-gray-300 rounded-lg bg-white hover:bg-gray-50"
+                  title="Next match (Enter)"
+                >
+                  ↓
+                </button>
+              </div>
+            )}
           </div>
         )}
       </div>
 
       {/* Hierarchy Tree */}
-      <div className="flex-1 overflow-auto">
-        <div className="p-4">
-          {filteredHierarchy.length === 0 && searchQuery ? (
-            <div className="text-center py-8">
-              <svg className="w-12 h-12 text-gray-400 mx-auto mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-              </svg>
-              <p className="text-gray-500">No results found for "{searchQuery}"</p>
-              <p className="text-sm text-gray-400 mt-1">Try searching for tier names or MID values</p>
-            </div>
-          ) : (
-            <div className="space-y-2">
-              {filteredHierarchy.map((node, index) => (
-                <TreeNode 
-                  key={`${node.name}-${index}`}
-                  node={node} 
-                  depth={0}
-                  path={`root-${index}`}
-                />
-              ))}
-            </div>
-          )}
+      {viewMode === 'chart' ? (
+        <OrgChartView
+          key={basePath.join('\u0000')}
+          hierarchyData={rootNode}
+          basePath={basePath}
+          nodes={filteredHierarchy}
+          expandedNodes={expandedNodes}
+          onToggleExpanded={onToggleExpanded}
+          getDisplayLabel={getDisplayLabel}
+          selectedPathKey={selectedPathKey}
+          onSelectNode={onSelectNode}
+        />
+      ) : viewMode === 'sunburst' || viewMode === 'treemap' ? (
+        <ProportionView
+          key={basePath.join('\u0000')}
+          chartType={viewMode}
+          hierarchyData={rootNode}
+          basePath={basePath}
+          nodes={filteredHierarchy}
+          getDisplayLabel={getDisplayLabel}
+          getNodeValue={getNodeValue}
+          sizeOptions={sizeOptions}
+          sizeBy={sizeBy}
+          onSizeByChange={onSizeByChange}
+          selectedPathKey={selectedPathKey}
+          onSelectNode={onSelectNode}
+        />
+      ) : isVirtualized ? (
+        <VirtualTreeList
+          nodes={filteredHierarchy}
+          expandedNodes={expandedNodes}
+          onToggleExpanded={onToggleExpanded}
+          getDisplayLabel={getDisplayLabel}
+          selectedPathKey={selectedPathKey}
+          onSelectNode={onSelectNode}
+          measures={measures}
+          renderHighlighted={searchResult ? renderHighlighted : undefined}
+          activeHit={activeHit}
+          treeProps={treeProps}
+          focusedPathKey={focusedKey}
+          onFocusItem={setFocusedPathKey}
+          onShowDetails={onShowDetails}
+          treeHasFocus={treeHasFocus}
+          dragAndDrop={dragAndDrop}
+          midAttributes={midAttributes}
+          basePath={basePath}
+          focusTotal={treeContext.focusTotal}
+          onFocusNode={handleFocusNode}
+        />
+      ) : (
+        <div className="flex-1 overflow-auto" ref={cardsContainerRef}>
+          <div className="p-4">
+            {filteredHierarchy.length === 0 && searchResult ? (
+              <div className="text-center py-8">
+                <svg className="w-12 h-12 text-gray-400 mx-auto mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                </svg>
+                <p className="text-gray-500">No results found for "{searchQuery}"</p>
+                <p className="text-sm text-gray-400 mt-1">Try searching for tier names or MID values</p>
+              </div>
+            ) : (
+              <div className="space-y-2" {...treeProps}>
+                {filteredHierarchy.map((node, index) => (
+                  <TreeNode
+                    key={`${node.name}-${index}`}
+                    node={node}
+                    depth={0}
+                    namePath={[...basePath, node.name]}
+                    setSize={filteredHierarchy.length}
+                    positionInSet={index + 1}
+                    tree={treeContext}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
         </div>
-      </div>
+      )}
     </div>
   )
 }, (prevProps, nextProps) => {
@@ -325,7 +882,20 @@ const HierarchyTree = React.memo(({ hierarchyData, levelAliases = {}, expandedNo
     prevProps.hierarchyData === nextProps.hierarchyData &&
     prevProps.levelAliases === nextProps.levelAliases &&
     prevProps.expandedNodes === nextProps.expandedNodes &&
-    prevProps.onToggleExpanded === nextProps.onToggleExpanded
+    prevProps.onToggleExpanded === nextProps.onToggleExpanded &&
+    prevProps.onSetExpanded === nextProps.onSetExpanded &&
+    prevProps.selectedPath === nextProps.selectedPath &&
+    prevProps.onSelectNode === nextProps.onSelectNode &&
+    prevProps.measures === nextProps.measures &&
+    prevProps.sizeOptions === nextProps.sizeOptions &&
+    prevProps.sizeBy === nextProps.sizeBy &&
+    prevProps.onSizeByChange === nextProps.onSizeByChange &&
+    prevProps.viewSettings === nextProps.viewSettings &&
+    prevProps.onViewSettingsChange === nextProps.onViewSettingsChange &&
+    prevProps.onShowDetails === nextProps.onShowDetails &&
+    prevProps.editing === nextProps.editing &&
+    prevProps.midAttributes === nextProps.midAttributes &&
+    prevProps.attributeColumns === nextProps.attributeColumns
   )
 })
 
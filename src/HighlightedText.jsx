@@ -0,0 +1,26 @@
+import React from 'react'
+
+// Text with the given [start, end] ranges wrapped in <mark>
+const HighlightedText = ({ text, ranges }) => {
+  if (!ranges || ranges.length === 0) return text
+
+  const parts = []
+  let position = 0
+  ranges.forEach(([start, end], index) => {
+    if (start > position) {
+      parts.push(text.slice(position, start))
+    }
+    parts.push(
+      <mark key={index} className="bg-yellow-200 text-inherit rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    )
+    position = end
+  })
+  if (position < text.length) {
+    parts.push(text.slice(position))
+  }
+  return <>{parts}</>
+}
+
+export default HighlightedText
@@ -0,0 +1,106 @@
+import React, { useState, useRef } from 'react'
+import { midDragProps } from './utils/dragAndDrop'
+import { midTooltip } from './utils/midAttributes'
+import { MID_PAGE_SIZE, filterMids, clickSelection } from './utils/midLists'
+import LeafMidToolbar, { leafButtonClassName } from './LeafMidToolbar'
+
+// MID chips of a leaf card, a page at a time, with an inline filter and a
+// selection. Clicking a chip opens its details; Ctrl/⌘-click toggles it in
+// the selection and Shift-click selects a range. The current search match is
+// always paged in, and the filter cleared if it hides it.
+const LeafMidList = ({ node, namePath, pathKey, tree }) => {
+  const [filterText, setFilterText] = useState('')
+  const [limit, setLimit] = useState(MID_PAGE_SIZE)
+  const [selection, setSelection] = useState(() => ({ selected: new Set(), anchor: null }))
+  const { selected } = selection
+
+  const filteredMids = React.useMemo(() => filterMids(node.mids, filterText), [node.mids, filterText])
+  const shownMids = filteredMids.slice(0, limit)
+  const hiddenCount = filteredMids.length - shownMids.length
+
+  // Drop selected MIDs the leaf no longer has, e.g. after an edit
+  const selectedMids = React.useMemo(() => node.mids.filter(mid => selected.has(mid)), [node.mids, selected])
+
+  // Read through a ref so the match is paged in when it changes, not on
+  // every filter keystroke, which would clear a filter that hides it
+  const midsRef = useRef(null)
+  midsRef.current = { mids: node.mids, filteredMids }
+  const activeMid = tree.activeHit?.pathKey === pathKey ? tree.activeHit.mid : undefined
+  React.useEffect(() => {
+    if (activeMid === undefined) return
+    const { mids, filteredMids } = midsRef.current
+    let index = filteredMids.indexOf(activeMid)
+    if (index === -1) {
+      setFilterText('')
+      index = mids.indexOf(activeMid)
+    }
+    setLimit(prev => index >= prev ? Math.ceil((index + 1) / MID_PAGE_SIZE) * MID_PAGE_SIZE : prev)
+  }, [activeMid])
+
+  const handleChipClick = (event, mid) => {
+    const next = clickSelection(selection, mid, event, filteredMids)
+    if (next) {
+      setSelection(next)
+    } else {
+      tree.onShowDetails?.(namePath, mid)
+    }
+  }
+
+  return (
+    <div className="px-4 pb-4 space-y-2">
+      <LeafMidToolbar
+        node={node}
+        namePath={namePath}
+        getDisplayLabel={tree.getDisplayLabel}
+        filterText={filterText}
+        onFilterChange={(text) => {
+          setFilterText(text)
+          setLimit(MID_PAGE_SIZE)
+        }}
+        filteredMids={filteredMids}
+        selectedMids={selectedMids}
+        onSelectAll={() => setSelection(prev => ({ ...prev, selected: new Set([...prev.selected, ...filteredMids]) }))}
+        onClearSelection={() => setSelection({ selected: new Set(), anchor: null })}
+      />
+
+      <div className="flex flex-wrap gap-1">
+        {shownMids.map((mid, index) => {
+          const isActive = tree.isActiveHit(pathKey, mid)
+          const isSelected = selected.has(mid)
+          return (
+            <span
+              key={index}
+              data-active-hit={isActive || undefined}
+              title={`${midTooltip(mid, tree.midAttributes?.get(mid))}\nCtrl/⌘-click to select, Shift-click for a range`}
+              onClick={(event) => handleChipClick(event, mid)}
+              aria-pressed={isSelected}
+              className={`text-xs font-mono px-2 py-1 rounded-lg cursor-pointer select-none ${
+                isSelected ? 'bg-blue-600 text-white hover:bg-blue-700' : 'text-gray-700 bg-blue-50 hover:bg-blue-100'
+              } ${isActive ? 'ring-2 ring-yellow-400' : ''}`}
+              {...midDragProps(tree.dragAndDrop, namePath, mid)}
+            >
+              {tree.renderHighlighted(mid, { target: 'mid', pathKey, mid })}
+            </span>
+          )
+        })}
+        {filteredMids.length === 0 && (
+          <span className="text-xs text-gray-500">No MIDs match “{filterText}”</span>
+        )}
+      </div>
+
+      {hiddenCount > 0 && (
+        <div className="flex items-center gap-2 text-xs text-gray-600">
+          <span>{shownMids.length.toLocaleString()} of {filteredMids.length.toLocaleString()} shown</span>
+          <button onClick={() => setLimit(current => current + MID_PAGE_SIZE)} className={leafButtonClassName}>
+            Show {Math.min(MID_PAGE_SIZE, hiddenCount).toLocaleString()} more
+          </button>
+          <button onClick={() => setLimit(filteredMids.length)} className={leafButtonClassName}>
+            Show all
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LeafMidList
@@ -0,0 +1,70 @@
+import React, { useState } from 'react'
+import { MID_FILTER_THRESHOLD, formatMidList, midsToTable } from './utils/midLists'
+import { exportCsv } from './utils/exporters'
+import { copyText } from './utils/clipboard'
+import { PATH_SEPARATOR } from './utils/hierarchyDiff'
+
+export const leafButtonClassName = 'px-2 py-0.5 text-xs border border-gray-300 rounded-lg bg-white hover:bg-gray-50'
+
+// Inline filter and selection actions of a leaf's MID chips, shared by the
+// stacked cards and the windowed list. The filter shows above
+// MID_FILTER_THRESHOLD MIDs, the selection bar while anything is selected.
+const LeafMidToolbar = ({ node, namePath, getDisplayLabel, filterText, onFilterChange, filteredMids, selectedMids, onSelectAll, onClearSelection }) => {
+  // 'copied' or 'failed' for two seconds after a copy
+  const [copyStatus, setCopyStatus] = useState(null)
+
+  const handleCopySelection = async () => {
+    setCopyStatus(await copyText(formatMidList(selectedMids)) ? 'copied' : 'failed')
+    setTimeout(() => setCopyStatus(null), 2000)
+  }
+
+  const handleExportSelection = () => {
+    const path = namePath.map(getDisplayLabel).join(PATH_SEPARATOR)
+    exportCsv(midsToTable(selectedMids, path), `${node.name}-mids.csv`)
+  }
+
+  return (
+    <>
+      {node.mids.length > MID_FILTER_THRESHOLD && (
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={filterText}
+            onChange={(e) => onFilterChange(e.target.value)}
+            placeholder={`Filter ${node.mids.length.toLocaleString()} MIDs`}
+            className="flex-1 min-w-0 px-3 py-1 border border-gray-300 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          {filterText && (
+            <span className="text-xs text-gray-500 whitespace-nowrap">
+              {filteredMids.length.toLocaleString()} match{filteredMids.length === 1 ? '' : 'es'}
+            </span>
+          )}
+          <button
+            onClick={onSelectAll}
+            className={leafButtonClassName}
+            title="Select every MID that matches the filter"
+          >
+            Select all
+          </button>
+        </div>
+      )}
+
+      {selectedMids.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600 bg-blue-50 border border-blue-200 rounded-lg px-2 py-1">
+          <span className="font-medium text-blue-800">{selectedMids.length.toLocaleString()} selected</span>
+          <button onClick={handleCopySelection} className={leafButtonClassName}>
+            {copyStatus === 'copied' ? 'Copied' : copyStatus === 'failed' ? 'Copy failed' : 'Copy'}
+          </button>
+          <button onClick={handleExportSelection} className={leafButtonClassName}>
+            Export CSV
+          </button>
+          <button onClick={onClearSelection} className="ml-auto text-xs text-gray-500 hover:text-gray-800">
+            Clear
+          </button>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default LeafMidToolbar
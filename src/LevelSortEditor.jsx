@@ -0,0 +1,214 @@
+import React, { useState } from 'react'
+import {
+  LEVEL_SORT_MODES,
+  MID_SORT_MODES,
+  DEFAULT_LEVEL_SORT,
+  DEFAULT_MID_SORT,
+  isLevelSortActive,
+  manualOrder,
+  levelValues
+} from './utils/levelSorts'
+import { measureKey, measureLabel } from './utils/measures'
+
+// Values listed for manual ordering; the rest follow alphabetically
+const MAX_MANUAL_VALUES = 200
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+const DirectionToggle = ({ direction, onChange }) => (
+  <button
+    onClick={() => onChange(direction === 'desc' ? 'asc' : 'desc')}
+    className="px-3 py-2 text-xs border border-gray-300 rounded-xl bg-white hover:bg-gray-50 whitespace-nowrap"
+    title={direction === 'desc' ? 'Descending' : 'Ascending'}
+  >
+    {direction === 'desc' ? '↓ Desc' : '↑ Asc'}
+  </button>
+)
+
+// Values of one level in their manual order, reordered by dragging or with
+// the arrow buttons
+const ManualOrderList = ({ values, order, onChange }) => {
+  const [dragIndex, setDragIndex] = useState(null)
+  const [overIndex, setOverIndex] = useState(null)
+  const ordered = React.useMemo(() => manualOrder(values, order), [values, order])
+  const visible = ordered.slice(0, MAX_MANUAL_VALUES)
+
+  const move = (from, to) => {
+    if (from === to || to < 0 || to >= visible.length) return
+    const next = [...visible]
+    const [moved] = next.splice(from, 1)
+    next.splice(to, 0, moved)
+    onChange(next)
+  }
+
+  const handleDrop = (event, index) => {
+    event.preventDefault()
+    if (dragIndex !== null) move(dragIndex, index)
+    setDragIndex(null)
+    setOverIndex(null)
+  }
+
+  return (
+    <div>
+      <ul className="max-h-56 overflow-y-auto rounded-xl border border-gray-200 divide-y divide-gray-100">
+        {visible.map((value, index) => (
+          <li
+            key={value}
+            draggable
+            onDragStart={(event) => {
+              event.dataTransfer.effectAllowed = 'move'
+              setDragIndex(index)
+            }}
+            onDragOver={(event) => {
+              event.preventDefault()
+              setOverIndex(index)
+            }}
+            onDragLeave={() => setOverIndex(current => current === index ? null : current)}
+            onDrop={(event) => handleDrop(event, index)}
+            onDragEnd={() => {
+              setDragIndex(null)
+              setOverIndex(null)
+            }}
+            className={`flex items-center gap-2 px-3 py-1.5 text-sm bg-white cursor-move ${
+              overIndex === index && dragIndex !== index ? 'bg-blue-50' : ''
+            } ${dragIndex === index ? 'opacity-50' : ''}`}
+          >
+            <span className="text-gray-400 select-none" aria-hidden="true">⋮⋮</span>
+            <span className="flex-1 min-w-0 truncate text-gray-800" title={value}>{value}</span>
+            <button
+              onClick={() => move(index, index - 1)}
+              disabled={index === 0}
+              className="px-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+              aria-label={`Move ${value} up`}
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => move(index, index + 1)}
+              disabled={index === visible.length - 1}
+              className="px-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+              aria-label={`Move ${value} down`}
+            >
+              ↓
+            </button>
+          </li>
+        ))}
+      </ul>
+      {ordered.length > visible.length && (
+        <p className="mt-1 text-xs text-gray-500">
+          {(ordered.length - visible.length).toLocaleString()} more values follow alphabetically.
+        </p>
+      )}
+    </div>
+  )
+}
+
+// Sort order for each level column plus the order of MID chips in leaves.
+// columns are the levels (or the one parent/child sort column); nodes are
+// the built tree's top-level nodes, used to list values for manual ordering.
+const LevelSortEditor = ({ columns, nodes, isParentChildMode, measures, levelSorts = {}, midSort = DEFAULT_MID_SORT, onChange, onMidSortChange }) => {
+  const [selectedColumn, setSelectedColumn] = useState('')
+  const activeColumn = columns.includes(selectedColumn) ? selectedColumn : columns[0]
+  const sort = { ...DEFAULT_LEVEL_SORT, ...levelSorts[activeColumn] }
+
+  const values = React.useMemo(
+    () => activeColumn && sort.by === 'manual' ? levelValues(nodes, isParentChildMode ? null : activeColumn) : [],
+    [nodes, isParentChildMode, activeColumn, sort.by]
+  )
+
+  if (!activeColumn) return null
+
+  const update = (changes) => onChange(activeColumn, { ...sort, ...changes })
+
+  const handleModeChange = (by) => {
+    if (by === 'measure') {
+      update({ by, measure: sort.measure || measures[0] })
+    } else {
+      update({ by })
+    }
+  }
+
+  const selectedMeasureKey = sort.measure ? measureKey(sort.measure) : ''
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200 space-y-3">
+      <div className="flex items-center gap-2">
+        <select
+          className={`flex-1 min-w-0 ${inputClassName}`}
+          value={activeColumn}
+          onChange={(e) => setSelectedColumn(e.target.value)}
+        >
+          {columns.map(column => (
+            <option key={column} value={column}>
+              {isParentChildMode ? 'All accounts' : column}{isLevelSortActive(levelSorts[column]) ? ' •' : ''}
+            </option>
+          ))}
+        </select>
+        {isLevelSortActive(levelSorts[activeColumn]) && (
+          <button
+            onClick={() => onChange(activeColumn, null)}
+            className="px-3 py-2 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg border border-red-200 transition-all duration-200"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <select
+          className={`flex-1 min-w-0 ${inputClassName}`}
+          value={sort.by}
+          onChange={(e) => handleModeChange(e.target.value)}
+        >
+          {LEVEL_SORT_MODES.map(mode => (
+            <option key={mode.value} value={mode.value} disabled={mode.value === 'measure' && measures.length === 0}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
+        {sort.by !== 'manual' && (
+          <DirectionToggle direction={sort.direction} onChange={(direction) => update({ direction })} />
+        )}
+      </div>
+
+      {sort.by === 'measure' && (
+        <select
+          className={`w-full ${inputClassName}`}
+          value={selectedMeasureKey}
+          onChange={(e) => update({ measure: measures.find(measure => measureKey(measure) === e.target.value) })}
+        >
+          {!measures.some(measure => measureKey(measure) === selectedMeasureKey) && (
+            <option value={selectedMeasureKey}>{sort.measure ? `${measureLabel(sort.measure)} (not mapped)` : 'Select measure...'}</option>
+          )}
+          {measures.map(measure => (
+            <option key={measureKey(measure)} value={measureKey(measure)}>{measureLabel(measure)}</option>
+          ))}
+        </select>
+      )}
+
+      {sort.by === 'manual' && (
+        values.length > 0
+          ? <ManualOrderList values={values} order={sort.order} onChange={(order) => update({ order })} />
+          : <p className="text-xs text-gray-500">Complete the mapping to list this level’s values.</p>
+      )}
+
+      <div className="pt-3 border-t border-gray-100">
+        <label className="block text-xs font-medium text-gray-600 mb-2">MIDs within leaves</label>
+        <div className="flex items-center gap-2">
+          <select
+            className={`flex-1 min-w-0 ${inputClassName}`}
+            value={midSort.by}
+            onChange={(e) => onMidSortChange({ ...midSort, by: e.target.value })}
+          >
+            {MID_SORT_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+          <DirectionToggle direction={midSort.direction} onChange={(direction) => onMidSortChange({ ...midSort, direction })} />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default LevelSortEditor
@@ -0,0 +1,189 @@
+import React, { useState } from 'react'
+import {
+  CASE_FOLDS,
+  REGEX_MODES,
+  DEFAULT_TRANSFORM,
+  isTransformActive,
+  transformError,
+  distinctValues,
+  previewTransform,
+  parseLookupText,
+  formatLookupText
+} from './utils/levelTransforms'
+
+// Merges listed in the preview before "+N more"
+const VISIBLE_MERGES = 5
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+// Rules for one column; remounted per column so the lookup text starts fresh
+const TransformRules = ({ values, transform, onChange }) => {
+  const [lookupText, setLookupText] = useState(formatLookupText(transform.lookup))
+  const regexError = transformError(transform)
+  const preview = React.useMemo(() => previewTransform(values, transform), [values, transform])
+
+  const update = (changes) => onChange({ ...transform, ...changes })
+
+  const handleLookupChange = (text) => {
+    setLookupText(text)
+    update({ lookup: parseLookupText(text) })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          className={inputClassName}
+          value={transform.caseFold}
+          onChange={(e) => update({ caseFold: e.target.value })}
+        >
+          {CASE_FOLDS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select
+          className={inputClassName}
+          value={transform.regexMode}
+          onChange={(e) => update({ regexMode: e.target.value })}
+        >
+          {REGEX_MODES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={transform.stripPunctuation}
+            onChange={(e) => update({ stripPunctuation: e.target.checked })}
+          />
+          Strip punctuation
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={transform.collapseWhitespace}
+            onChange={(e) => update({ collapseWhitespace: e.target.checked })}
+          />
+          Collapse spaces
+        </label>
+      </div>
+
+      {transform.regexMode !== 'none' && (
+        <div className="space-y-2">
+          <input
+            type="text"
+            value={transform.pattern}
+            onChange={(e) => update({ pattern: e.target.value })}
+            placeholder={transform.regexMode === 'extract' ? 'Pattern, e.g. ^(\\w+)' : 'Pattern, e.g. \\s+(inc|ltd)\\.?$'}
+            className={`${inputClassName} font-mono`}
+          />
+          {transform.regexMode === 'replace' && (
+            <input
+              type="text"
+              value={transform.replacement}
+              onChange={(e) => update({ replacement: e.target.value })}
+              placeholder="Replacement ($1 for groups)"
+              className={`${inputClassName} font-mono`}
+            />
+          )}
+          {transform.regexMode === 'extract' && (
+            <p className="text-xs text-gray-500">Keeps the first capture group, or the whole match without one.</p>
+          )}
+          {regexError && <p className="text-xs text-red-600">{regexError}</p>}
+        </div>
+      )}
+
+      <div>
+        <label className="block text-xs font-medium text-gray-600 mb-1">Lookup table</label>
+        <textarea
+          value={lookupText}
+          onChange={(e) => handleLookupChange(e.target.value)}
+          rows={3}
+          placeholder={'Acme corp. => ACME Corp\nACME CORPORATION => ACME Corp'}
+          className={`${inputClassName} font-mono text-xs`}
+        />
+      </div>
+
+      <div className="p-3 bg-gray-50 rounded-xl border border-gray-200">
+        <div className="text-sm text-gray-800">
+          {preview.before} distinct values → {preview.after}
+          {preview.before > preview.after && (
+            <span className="text-green-700"> ({preview.before - preview.after} merged)</span>
+          )}
+        </div>
+        {preview.merges.length > 0 && (
+          <div className="mt-2 space-y-1">
+            {preview.merges.slice(0, VISIBLE_MERGES).map(merge => (
+              <div key={merge.canonical} className="text-xs text-gray-600 truncate" title={merge.sources.join(', ')}>
+                <span className="font-medium text-gray-800">{merge.canonical}</span> ← {merge.sources.join(', ')}
+              </div>
+            ))}
+            {preview.merges.length > VISIBLE_MERGES && (
+              <div className="text-xs text-gray-500">+{preview.merges.length - VISIBLE_MERGES} more</div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const LevelTransformsEditor = ({ rows, columns, levelTransforms = {}, onChange }) => {
+  const [selectedColumn, setSelectedColumn] = useState('')
+  // Bumped on reset so the rules form drops its local lookup text
+  const [resetCount, setResetCount] = useState(0)
+  const activeColumn = columns.includes(selectedColumn) ? selectedColumn : columns[0]
+
+  const values = React.useMemo(
+    () => activeColumn ? distinctValues(rows, activeColumn) : [],
+    [rows, activeColumn]
+  )
+  const transform = React.useMemo(
+    () => ({ ...DEFAULT_TRANSFORM, ...levelTransforms[activeColumn] }),
+    [levelTransforms, activeColumn]
+  )
+
+  if (!activeColumn) return null
+
+  const handleReset = () => {
+    onChange(activeColumn, null)
+    setResetCount(count => count + 1)
+  }
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200 space-y-3">
+      <div className="flex items-center gap-2">
+        <select
+          className={inputClassName}
+          value={activeColumn}
+          onChange={(e) => setSelectedColumn(e.target.value)}
+        >
+          {columns.map(column => (
+            <option key={column} value={column}>
+              {column}{isTransformActive(levelTransforms[column]) ? ' •' : ''}
+            </option>
+          ))}
+        </select>
+        {isTransformActive(levelTransforms[activeColumn]) && (
+          <button
+            onClick={handleReset}
+            className="px-3 py-2 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg border border-red-200 transition-all duration-200"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+      <TransformRules
+        key={`${activeColumn}-${resetCount}`}
+        values={values}
+        transform={transform}
+        onChange={(nextTransform) => onChange(activeColumn, nextTransform)}
+      />
+    </div>
+  )
+}
+
+export default LevelTransformsEditor
@@ -0,0 +1,165 @@
+import React, { useState, useRef } from 'react'
+import useMappingPresets from './hooks/useMappingPresets'
+import { findMatchingPreset, headerSignature, missingPresetColumns, resolvePresetMapping } from './utils/mappingPresets'
+
+const EMPTY_COLUMNS = []
+
+// columns are the uploaded file's headers, which presets are saved and matched
+// by; joinedColumns are the attribute file's columns, which a preset's mapping
+// can still use while that file is loaded.
+const MappingPresets = ({ columns, joinedColumns = EMPTY_COLUMNS, columnMappings, onApplyMapping }) => {
+  const { presets, savePreset, deletePreset, importPresets, exportPresets } = useMappingPresets()
+  const [selectedPresetId, setSelectedPresetId] = useState('')
+  const [presetName, setPresetName] = useState('')
+  const [message, setMessage] = useState(null)
+  // Header signature the match banner was last applied or dismissed for
+  const [handledSignature, setHandledSignature] = useState(null)
+  const importInputRef = useRef(null)
+
+  const signature = headerSignature(columns)
+  const matchingPreset = findMatchingPreset(presets, columns)
+  const showMatchBanner = matchingPreset && handledSignature !== signature
+  const availableColumns = React.useMemo(() => [...columns, ...joinedColumns], [columns, joinedColumns])
+  const selectedPreset = presets.find(preset => preset.id === selectedPresetId)
+  const selectedMissing = selectedPreset ? missingPresetColumns(selectedPreset, availableColumns) : []
+
+  const applyPreset = (preset) => {
+    onApplyMapping(resolvePresetMapping(preset, availableColumns))
+    setHandledSignature(signature)
+    setSelectedPresetId(preset.id)
+    setMessage({ type: 'success', text: `Applied preset "${preset.name}".` })
+  }
+
+  const handleSave = () => {
+    if (!presetName.trim()) return
+    const preset = savePreset(presetName, columns, columnMappings)
+    setSelectedPresetId(preset.id)
+    setPresetName('')
+    // The file it was saved from should not prompt for itself
+    setHandledSignature(signature)
+    setMessage({ type: 'success', text: `Saved preset "${preset.name}".` })
+  }
+
+  const handleDelete = () => {
+    if (!selectedPreset) return
+    deletePreset(selectedPreset.id)
+    setSelectedPresetId('')
+    setMessage({ type: 'success', text: `Deleted preset "${selectedPreset.name}".` })
+  }
+
+  const handleImport = (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+    importPresets(file)
+      .then(count => setMessage({ type: 'success', text: `Imported ${count} preset${count === 1 ? '' : 's'}.` }))
+      .catch(importError => setMessage({ type: 'error', text: importError.message }))
+  }
+
+  return (
+    <div className="mb-4 bg-white rounded-2xl p-4 shadow-sm border border-gray-200 space-y-3">
+      {showMatchBanner && (
+        <div className="p-3 bg-blue-50 border border-blue-200 rounded-xl">
+          <p className="text-sm text-blue-800 mb-2">
+            These headers match your preset <span className="font-medium">"{matchingPreset.name}"</span>.
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => applyPreset(matchingPreset)}
+              className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-all duration-200"
+            >
+              Apply preset
+            </button>
+            <button
+              onClick={() => setHandledSignature(signature)}
+              className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-lg transition-all duration-200"
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-xs font-medium text-gray-600 mb-2">Mapping presets</label>
+        <div className="flex gap-2">
+          <select
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            value={selectedPresetId}
+            onChange={(e) => setSelectedPresetId(e.target.value)}
+          >
+            <option value="">{presets.length > 0 ? 'Choose a preset...' : 'No saved presets'}</option>
+            {presets.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => applyPreset(selectedPreset)}
+            disabled={!selectedPreset || selectedMissing.length > 0}
+            className="px-3 py-2 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg border border-blue-200 transition-all duration-200 disabled:text-gray-400 disabled:bg-gray-100 disabled:border-gray-200 disabled:cursor-not-allowed"
+          >
+            Apply
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={!selectedPreset}
+            className="px-3 py-2 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg border border-red-200 transition-all duration-200 disabled:text-gray-400 disabled:bg-gray-100 disabled:border-gray-200 disabled:cursor-not-allowed"
+          >
+            Delete
+          </button>
+        </div>
+        {selectedMissing.length > 0 && (
+          <p className="text-xs text-red-600 mt-2">This file is missing: {selectedMissing.join(', ')}</p>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Preset name"
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!presetName.trim()}
+          className="px-3 py-2 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg border border-blue-200 transition-all duration-200 disabled:text-gray-400 disabled:bg-gray-100 disabled:border-gray-200 disabled:cursor-not-allowed"
+        >
+          Save current
+        </button>
+      </div>
+
+      <div className="flex gap-2 text-xs">
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+        <button
+          onClick={() => importInputRef.current.click()}
+          className="text-blue-600 hover:text-blue-700 font-medium"
+        >
+          Import presets
+        </button>
+        <span className="text-gray-300">|</span>
+        <button
+          onClick={exportPresets}
+          disabled={presets.length === 0}
+          className="text-blue-600 hover:text-blue-700 font-medium disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Export presets
+        </button>
+      </div>
+
+      {message && (
+        <p className={`text-xs ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+    </div>
+  )
+}
+
+export default MappingPresets
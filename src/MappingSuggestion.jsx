@@ -0,0 +1,90 @@
+import React, { useState } from 'react'
+
+const confidenceStyle = (confidence) => {
+  if (confidence >= 0.8) return { bar: 'bg-green-500', text: 'text-green-700' }
+  if (confidence >= 0.5) return { bar: 'bg-amber-400', text: 'text-amber-700' }
+  return { bar: 'bg-red-400', text: 'text-red-700' }
+}
+
+const SuggestionRow = ({ label, column, confidence, reason }) => {
+  const style = confidenceStyle(confidence)
+  return (
+    <div className="py-1.5">
+      <div className="flex items-center justify-between gap-2 text-sm">
+        <span className="text-gray-900 truncate">
+          <span className="text-xs text-gray-500 mr-1">{label}</span>
+          {column}
+        </span>
+        <span className={`text-xs font-medium ${style.text}`}>{Math.round(confidence * 100)}%</span>
+      </div>
+      <div className="h-1 bg-gray-100 rounded-full overflow-hidden mt-1">
+        <div className={`h-full rounded-full ${style.bar}`} style={{ width: `${Math.round(confidence * 100)}%` }} />
+      </div>
+      <p className="text-xs text-gray-500 mt-1">{reason}</p>
+    </div>
+  )
+}
+
+const MappingSuggestion = ({ suggestion, columnMappings, onAccept }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const { mapping } = suggestion
+
+  const isApplied = columnMappings.mode === 'levels' &&
+    columnMappings.midColumn === mapping.midColumn &&
+    columnMappings.levels.length === mapping.levels.length &&
+    columnMappings.levels.every((level, index) => level === mapping.levels[index])
+  const overall = confidenceStyle(suggestion.confidence)
+
+  return (
+    <div className="mb-4 bg-white rounded-2xl p-4 shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={() => setIsOpen(open => !open)}
+          className="flex-1 min-w-0 text-left"
+        >
+          <div className="text-xs font-medium text-gray-600">Suggested mapping</div>
+          <div className="text-sm text-gray-900 truncate">
+            {mapping.levels.join(' → ')}
+            {mapping.midColumn && <span className="text-gray-500"> · MID {mapping.midColumn}</span>}
+          </div>
+          <div className={`text-xs ${overall.text}`}>
+            {Math.round(suggestion.confidence * 100)}% confidence · {isOpen ? 'hide details' : 'why?'}
+          </div>
+        </button>
+        <button
+          onClick={() => onAccept(mapping)}
+          disabled={isApplied}
+          className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-all duration-200 disabled:text-gray-500 disabled:bg-gray-100 disabled:cursor-default"
+        >
+          {isApplied ? 'Applied' : 'Use suggestion'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="mt-3 pt-3 border-t border-gray-100 divide-y divide-gray-50">
+          {suggestion.levels.map((level, index) => (
+            <SuggestionRow
+              key={level.column}
+              label={`Level ${index + 1}`}
+              column={level.column}
+              confidence={level.confidence}
+              reason={level.reason}
+            />
+          ))}
+          {suggestion.mid ? (
+            <SuggestionRow
+              label="MID"
+              column={suggestion.mid.column}
+              confidence={suggestion.mid.confidence}
+              reason={suggestion.mid.reason}
+            />
+          ) : (
+            <p className="py-1.5 text-xs text-gray-500">No column is unique enough to be a MID column.</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MappingSuggestion
@@ -0,0 +1,165 @@
+import React, { useState } from 'react'
+import { joinReportToRows } from './utils/midAttributes'
+import { SUPPORTED_EXTENSIONS } from './utils/fileParsers'
+import { exportCsv } from './utils/exporters'
+
+// Unmatched keys listed per side before "show all"
+const VISIBLE_KEYS = 10
+
+const selectClassName = 'w-full px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+const UnmatchedKeys = ({ label, keys }) => {
+  const [showAll, setShowAll] = useState(false)
+  if (keys.length === 0) return null
+  const visibleKeys = showAll ? keys : keys.slice(0, VISIBLE_KEYS)
+
+  return (
+    <div>
+      <div className="text-xs text-gray-600 mb-1">{label} ({keys.length})</div>
+      <div className="flex flex-wrap gap-1">
+        {visibleKeys.map(key => (
+          <span key={key} className="text-xs text-gray-700 font-mono bg-gray-100 px-2 py-0.5 rounded-lg">{key}</span>
+        ))}
+      </div>
+      {keys.length > VISIBLE_KEYS && (
+        <button
+          onClick={() => setShowAll(all => !all)}
+          className="mt-1 text-xs font-medium text-blue-600 hover:text-blue-700"
+        >
+          {showAll ? 'Show fewer' : `Show all ${keys.length}`}
+        </button>
+      )}
+    </div>
+  )
+}
+
+// Second file of MID attributes joined onto the uploaded rows. join is
+// { fileName, rows, columns, mainKey, secondaryKey } or null, parser the
+// useFileParser instance loading it, report what joinAttributes returned.
+const MidAttributesPanel = ({ join, parser, error, mainColumns, joinedColumns = [], report, onUpload, onChange, onClear }) => {
+  const handleFileChange = (event) => {
+    const file = event.target.files[0]
+    if (!file) return
+    if (event.target.value) {
+      event.target.value = ''
+    }
+    onUpload(file)
+  }
+
+  const isReady = join && join.rows.length > 0
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200 space-y-3">
+      <input
+        id="attributes-upload"
+        type="file"
+        accept={SUPPORTED_EXTENSIONS.join(',')}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      {!join ? (
+        <>
+          <p className="text-xs text-gray-500">
+            Load a sheet of MID attributes (status, MCC, go-live date...) to show them on MID chips and use them as levels, measures or search fields.
+          </p>
+          <button
+            onClick={() => document.getElementById('attributes-upload').click()}
+            className="px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg border border-blue-200 transition-all duration-200"
+          >
+            Load attribute file
+          </button>
+        </>
+      ) : (
+        <>
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-sm text-gray-800 truncate" title={join.fileName}>{join.fileName}</span>
+            <button
+              onClick={onClear}
+              className="px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg border border-red-200 transition-all duration-200"
+            >
+              {parser.isLoading ? 'Cancel' : 'Remove'}
+            </button>
+          </div>
+          {parser.isLoading && parser.progress && (
+            <p className="text-xs text-gray-500">
+              Parsing... {parser.progress.rows.toLocaleString()} rows
+            </p>
+          )}
+          {parser.sheetNames.length > 1 && (
+            <select
+              className={selectClassName}
+              value={parser.selectedSheet}
+              disabled={parser.isLoading}
+              onChange={(e) => parser.selectSheet(e.target.value)}
+            >
+              {parser.sheetNames.map((sheetName) => (
+                <option key={sheetName} value={sheetName}>{sheetName}</option>
+              ))}
+            </select>
+          )}
+          {isReady && (
+            <>
+              <div className="grid grid-cols-2 gap-2">
+                <label className="block">
+                  <span className="block text-xs font-medium text-gray-500 mb-1">Key in this file</span>
+                  <select
+                    className={selectClassName}
+                    value={join.mainKey}
+                    onChange={(e) => onChange({ mainKey: e.target.value })}
+                  >
+                    {mainColumns.map(column => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block">
+                  <span className="block text-xs font-medium text-gray-500 mb-1">Key in attribute file</span>
+                  <select
+                    className={selectClassName}
+                    value={join.secondaryKey}
+                    onChange={(e) => onChange({ secondaryKey: e.target.value })}
+                  >
+                    {join.columns.map(column => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <p className="text-xs text-gray-600">
+                {report.matchedKeys.toLocaleString()} key{report.matchedKeys === 1 ? '' : 's'} matched.
+                {joinedColumns.length > 0 && ` Joined columns: ${joinedColumns.join(', ')}.`}
+              </p>
+              {report.duplicateKeys.length > 0 && (
+                <p className="text-xs text-yellow-700">
+                  {report.duplicateKeys.length} key{report.duplicateKeys.length === 1 ? ' appears' : 's appear'} more than once in the attribute file; the first row is used.
+                </p>
+              )}
+
+              {(report.unmatchedMain.length > 0 || report.unmatchedSecondary.length > 0) && (
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-xs font-medium text-gray-600">Unmatched keys</span>
+                    <button
+                      onClick={() => exportCsv(joinReportToRows(report, join.mainKey, join.secondaryKey), 'unmatched-attributes.csv')}
+                      className="px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg border border-blue-200 transition-all duration-200"
+                    >
+                      Download CSV
+                    </button>
+                  </div>
+                  <UnmatchedKeys label="In this file, no attributes" keys={report.unmatchedMain.map(item => item.key)} />
+                  <UnmatchedKeys label="In the attribute file, not in this file" keys={report.unmatchedSecondary} />
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default MidAttributesPanel
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { filterRows, sortRows, summarizeColumns } from './utils/sourceRows'
+import { toCsvText } from './utils/exporters'
+import { copyText } from './utils/clipboard'
+import { formatMeasureValue } from './utils/measures'
+import { PATH_SEPARATOR } from './utils/hierarchyDiff'
+
+// Rows rendered in the table; copying always takes every matching row
+const VISIBLE_ROWS = 500
+
+const ColumnSummary = ({ summary }) => (
+  <div className="p-3 bg-gray-50 rounded-xl border border-gray-200">
+    <div className="flex items-baseline justify-between gap-2">
+      <span className="text-sm font-medium text-gray-800 truncate" title={summary.column}>{summary.column}</span>
+      <span className="text-xs text-gray-500 whitespace-nowrap">
+        {summary.distinctCount.toLocaleString()} distinct
+        {summary.emptyCount > 0 && ` · ${summary.emptyCount.toLocaleString()} empty`}
+      </span>
+    </div>
+    {summary.numeric ? (
+      <div className="mt-1 text-xs text-gray-600">
+        min {formatMeasureValue(summary.numeric.min)} · max {formatMeasureValue(summary.numeric.max)} · sum {formatMeasureValue(summary.numeric.sum)}
+      </div>
+    ) : (
+      <div className="mt-1 flex flex-wrap gap-1">
+        {summary.topValues.map(({ value, count }) => (
+          <span key={value} className="text-xs text-gray-700 bg-white border border-gray-200 px-2 py-0.5 rounded-full" title={value}>
+            <span className="inline-block max-w-[10rem] truncate align-bottom">{value}</span> <span className="text-gray-500">{count.toLocaleString()}</span>
+          </span>
+        ))}
+        {summary.distinctCount > summary.topValues.length && (
+          <span className="text-xs text-gray-500 px-1 py-0.5">+{(summary.distinctCount - summary.topValues.length).toLocaleString()} more</span>
+        )}
+      </div>
+    )}
+  </div>
+)
+
+// Side panel listing the uploaded rows behind the clicked node or MID.
+// mappedColumns are left out of the summaries: within one node they hold the
+// path itself.
+const NodeDetailPanel = ({ target, rows, columns, mappedColumns = [], levelAliases = {}, onClose }) => {
+  const [filterText, setFilterText] = useState('')
+  const [sort, setSort] = useState({ column: null, direction: 'asc' })
+  const [showSummary, setShowSummary] = useState(true)
+  // 'copied' or 'failed' for two seconds after a copy
+  const [copyStatus, setCopyStatus] = useState(null)
+
+  // A new node starts unfiltered; the sort column carries over
+  useEffect(() => {
+    setFilterText('')
+  }, [target])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const visibleRows = React.useMemo(() => {
+    const filtered = filterRows(rows, columns, filterText)
+    return sort.column ? sortRows(filtered, sort.column, sort.direction) : filtered
+  }, [rows, columns, filterText, sort])
+
+  const summaries = React.useMemo(() => {
+    return summarizeColumns(visibleRows, columns.filter(column => !mappedColumns.includes(column)))
+  }, [visibleRows, columns, mappedColumns])
+
+  // Ascending, then descending, then back to file order
+  const handleSort = (column) => {
+    setSort(prev => {
+      if (prev.column !== column) return { column, direction: 'asc' }
+      if (prev.direction === 'asc') return { column, direction: 'desc' }
+      return { column: null, direction: 'asc' }
+    })
+  }
+
+  const handleCopy = async () => {
+    const text = toCsvText({
+      headers: columns,
+      rows: visibleRows.map(row => columns.map(column => row[column] ?? ''))
+    })
+    setCopyStatus(await copyText(text) ? 'copied' : 'failed')
+    setTimeout(() => setCopyStatus(null), 2000)
+  }
+
+  const title = target.namePath.map(name => levelAliases[name] || name).join(PATH_SEPARATOR)
+
+  return (
+    <motion.aside
+      initial={{ x: '100%' }}
+      animate={{ x: 0 }}
+      exit={{ x: '100%' }}
+      transition={{ duration: 0.25 }}
+      className="fixed inset-y-0 right-0 z-30 w-full max-w-2xl bg-white shadow-2xl border-l border-gray-200 flex flex-col"
+      aria-label="Node details"
+    >
+      <div className="p-4 border-b border-gray-200 flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <h2 className="text-lg font-semibold text-gray-900 truncate" title={title}>{title}</h2>
+          <p className="text-sm text-gray-600">
+            {target.mid !== undefined && <span className="font-mono mr-2">MID {target.mid}</span>}
+            {visibleRows.length === rows.length
+              ? `${rows.length.toLocaleString()} source row${rows.length === 1 ? '' : 's'}`
+              : `${visibleRows.length.toLocaleString()} of ${rows.length.toLocaleString()} source rows`}
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-400 hover:text-gray-600"
+          title="Close (Esc)"
+        >
+          <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="p-4 border-b border-gray-200 bg-gray-50 flex items-center gap-2">
+        <input
+          type="text"
+          value={filterText}
+          onChange={(e) => setFilterText(e.target.value)}
+          placeholder="Filter rows"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          onClick={handleCopy}
+          disabled={visibleRows.length === 0}
+          className="px-3 py-2 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg border border-blue-200 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+        >
+          {copyStatus === 'copied' ? 'Copied' : copyStatus === 'failed' ? 'Copy failed' : 'Copy as CSV'}
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {summaries.length > 0 && (
+          <div className="p-4 border-b border-gray-200">
+            <button
+              onClick={() => setShowSummary(open => !open)}
+              className="text-sm font-medium text-gray-700 mb-2"
+            >
+              {showSummary ? '▾' : '▸'} Column summary
+            </button>
+            {showSummary && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {summaries.map(summary => (
+                  <ColumnSummary key={summary.column} summary={summary} />
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <table className="min-w-full text-xs">
+          <thead className="sticky top-0 bg-gray-100">
+            <tr>
+              {columns.map(column => (
+                <th
+                  key={column}
+                  onClick={() => handleSort(column)}
+                  aria-sort={sort.column === column ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                  className="text-left py-2 px-3 font-medium text-gray-700 whitespace-nowrap cursor-pointer hover:bg-gray-200 select-none"
+                >
+                  {column}
+                  {sort.column === column && (sort.direction === 'asc' ? ' ↑' : ' ↓')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.slice(0, VISIBLE_ROWS).map((row, rowIndex) => (
+              <tr key={rowIndex} className="border-b border-gray-100 hover:bg-gray-50">
+                {columns.map(column => (
+                  <td key={column} className="py-1 px-3 text-gray-600 whitespace-nowrap">
+                    {row[column]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {visibleRows.length === 0 && (
+          <p className="p-4 text-sm text-gray-500 text-center">No rows match the filter.</p>
+        )}
+        {visibleRows.length > VISIBLE_ROWS && (
+          <p className="p-4 text-xs text-gray-500 text-center">
+            Showing the first {VISIBLE_ROWS.toLocaleString()} rows; narrow them with the filter or copy all {visibleRows.length.toLocaleString()}.
+          </p>
+        )}
+      </div>
+    </motion.aside>
+  )
+}
+
+export default NodeDetailPanel
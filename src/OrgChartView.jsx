@@ -0,0 +1,232 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react'
+import { layoutOrgChart, orgChartLinkPath, ORG_NODE_WIDTH, ORG_NODE_HEIGHT } from './utils/orgChartLayout'
+
+const MIN_SCALE = 0.05
+const MAX_SCALE = 3
+const FIT_PADDING = 32
+const ZOOM_STEP = 1.25
+// Pointer travel (px) after which a press counts as a pan rather than a click
+const DRAG_THRESHOLD = 3
+
+const EMPTY_PATH = []
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale))
+
+const truncateLabel = (text, maxLength) => {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text
+}
+
+// Node-link diagram of the expanded part of the tree, drawn as SVG with
+// wheel zoom, drag to pan and click to collapse or expand. basePath is the
+// name path of hierarchyData when a subtree is in focus.
+const OrgChartView = ({ hierarchyData, nodes, expandedNodes, onToggleExpanded, getDisplayLabel, selectedPathKey, onSelectNode, basePath = EMPTY_PATH }) => {
+  const [orientation, setOrientation] = useState('horizontal')
+  const [transform, setTransform] = useState({ x: 0, y: 0, k: 1 })
+  const containerRef = useRef(null)
+  const dragRef = useRef(null)
+  const didDragRef = useRef(false)
+  const needsFitRef = useRef(true)
+
+  const layout = React.useMemo(() => {
+    return layoutOrgChart(hierarchyData, nodes, expandedNodes, orientation, basePath)
+  }, [hierarchyData, nodes, expandedNodes, orientation, basePath])
+
+  const fitToScreen = useCallback(() => {
+    const container = containerRef.current
+    if (!container) return
+    const { width, height } = container.getBoundingClientRect()
+    const { minX, maxX, minY, maxY } = layout.bounds
+    const contentWidth = maxX - minX
+    const contentHeight = maxY - minY
+    const k = clampScale(Math.min(
+      1,
+      (width - FIT_PADDING * 2) / contentWidth,
+      (height - FIT_PADDING * 2) / contentHeight
+    ))
+    setTransform({
+      k,
+      x: (width - contentWidth * k) / 2 - minX * k,
+      y: (height - contentHeight * k) / 2 - minY * k
+    })
+  }, [layout])
+
+  // Fit on first render and after switching orientation, but not on every
+  // expand/collapse so the part the user is looking at stays put
+  useEffect(() => {
+    if (needsFitRef.current) {
+      needsFitRef.current = false
+      fitToScreen()
+    }
+  }, [fitToScreen])
+
+  const zoomAt = (factor, centerX, centerY) => {
+    setTransform(prev => {
+      const k = clampScale(prev.k * factor)
+      const ratio = k / prev.k
+      return {
+        k,
+        x: centerX - (centerX - prev.x) * ratio,
+        y: centerY - (centerY - prev.y) * ratio
+      }
+    })
+  }
+
+  const zoomFromCenter = (factor) => {
+    const container = containerRef.current
+    if (!container) return
+    const { width, height } = container.getBoundingClientRect()
+    zoomAt(factor, width / 2, height / 2)
+  }
+
+  // React registers wheel listeners as passive, which can't preventDefault
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+    const handleWheel = (event) => {
+      event.preventDefault()
+      const rect = container.getBoundingClientRect()
+      zoomAt(Math.exp(-event.deltaY * 0.002), event.clientX - rect.left, event.clientY - rect.top)
+    }
+    container.addEventListener('wheel', handleWheel, { passive: false })
+    return () => container.removeEventListener('wheel', handleWheel)
+  }, [])
+
+  const handlePointerDown = (event) => {
+    if (event.button !== 0) return
+    dragRef.current = {
+      startX: event.clientX,
+      startY: event.clientY,
+      originX: transform.x,
+      originY: transform.y,
+      moved: false
+    }
+    didDragRef.current = false
+  }
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current
+    if (!drag) return
+    const dx = event.clientX - drag.startX
+    const dy = event.clientY - drag.startY
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return
+    if (!drag.moved) {
+      drag.moved = true
+      event.currentTarget.setPointerCapture(event.pointerId)
+    }
+    setTransform(prev => ({ ...prev, x: drag.originX + dx, y: drag.originY + dy }))
+  }
+
+  const handlePointerUp = () => {
+    didDragRef.current = Boolean(dragRef.current?.moved)
+    dragRef.current = null
+  }
+
+  const handleNodeClick = (entry) => {
+    // The click that ends a pan should not toggle the node under the pointer
+    if (didDragRef.current) return
+    if (entry.depth > 0 && onSelectNode) {
+      onSelectNode(entry.namePath)
+    }
+    if (entry.depth > 0 && entry.hasChildren && onToggleExpanded) {
+      onToggleExpanded(entry.key)
+    }
+  }
+
+  const handleOrientationChange = (value) => {
+    if (value === orientation) return
+    needsFitRef.current = true
+    setOrientation(value)
+  }
+
+  const controlButtonClass = 'px-2 py-1 text-xs font-medium text-gray-600 hover:bg-gray-100 rounded-lg transition-colors'
+
+  return (
+    <div className="relative flex-1 min-h-[480px] bg-gray-50">
+      {/* Diagram Controls */}
+      <div className="absolute top-3 right-3 z-10 flex items-center gap-1 bg-white rounded-xl border border-gray-200 shadow-sm p-1">
+        {[
+          { value: 'horizontal', label: 'Left → right' },
+          { value: 'vertical', label: 'Top ↓ down' }
+        ].map(option => (
+          <button
+            key={option.value}
+            onClick={() => handleOrientationChange(option.value)}
+            className={`${controlButtonClass} ${orientation === option.value ? 'bg-blue-50 text-blue-700' : ''}`}
+          >
+            {option.label}
+          </button>
+        ))}
+        <span className="w-px h-4 bg-gray-200 mx-1" />
+        <button onClick={() => zoomFromCenter(1 / ZOOM_STEP)} className={controlButtonClass} title="Zoom out">−</button>
+        <span className="text-xs text-gray-500 w-10 text-center">{Math.round(transform.k * 100)}%</span>
+        <button onClick={() => zoomFromCenter(ZOOM_STEP)} className={controlButtonClass} title="Zoom in">+</button>
+        <button onClick={fitToScreen} className={controlButtonClass}>Fit</button>
+      </div>
+
+      <div
+        ref={containerRef}
+        className="absolute inset-0 overflow-hidden cursor-grab active:cursor-grabbing select-none touch-none"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <svg className="w-full h-full">
+          <g transform={`translate(${transform.x},${transform.y}) scale(${transform.k})`}>
+            {layout.links.map(link => (
+              <path
+                key={link.key}
+                d={orgChartLinkPath(link, orientation)}
+                fill="none"
+                stroke="#d1d5db"
+                strokeWidth={1.5}
+              />
+            ))}
+
+            {layout.nodes.map(entry => {
+              const isRoot = entry.depth === 0
+              const isSelected = !isRoot && entry.namePath.join('\u0000') === selectedPathKey
+              const isLeaf = !entry.hasChildren && Boolean(entry.node.mids)
+              // The virtual root's name is not a level value, so it has no alias
+              const label = isRoot && basePath.length === 0 ? entry.node.name : getDisplayLabel(entry.node.name)
+              return (
+                <g
+                  key={isRoot ? 'root' : entry.key}
+                  transform={`translate(${entry.x - ORG_NODE_WIDTH / 2},${entry.y - ORG_NODE_HEIGHT / 2})`}
+                  className={entry.hasChildren && !isRoot ? 'cursor-pointer' : ''}
+                  onClick={() => handleNodeClick(entry)}
+                >
+                  <title>{`${label} — ${entry.node.count || 0} ${isLeaf ? 'MIDs' : 'items'}`}</title>
+                  <rect
+                    width={ORG_NODE_WIDTH}
+                    height={ORG_NODE_HEIGHT}
+                    rx={12}
+                    fill={isRoot ? '#eff6ff' : '#ffffff'}
+                    stroke={isSelected ? '#60a5fa' : '#e5e7eb'}
+                    strokeWidth={isSelected ? 2.5 : 1}
+                  />
+                  <text x={12} y={20} fontSize={13} fontWeight={600} fill="#111827">
+                    {truncateLabel(label, 22)}
+                  </text>
+                  <text x={12} y={37} fontSize={11} fill="#6b7280">
+                    {entry.node.count || 0} {isLeaf ? 'MIDs' : 'items'}
+                  </text>
+                  {entry.hasChildren && !isRoot && (
+                    <g transform={`translate(${ORG_NODE_WIDTH - 20},${ORG_NODE_HEIGHT / 2})`}>
+                      <circle r={8} fill="#dbeafe" />
+                      <text textAnchor="middle" dy="0.35em" fontSize={12} fontWeight={600} fill="#2563eb">
+                        {entry.isExpanded ? '−' : '+'}
+                      </text>
+                    </g>
+                  )}
+                </g>
+              )
+            })}
+          </g>
+        </svg>
+      </div>
+    </div>
+  )
+}
+
+export default OrgChartView
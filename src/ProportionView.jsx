@@ -0,0 +1,201 @@
+import React, { useState, useRef } from 'react'
+import useElementSize from './hooks/useElementSize'
+import { findNodeByPath } from './utils/hierarchy'
+import { layoutSunburst, layoutTreemap, arcPath, PALETTE, MIN_LABEL_SIZE } from './utils/proportionLayout'
+
+const truncateLabel = (text, maxLength) => {
+  return text.length > maxLength ? `${text.slice(0, Math.max(1, maxLength - 1))}…` : text
+}
+
+const EMPTY_PATH = []
+
+const formatValue = (value) => {
+  return Number.isInteger(value) ? value.toLocaleString() : value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+}
+
+// Sunburst or treemap of the hierarchy with area proportional to MID count or
+// a numeric measure. Clicking a branch drills into it; the breadcrumb drills out.
+// basePath is the name path of hierarchyData when a subtree is in focus.
+const ProportionView = ({ chartType, hierarchyData, nodes, getDisplayLabel, getNodeValue, sizeOptions = [], sizeBy = 'count', onSizeByChange, selectedPathKey, onSelectNode, basePath = EMPTY_PATH }) => {
+  const [drillPath, setDrillPath] = useState([])
+  const containerRef = useRef(null)
+  const { width, height } = useElementSize(containerRef)
+
+  // Search may have removed the node we were drilled into; fall back to the top
+  const filteredRoot = React.useMemo(() => ({ ...hierarchyData, children: nodes }), [hierarchyData, nodes])
+  const drilledNode = drillPath.length > 0 ? findNodeByPath(filteredRoot, drillPath) : null
+  const currentRoot = drilledNode || filteredRoot
+  const currentPath = drilledNode ? drillPath : []
+  const segmentPath = (segment) => [...basePath, ...currentPath, ...segment.namePath]
+
+  const layout = React.useMemo(() => {
+    if (width === 0 || height === 0) return null
+    if (chartType === 'sunburst') {
+      return layoutSunburst(currentRoot, getNodeValue, Math.min(width, height) / 2 - 8)
+    }
+    return layoutTreemap(currentRoot, getNodeValue, width, height)
+  }, [chartType, currentRoot, getNodeValue, width, height])
+
+  const handleSegmentClick = (segment) => {
+    if (onSelectNode) {
+      onSelectNode(segmentPath(segment))
+    }
+    if (segment.node.children && segment.node.children.length > 0) {
+      setDrillPath([...currentPath, ...segment.namePath])
+    }
+  }
+
+  const sizeLabel = sizeBy === 'count' ? 'MIDs' : sizeBy
+
+  const renderTooltip = (segment) => {
+    const share = layout.total > 0 ? ((segment.value / layout.total) * 100).toFixed(1) : '0'
+    return `${segmentPath(segment).map(getDisplayLabel).join(' › ')}\n${formatValue(segment.value)} ${sizeLabel} (${share}%)`
+  }
+
+  const renderSunburst = () => {
+    const centerRadius = layout.segments.find(segment => segment.depth === 1)?.innerRadius || 0
+    return (
+      <svg width={width} height={height}>
+        <g transform={`translate(${width / 2},${height / 2})`}>
+          {layout.segments.filter(segment => segment.depth > 0).map(segment => {
+            const isSelected = segmentPath(segment).join('\u0000') === selectedPathKey
+            const midAngle = (segment.startAngle + segment.endAngle) / 2
+            const midRadius = (segment.innerRadius + segment.outerRadius) / 2
+            const arcLength = (segment.endAngle - segment.startAngle) * midRadius
+            const ringWidth = segment.outerRadius - segment.innerRadius
+            // Rotate labels along the radius and flip the left half to stay upright
+            const rotation = (midAngle * 180) / Math.PI - 90
+            const flip = midAngle > Math.PI
+            return (
+              <g key={segment.namePath.join('\u0000')} className="cursor-pointer" onClick={() => handleSegmentClick(segment)}>
+                <title>{renderTooltip(segment)}</title>
+                <path
+                  d={arcPath(segment.startAngle, segment.endAngle, segment.innerRadius, segment.outerRadius)}
+                  fill={PALETTE[segment.colorIndex]}
+                  fillOpacity={Math.max(0.35, 1 - (segment.depth - 1) * 0.18)}
+                  stroke={isSelected ? '#111827' : '#ffffff'}
+                  strokeWidth={isSelected ? 2 : 1}
+                />
+                {arcLength > MIN_LABEL_SIZE / 2 && ringWidth > MIN_LABEL_SIZE && (
+                  <text
+                    transform={`rotate(${rotation}) translate(${midRadius},0) rotate(${flip ? 180 : 0})`}
+                    textAnchor="middle"
+                    dy="0.35em"
+                    fontSize={11}
+                    fill="#ffffff"
+                    pointerEvents="none"
+                  >
+                    {truncateLabel(getDisplayLabel(segment.node.name), Math.floor(ringWidth / 7))}
+                  </text>
+                )}
+              </g>
+            )
+          })}
+          <g
+            className={currentPath.length > 0 ? 'cursor-pointer' : ''}
+            onClick={() => currentPath.length > 0 && setDrillPath(currentPath.slice(0, -1))}
+          >
+            <circle r={Math.max(centerRadius - 2, 0)} fill="#ffffff" />
+            <text textAnchor="middle" dy="-0.2em" fontSize={12} fontWeight={600} fill="#111827">
+              {truncateLabel(currentPath.length > 0 ? getDisplayLabel(currentRoot.name) : currentRoot.name, Math.max(4, Math.floor(centerRadius / 4)))}
+            </text>
+            <text textAnchor="middle" dy="1.2em" fontSize={11} fill="#6b7280">
+              {formatValue(layout.total)} {sizeLabel}
+            </text>
+          </g>
+        </g>
+      </svg>
+    )
+  }
+
+  const renderTreemap = () => (
+    <svg width={width} height={height}>
+      {layout.segments.map(segment => {
+        const isSelected = segmentPath(segment).join('\u0000') === selectedPathKey
+        const isBranch = segment.point.children && segment.point.children.length > 0 && segment.depth < 3
+        const showLabel = segment.width > MIN_LABEL_SIZE && segment.height > 16
+        return (
+          <g key={segment.namePath.join('\u0000')} className="cursor-pointer" onClick={() => handleSegmentClick(segment)}>
+            <title>{renderTooltip(segment)}</title>
+            <rect
+              x={segment.x}
+              y={segment.y}
+              width={segment.width}
+              height={segment.height}
+              rx={4}
+              fill={PALETTE[segment.colorIndex]}
+              fillOpacity={isBranch ? 0.25 : Math.max(0.45, 1 - (segment.depth - 1) * 0.2)}
+              stroke={isSelected ? '#111827' : '#ffffff'}
+              strokeWidth={isSelected ? 2 : 1}
+            />
+            {showLabel && (
+              <text
+                x={segment.x + 6}
+                y={segment.y + 13}
+                fontSize={11}
+                fontWeight={isBranch ? 600 : 400}
+                fill={isBranch ? '#111827' : '#ffffff'}
+                pointerEvents="none"
+              >
+                {truncateLabel(getDisplayLabel(segment.node.name), Math.floor((segment.width - 12) / 6.5))}
+              </text>
+            )}
+          </g>
+        )
+      })}
+    </svg>
+  )
+
+  return (
+    <div className="flex-1 flex flex-col min-h-[480px]">
+      {/* Breadcrumb and Size Controls */}
+      <div className="flex items-center justify-between gap-2 px-4 py-2 border-b border-gray-100 bg-white">
+        <nav className="flex items-center flex-wrap gap-1 text-xs text-gray-600 min-w-0">
+          {[hierarchyData.name, ...currentPath].map((name, index) => {
+            const isLast = index === currentPath.length
+            return (
+              <React.Fragment key={index}>
+                {index > 0 && <span className="text-gray-400">›</span>}
+                <button
+                  onClick={() => setDrillPath(currentPath.slice(0, index))}
+                  disabled={isLast}
+                  className={`truncate max-w-[10rem] ${isLast ? 'font-semibold text-gray-900' : 'text-blue-600 hover:underline'}`}
+                >
+                  {index === 0 && basePath.length === 0 ? name : getDisplayLabel(name)}
+                </button>
+              </React.Fragment>
+            )
+          })}
+        </nav>
+        <label className="flex items-center gap-2 text-xs text-gray-600 whitespace-nowrap">
+          Size by
+          <select
+            className="px-2 py-1 border border-gray-300 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            value={sizeBy}
+            onChange={(e) => onSizeByChange && onSizeByChange(e.target.value)}
+          >
+            <option value="count">MID count</option>
+            {sizeOptions.map(column => (
+              <option key={column} value={column}>{column}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div ref={containerRef} className="relative flex-1 bg-gray-50 overflow-hidden">
+        {layout && layout.total > 0 && (
+          <div className="absolute inset-0">
+            {chartType === 'sunburst' ? renderSunburst() : renderTreemap()}
+          </div>
+        )}
+        {layout && layout.total === 0 && (
+          <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-500">
+            Nothing to show: every node has a size of 0 {sizeLabel}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ProportionView
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react'
+import { CHANGE_TYPES } from './utils/restructure'
+import { PATH_SEPARATOR } from './utils/hierarchyDiff'
+
+// Changes listed before "show all"
+const VISIBLE_CHANGES = 8
+
+const buttonClassName = 'px-3 py-1.5 text-xs font-medium rounded-lg border transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed'
+const neutralButton = `${buttonClassName} text-gray-700 bg-white hover:bg-gray-50 border-gray-300`
+const primaryButton = `${buttonClassName} text-blue-600 bg-blue-50 hover:bg-blue-100 border-blue-200`
+
+// Controls for restructuring mode: undo/redo, rename and new nodes for the
+// selected node, the change log and both exports. Moves are made by dragging
+// in the tree itself.
+const RestructureToolbar = ({
+  changes,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo,
+  onDiscard,
+  selectedPath = [],
+  levelAliases = {},
+  onRename,
+  onAddChild,
+  error,
+  onExportData,
+  onExportLog
+}) => {
+  const [name, setName] = useState('')
+  const [showAll, setShowAll] = useState(false)
+
+  const formatPath = (path) => path.map(item => levelAliases[item] || item).join(PATH_SEPARATOR)
+  const hasSelection = selectedPath.length > 0
+  const trimmedName = name.trim()
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes, outside text fields
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return
+      const key = event.key.toLowerCase()
+      if (key === 'z' && !event.shiftKey && canUndo) {
+        event.preventDefault()
+        onUndo()
+      } else if (((key === 'z' && event.shiftKey) || key === 'y') && canRedo) {
+        event.preventDefault()
+        onRedo()
+      }
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [canUndo, canRedo, onUndo, onRedo])
+
+  // Handlers return true when the edit went through, which clears the name
+  const submit = (handler) => {
+    if (handler(trimmedName)) {
+      setName('')
+    }
+  }
+
+  const newestFirst = [...changes].reverse()
+  const visibleChanges = showAll ? newestFirst : newestFirst.slice(0, VISIBLE_CHANGES)
+
+  return (
+    <div className="mb-4 p-4 bg-amber-50 border border-amber-200 rounded-2xl space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={onUndo} disabled={!canUndo} className={neutralButton} title="Undo (Ctrl+Z)">↶ Undo</button>
+        <button onClick={onRedo} disabled={!canRedo} className={neutralButton} title="Redo (Ctrl+Shift+Z)">↷ Redo</button>
+        <span className="text-xs text-gray-600">
+          {changes.length} change{changes.length === 1 ? '' : 's'}
+        </span>
+        <div className="flex-1" />
+        <button onClick={onExportData} disabled={changes.length === 0} className={primaryButton}>Modified CSV</button>
+        <button onClick={onExportLog} disabled={changes.length === 0} className={primaryButton}>Change log</button>
+        <button
+          onClick={onDiscard}
+          disabled={changes.length === 0}
+          className={`${buttonClassName} text-red-600 bg-red-50 hover:bg-red-100 border-red-200`}
+        >
+          Discard all
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-600">
+        Drag a node or a MID onto another node to move it. Name a node below to rename the selected one or add a node.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && hasSelection && trimmedName) submit((value) => onAddChild(selectedPath, value))
+          }}
+          placeholder={hasSelection ? `Name for ${formatPath(selectedPath)}` : 'Node name'}
+          className="flex-1 min-w-[10rem] px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          onClick={() => submit((value) => onRename(selectedPath, value))}
+          disabled={!hasSelection || !trimmedName}
+          className={neutralButton}
+        >
+          Rename selected
+        </button>
+        <button
+          onClick={() => submit((value) => onAddChild(selectedPath, value))}
+          disabled={!hasSelection || !trimmedName}
+          className={neutralButton}
+        >
+          Add under selected
+        </button>
+        <button
+          onClick={() => submit((value) => onAddChild([], value))}
+          disabled={!trimmedName}
+          className={neutralButton}
+        >
+          Add at top level
+        </button>
+      </div>
+
+      {error && <div className="text-xs text-red-600">{error}</div>}
+
+      {changes.length > 0 && (
+        <div className="space-y-1">
+          {visibleChanges.map((change, index) => (
+            <div key={changes.length - index} className="text-xs text-gray-700 truncate">
+              <span className="font-medium">{CHANGE_TYPES[change.type]}</span>{' '}
+              {change.type === 'moveMid' && <span className="font-mono">{change.item} </span>}
+              {change.fromPath.length > 0 && <span className="text-gray-500">{formatPath(change.fromPath)} → </span>}
+              {formatPath(change.toPath)}
+            </div>
+          ))}
+          {newestFirst.length > VISIBLE_CHANGES && (
+            <button onClick={() => setShowAll(all => !all)} className="text-xs text-blue-600 hover:text-blue-700">
+              {showAll ? 'Show fewer' : `Show all ${newestFirst.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RestructureToolbar
@@ -0,0 +1,187 @@
+import React, { useState, useMemo } from 'react'
+import {
+  DEFAULT_ROW_FILTERS,
+  FILTER_OPERATORS,
+  operatorArity,
+  isConditionComplete,
+  describeCondition
+} from './utils/rowFilters'
+
+// Distinct values offered as suggestions for the chosen column
+const MAX_SUGGESTIONS = 100
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+const emptyDraft = (column = '') => ({ column, operator: 'eq', value: '', valueTo: '' })
+
+// Builds the mapping's row filters: a form for one condition at a time and the
+// saved conditions as removable chips. Clicking a chip moves it back into the
+// form for editing. rows are the rows before filtering, used for value
+// suggestions; matchedCount is how many of them the filters keep.
+const RowFilterBuilder = ({ rowFilters = DEFAULT_ROW_FILTERS, columns, rows, matchedCount, onChange }) => {
+  const [draft, setDraft] = useState(() => emptyDraft(columns[0]))
+  const { combinator, conditions } = rowFilters
+  const arity = operatorArity(draft.operator)
+
+  const suggestions = useMemo(() => {
+    if (!draft.column || arity === 0) return []
+    const values = new Set()
+    for (const row of rows) {
+      const value = String(row[draft.column] ?? '').trim()
+      if (value) values.add(value)
+      if (values.size >= MAX_SUGGESTIONS) break
+    }
+    return [...values].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  }, [rows, draft.column, arity])
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+
+  const addCondition = () => {
+    if (!isConditionComplete(draft)) return
+    onChange({ ...rowFilters, conditions: [...conditions, draft] })
+    setDraft(emptyDraft(draft.column))
+  }
+
+  const removeCondition = (index) => {
+    onChange({ ...rowFilters, conditions: conditions.filter((_, i) => i !== index) })
+  }
+
+  const editCondition = (index) => {
+    setDraft({ ...emptyDraft(), ...conditions[index] })
+    removeCondition(index)
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') addCondition()
+  }
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200 space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="inline-flex rounded-lg border border-gray-200 bg-gray-50 p-0.5">
+          {[
+            { value: 'and', label: 'Match all' },
+            { value: 'or', label: 'Match any' }
+          ].map(option => (
+            <button
+              key={option.value}
+              onClick={() => onChange({ ...rowFilters, combinator: option.value })}
+              className={`px-2.5 py-1 text-xs font-medium rounded-md transition-all duration-200 ${
+                combinator === option.value ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {conditions.length > 0 && (
+          <span className="text-xs text-gray-500">
+            {matchedCount.toLocaleString()} of {rows.length.toLocaleString()} rows
+          </span>
+        )}
+      </div>
+
+      {conditions.length > 0 && (
+        <div className="flex flex-wrap gap-1.5">
+          {conditions.map((condition, index) => (
+            <span
+              key={index}
+              className="inline-flex items-center gap-1 max-w-full text-xs text-blue-800 bg-blue-50 border border-blue-200 rounded-full pl-2.5 pr-1 py-0.5"
+            >
+              {index > 0 && <span className="text-blue-500 uppercase">{combinator}</span>}
+              <button
+                onClick={() => editCondition(index)}
+                className="truncate hover:underline"
+                title="Edit this filter"
+              >
+                {describeCondition(condition)}
+              </button>
+              <button
+                onClick={() => removeCondition(index)}
+                className="p-0.5 rounded-full text-blue-500 hover:text-red-600 hover:bg-red-50"
+                aria-label={`Remove filter ${describeCondition(condition)}`}
+              >
+                <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </span>
+          ))}
+          {conditions.length > 1 && (
+            <button
+              onClick={() => onChange({ ...rowFilters, conditions: [] })}
+              className="text-xs font-medium text-red-600 hover:text-red-700 px-1"
+            >
+              Clear all
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          className={`flex-1 min-w-0 ${inputClassName}`}
+          value={draft.column}
+          onChange={(e) => updateDraft({ column: e.target.value })}
+        >
+          <option value="">Column...</option>
+          {columns.map(column => (
+            <option key={column} value={column}>{column}</option>
+          ))}
+        </select>
+        <select
+          className={`w-32 ${inputClassName}`}
+          value={draft.operator}
+          onChange={(e) => updateDraft({ operator: e.target.value })}
+        >
+          {FILTER_OPERATORS.map(operator => (
+            <option key={operator.value} value={operator.value}>{operator.label}</option>
+          ))}
+        </select>
+      </div>
+      {arity !== 0 && (
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            list="row-filter-values"
+            value={draft.value}
+            onChange={(e) => updateDraft({ value: e.target.value })}
+            onKeyDown={handleKeyDown}
+            placeholder={arity === 'list' ? 'US, CA' : arity === 2 ? 'From' : 'Value'}
+            className={`flex-1 min-w-0 ${inputClassName}`}
+          />
+          {arity === 2 && (
+            <input
+              type="text"
+              list="row-filter-values"
+              value={draft.valueTo}
+              onChange={(e) => updateDraft({ valueTo: e.target.value })}
+              onKeyDown={handleKeyDown}
+              placeholder="To"
+              className={`flex-1 min-w-0 ${inputClassName}`}
+            />
+          )}
+          <datalist id="row-filter-values">
+            {suggestions.map(value => (
+              <option key={value} value={value} />
+            ))}
+          </datalist>
+        </div>
+      )}
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs text-gray-500">
+          Numbers and dates compare by value; dates like 2024-01-31.
+        </p>
+        <button
+          onClick={addCondition}
+          disabled={!isConditionComplete(draft)}
+          className="px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg border border-blue-200 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Add filter
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default RowFilterBuilder
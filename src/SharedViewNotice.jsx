@@ -0,0 +1,63 @@
+import React from 'react'
+
+// Shown while a view opened from a link waits for a file it can be applied
+// to, or for the user to confirm the regex value rules it carries
+const SharedViewNotice = ({ sharedView, hasData, missingColumns = [], onResolvePatterns, onDismiss }) => {
+  if (!sharedView) return null
+
+  const fileLabel = sharedView.fileName || 'the file it was made from'
+
+  if (hasData && missingColumns.length === 0 && sharedView.regexColumns.length > 0) {
+    return (
+      <div className="mb-3 p-3 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800">
+        <p>
+          The shared view rewrites values in {sharedView.regexColumns.join(', ')} with regular expressions.
+          A pattern from an untrusted link can freeze this tab.
+        </p>
+        <div className="mt-2 flex gap-2">
+          <button
+            onClick={() => onResolvePatterns(true)}
+            className="px-2 py-1 text-xs font-medium text-amber-800 bg-amber-100 hover:bg-amber-200 rounded-lg transition-all duration-200"
+          >
+            Apply patterns
+          </button>
+          <button
+            onClick={() => onResolvePatterns(false)}
+            className="px-2 py-1 text-xs font-medium text-amber-700 hover:bg-amber-100 rounded-lg transition-all duration-200"
+          >
+            Open without them
+          </button>
+          <button
+            onClick={onDismiss}
+            className="px-2 py-1 text-xs font-medium text-amber-700 hover:bg-amber-100 rounded-lg transition-all duration-200"
+          >
+            Dismiss
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="mb-3 p-3 bg-blue-50 border border-blue-200 rounded-xl flex items-start justify-between gap-3">
+      <div className="text-sm text-blue-800">
+        {hasData && missingColumns.length > 0 ? (
+          <>
+            The shared view needs columns this file does not have: {missingColumns.join(', ')}.
+            Load {fileLabel} to open it.
+          </>
+        ) : (
+          <>Load {fileLabel} to open the shared view.</>
+        )}
+      </div>
+      <button
+        onClick={onDismiss}
+        className="px-2 py-1 text-xs font-medium text-blue-700 hover:bg-blue-100 rounded-lg transition-all duration-200"
+      >
+        Dismiss
+      </button>
+    </div>
+  )
+}
+
+export default SharedViewNotice
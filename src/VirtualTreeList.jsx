@@ -0,0 +1,296 @@
+import React, { useState, useRef } from 'react'
+import useElementSize from './hooks/useElementSize'
+import { flattenVisibleTree, formatShare, NODE_ROW_HEIGHT, MID_ROW_HEIGHT } from './utils/treeRows'
+import { measureKey, measureLabel, formatMeasureValue } from './utils/measures'
+import { nodeDragProps, midDragProps } from './utils/dragAndDrop'
+import { midTooltip } from './utils/midAttributes'
+import { filterMids, clickSelection } from './utils/midLists'
+import FocusButton from './FocusButton'
+import DetailsButton from './DetailsButton'
+import CopyMidsMenu from './CopyMidsMenu'
+import LeafMidToolbar from './LeafMidToolbar'
+
+// Rows rendered above and below the viewport to avoid blank flashes while scrolling
+const OVERSCAN_ROWS = 10
+const MID_CHIP_WIDTH = 120
+const INDENT_WIDTH = 16
+
+const rowHeight = (row) => {
+  if (row.type === 'node') return NODE_ROW_HEIGHT
+  return row.type === 'leafTools' ? row.height : MID_ROW_HEIGHT
+}
+
+const plainText = (text) => text
+
+const EMPTY_PATH = []
+
+const EMPTY_LEAF_STATE = { filterText: '', selected: new Set(), anchor: null }
+
+// Windowed alternative to the stacked TreeNode cards: only the rows inside the
+// scroll viewport are mounted, and there are no per-row animations.
+// renderHighlighted marks search matches in names and MIDs; activeHit is the
+// current search match, scrolled into view when it changes. treeProps carry
+// the tree role and keyboard handling owned by HierarchyTree; onShowDetails
+// opens the source rows of a node or clicked MID; dragAndDrop is set while
+// restructuring; midAttributes feed the MID chip tooltips. While a subtree is
+// in focus, basePath is its name path, focusTotal its MID count for the share
+// badges, and onFocusNode moves the focus to a clicked branch.
+// Leaves get the same MID filter and selection as the cards, kept here per
+// leaf because their rows mount and unmount while scrolling.
+const VirtualTreeList = ({ nodes, expandedNodes, onToggleExpanded, getDisplayLabel, selectedPathKey, onSelectNode, measures = [], renderHighlighted = plainText, activeHit = null, treeProps = {}, focusedPathKey, treeHasFocus = false, onFocusItem, onShowDetails, dragAndDrop = null, midAttributes = null, basePath = EMPTY_PATH, focusTotal = null, onFocusNode }) => {
+  const scrollRef = useRef(null)
+  const [dropTargetKey, setDropTargetKey] = useState(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  // { filterText, selected, anchor } of each leaf by key, once touched
+  const [leafStates, setLeafStates] = useState({})
+  const viewport = useElementSize(scrollRef)
+
+  const midsPerRow = Math.max(1, Math.floor((viewport.width - 32) / MID_CHIP_WIDTH))
+
+  const rows = React.useMemo(() => {
+    return flattenVisibleTree(nodes, expandedNodes, midsPerRow, basePath, leafStates)
+  }, [nodes, expandedNodes, midsPerRow, basePath, leafStates])
+
+  const updateLeafState = (key, update) => {
+    setLeafStates(prev => {
+      const state = prev[key] || EMPTY_LEAF_STATE
+      return { ...prev, [key]: { ...state, ...update(state) } }
+    })
+  }
+
+  // Clear a leaf's filter when it hides the current search match
+  React.useEffect(() => {
+    if (activeHit?.mid === undefined) return
+    setLeafStates(prev => {
+      const leafState = prev[activeHit.pathKey]
+      if (!leafState?.filterText || filterMids([activeHit.mid], leafState.filterText).length > 0) return prev
+      return { ...prev, [activeHit.pathKey]: { ...leafState, filterText: '' } }
+    })
+  }, [activeHit])
+
+  // Row offsets are prefix sums of the fixed row heights
+  const offsets = React.useMemo(() => {
+    const result = new Array(rows.length + 1)
+    result[0] = 0
+    rows.forEach((row, index) => {
+      result[index + 1] = result[index] + rowHeight(row)
+    })
+    return result
+  }, [rows])
+
+  const totalHeight = offsets[rows.length]
+
+  // Binary search for the first row that ends below the scroll position
+  const findRowIndex = (position) => {
+    let low = 0
+    let high = rows.length - 1
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2)
+      if (offsets[mid + 1] <= position) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+    return low
+  }
+
+  // Center the row holding the active search match, once per match; rows
+  // can arrive a render later while the match's branches open
+  const scrolledHitRef = useRef(null)
+  React.useEffect(() => {
+    if (!activeHit || activeHit === scrolledHitRef.current || !scrollRef.current) return
+    const rowIndex = rows.findIndex(row => (
+      row.namePath.join('\u0000') === activeHit.pathKey &&
+      (activeHit.mid === undefined ? row.type === 'node' : row.type === 'mids' && row.mids.includes(activeHit.mid))
+    ))
+    if (rowIndex === -1) return
+    scrolledHitRef.current = activeHit
+    scrollRef.current.scrollTop = Math.max(0, offsets[rowIndex] - (viewport.height - rowHeight(rows[rowIndex])) / 2)
+  }, [activeHit, rows, offsets, viewport.height])
+
+  // Keyboard focus can land on a row outside the window: scroll it in, then
+  // focus it once mounted. Only a newly focused node pulls the list along,
+  // so scrolling away with the wheel is left alone
+  const pendingFocusRef = useRef(null)
+  React.useEffect(() => {
+    pendingFocusRef.current = focusedPathKey
+  }, [focusedPathKey])
+
+  const startIndex = Math.max(0, findRowIndex(scrollTop) - OVERSCAN_ROWS)
+  const endIndex = Math.min(rows.length, findRowIndex(scrollTop + viewport.height) + OVERSCAN_ROWS + 1)
+  const visibleRows = rows.slice(startIndex, endIndex)
+
+  React.useEffect(() => {
+    if (!treeHasFocus || !pendingFocusRef.current || !scrollRef.current) return
+    const rowIndex = rows.findIndex(row => row.type === 'node' && row.namePath.join('\u0000') === pendingFocusRef.current)
+    if (rowIndex === -1) return
+    const element = scrollRef.current.querySelector(`[data-row-index="${rowIndex}"]`)
+    if (element) {
+      pendingFocusRef.current = null
+      if (document.activeElement !== element) element.focus()
+    } else {
+      scrollRef.current.scrollTop = Math.max(0, offsets[rowIndex] - (viewport.height - rowHeight(rows[rowIndex])) / 2)
+    }
+  }, [focusedPathKey, treeHasFocus, rows, startIndex, offsets, viewport.height])
+
+  return (
+    <div className="relative flex-1 min-h-[480px]">
+      <div
+        ref={scrollRef}
+        className="absolute inset-0 overflow-auto"
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <div className="relative" style={{ height: totalHeight + 32 }} {...treeProps}>
+          {visibleRows.map((row, index) => {
+            const style = {
+              position: 'absolute',
+              top: offsets[startIndex + index] + 16,
+              left: 16 + row.depth * INDENT_WIDTH,
+              right: 16,
+              height: rowHeight(row)
+            }
+
+            const pathKey = row.namePath.join('\u0000')
+
+            if (row.type === 'leafTools') {
+              const leafState = leafStates[pathKey] || EMPTY_LEAF_STATE
+              return (
+                <div key={row.key} style={style} className="flex flex-col justify-center gap-1 px-4">
+                  <LeafMidToolbar
+                    node={row.node}
+                    namePath={row.namePath}
+                    getDisplayLabel={getDisplayLabel}
+                    filterText={leafState.filterText}
+                    onFilterChange={(text) => updateLeafState(pathKey, () => ({ filterText: text }))}
+                    filteredMids={row.leafMids}
+                    selectedMids={row.node.mids.filter(mid => leafState.selected.has(mid))}
+                    onSelectAll={() => updateLeafState(pathKey, (state) => ({ selected: new Set([...state.selected, ...row.leafMids]) }))}
+                    onClearSelection={() => updateLeafState(pathKey, () => ({ selected: new Set(), anchor: null }))}
+                  />
+                </div>
+              )
+            }
+
+            if (row.type === 'mids') {
+              const leafState = leafStates[pathKey] || EMPTY_LEAF_STATE
+              return (
+                <div key={row.key} style={style} className="flex items-center gap-1 px-4">
+                  {row.mids.map((mid, midIndex) => {
+                    const isActive = activeHit?.mid === mid && activeHit.pathKey === pathKey
+                    const isSelected = leafState.selected.has(mid)
+                    return (
+                      <span
+                        key={midIndex}
+                        title={`${midTooltip(mid, midAttributes?.get(mid))}\nCtrl/⌘-click to select, Shift-click for a range`}
+                        onClick={(event) => {
+                          const next = clickSelection(leafState, mid, event, row.leafMids)
+                          if (next) {
+                            updateLeafState(pathKey, () => next)
+                          } else {
+                            onShowDetails?.(row.namePath, mid)
+                          }
+                        }}
+                        aria-pressed={isSelected}
+                        className={`text-xs font-mono px-2 py-1 rounded-lg truncate cursor-pointer select-none ${
+                          isSelected ? 'bg-blue-600 text-white hover:bg-blue-700' : 'text-gray-700 bg-blue-50 hover:bg-blue-100'
+                        } ${isActive ? 'ring-2 ring-yellow-400' : ''}`}
+                        {...midDragProps(dragAndDrop, row.namePath, mid)}
+                        style={{ width: MID_CHIP_WIDTH - 4 }}
+                      >
+                        {renderHighlighted(mid, { target: 'mid', pathKey, mid })}
+                      </span>
+                    )
+                  })}
+                </div>
+              )
+            }
+
+            const { node, namePath, hasChildren, isLeaf, isExpanded } = row
+            const isSelected = pathKey === selectedPathKey
+            const isFocused = pathKey === focusedPathKey
+            const label = getDisplayLabel(node.name)
+            const isActiveHit = activeHit?.mid === undefined && activeHit?.pathKey === pathKey
+            const handleClick = () => {
+              if (onSelectNode) {
+                onSelectNode(namePath)
+              }
+              if (hasChildren && onToggleExpanded) {
+                onToggleExpanded(row.key)
+              }
+            }
+            return (
+              <div key={row.key} style={style} className="py-1">
+                <div
+                  role="treeitem"
+                  aria-level={row.depth + 1}
+                  aria-setsize={row.setSize}
+                  aria-posinset={row.positionInSet}
+                  aria-expanded={hasChildren ? isExpanded : undefined}
+                  aria-selected={isSelected}
+                  aria-label={`${label}, ${node.count || 0} ${isLeaf ? 'MIDs' : 'items'}`}
+                  tabIndex={isFocused ? 0 : -1}
+                  data-row-index={startIndex + index}
+                  onFocus={() => onFocusItem?.(pathKey)}
+                  className={`h-full flex items-center px-4 rounded-2xl shadow-sm border cursor-pointer hover:bg-gray-50 transition-colors focus:outline-none ${
+                    dropTargetKey === row.key
+                      ? 'border-blue-400 ring-2 ring-blue-400'
+                      : isFocused && treeHasFocus
+                        ? 'border-blue-500 ring-2 ring-blue-500'
+                        : isSelected ? 'border-blue-400 ring-2 ring-blue-200' : 'border-gray-200'
+                  } ${isActiveHit ? 'bg-yellow-50' : dropTargetKey === row.key ? 'bg-blue-50' : 'bg-white'}`}
+                  onClick={handleClick}
+                  {...nodeDragProps(dragAndDrop, namePath, label, (isTarget) => {
+                    setDropTargetKey(current => isTarget ? row.key : current === row.key ? null : current)
+                  })}
+                >
+                  {hasChildren && (
+                    <svg
+                      className={`w-4 h-4 text-gray-500 mr-3 transition-transform duration-200 ${isExpanded ? 'rotate-90' : ''}`}
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                    </svg>
+                  )}
+                  <span className="font-semibold text-gray-900 truncate">
+                    {renderHighlighted(label, { target: 'name', level: node.level, pathKey })}
+                  </span>
+                  <span className="ml-2 text-xs text-gray-500 bg-blue-100 px-2 py-1 rounded-full whitespace-nowrap">
+                    {node.count || 0} {isLeaf ? 'MIDs' : 'items'}
+                  </span>
+                  {focusTotal !== null && (
+                    <span className="ml-2 text-xs text-gray-500 whitespace-nowrap" title="Share of the focused subtree's MIDs">
+                      {formatShare(node.count, focusTotal)}
+                    </span>
+                  )}
+                  {measures.map(measure => (
+                    <span
+                      key={measureKey(measure)}
+                      className="ml-2 text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded-full whitespace-nowrap"
+                      title={measureLabel(measure)}
+                    >
+                      {measureLabel(measure)}: {formatMeasureValue(node.measures?.[measureKey(measure)])}
+                    </span>
+                  ))}
+                  <div className="ml-auto pl-2 flex items-center gap-1">
+                    {hasChildren && onFocusNode && (
+                      <FocusButton label={label} onClick={() => onFocusNode(namePath)} />
+                    )}
+                    <CopyMidsMenu node={node} label={label} />
+                    {onShowDetails && (
+                      <DetailsButton label={label} onClick={() => onShowDetails(namePath)} />
+                    )}
+                  </div>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VirtualTreeList
@@ -0,0 +1,59 @@
+import { useState, useMemo, useCallback } from 'react'
+import { applyEdit } from '../utils/restructure'
+
+const NO_ENTRIES = []
+const NO_PLACEHOLDERS = []
+const emptyHistory = (baseRows) => ({ baseRows, entries: NO_ENTRIES, position: 0 })
+
+// Restructuring edits on top of the uploaded rows, with undo and redo. Each
+// entry keeps the rows and placeholders after its edit, so stepping through
+// the history never re-applies anything. A history belongs to the rows it was
+// made on; a new upload starts a fresh one.
+const useChangeSet = (baseRows) => {
+  const [storedHistory, setHistory] = useState(() => emptyHistory(baseRows))
+  const history = storedHistory.baseRows === baseRows ? storedHistory : emptyHistory(baseRows)
+
+  const { entries, position } = history
+  const current = useMemo(() => (
+    position > 0 ? entries[position - 1].state : { rows: baseRows, placeholders: NO_PLACEHOLDERS }
+  ), [entries, position, baseRows])
+
+  // Returns the change-log entry, or { error } when the edit is not allowed
+  const apply = useCallback((edit, context) => {
+    let result
+    try {
+      result = applyEdit(current, edit, context)
+    } catch (error) {
+      return { error: error.message }
+    }
+    setHistory({ baseRows, entries: [...entries.slice(0, position), result], position: position + 1 })
+    return result.change
+  }, [current, baseRows, entries, position])
+
+  const step = useCallback((delta) => {
+    setHistory(prev => {
+      const base = prev.baseRows === baseRows ? prev : emptyHistory(baseRows)
+      const nextPosition = Math.min(base.entries.length, Math.max(0, base.position + delta))
+      return nextPosition === base.position ? base : { ...base, position: nextPosition }
+    })
+  }, [baseRows])
+
+  const undo = useCallback(() => step(-1), [step])
+  const redo = useCallback(() => step(1), [step])
+  const reset = useCallback(() => setHistory(emptyHistory(baseRows)), [baseRows])
+
+  return {
+    rows: current.rows,
+    placeholders: current.placeholders,
+    // Changes in effect, oldest first; undone ones are dropped
+    changes: entries.slice(0, position).map(entry => entry.change),
+    canUndo: position > 0,
+    canRedo: position < entries.length,
+    apply,
+    undo,
+    redo,
+    reset
+  }
+}
+
+export default useChangeSet
@@ -0,0 +1,22 @@
+import { useEffect, useRef } from 'react'
+
+// Calls onClose on a mousedown outside the element behind `ref` while isOpen
+// is set. The latest onClose is always used, so callers can pass an inline
+// function without re-subscribing on every render.
+const useClickOutside = (ref, isOpen, onClose) => {
+  const onCloseRef = useRef(onClose)
+  onCloseRef.current = onClose
+
+  useEffect(() => {
+    if (!isOpen) return
+    const handleClickOutside = (event) => {
+      if (ref.current && !ref.current.contains(event.target)) {
+        onCloseRef.current()
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [ref, isOpen])
+}
+
+export default useClickOutside
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react'
+
+// Tracks the client size of the element behind `ref`, updating on resize
+const useElementSize = (ref) => {
+  const [size, setSize] = useState({ width: 0, height: 0 })
+
+  useEffect(() => {
+    const element = ref.current
+    if (!element) return
+
+    const measure = () => {
+      setSize({ width: element.clientWidth, height: element.clientHeight })
+    }
+    measure()
+
+    const observer = new ResizeObserver(measure)
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [ref])
+
+  return size
+}
+
+export default useElementSize
@@ -0,0 +1,100 @@
+import { useState, useRef, useEffect } from 'react'
+import { SUPPORTED_EXTENSIONS, detectFileFormat, fillMissingColumns } from '../utils/fileParsers'
+
+// Runs uploads through the parse worker. Rows arrive in batches and are
+// collected until the worker reports it is done, then onComplete receives
+// { data, columns }. Each hook instance owns its own worker, so several files
+// can be loaded independently.
+const useFileParser = ({ onComplete, onError }) => {
+  const [isLoading, setIsLoading] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [sheetNames, setSheetNames] = useState([])
+  const [selectedSheet, setSelectedSheet] = useState('')
+
+  const workerRef = useRef(null)
+  const pendingRowsRef = useRef([])
+  // Always call the latest callbacks, not the ones from when parsing started
+  const callbacksRef = useRef({ onComplete, onError })
+  callbacksRef.current = { onComplete, onError }
+
+  useEffect(() => {
+    return () => workerRef.current?.terminate()
+  }, [])
+
+  const handleWorkerMessage = (event) => {
+    const message = event.data
+    if (message.type === 'rows') {
+      // push() in a loop; spreading a large batch can overflow the call stack
+      message.rows.forEach(row => pendingRowsRef.current.push(row))
+      setProgress(message.progress)
+    } else if (message.type === 'done') {
+      const data = fillMissingColumns(pendingRowsRef.current, message.columns)
+      pendingRowsRef.current = []
+      setSheetNames(message.sheetNames || [])
+      setSelectedSheet(message.sheetName || '')
+      setIsLoading(false)
+      setProgress(null)
+      callbacksRef.current.onComplete({ data, columns: message.columns })
+    } else if (message.type === 'error') {
+      pendingRowsRef.current = []
+      setIsLoading(false)
+      setProgress(null)
+      callbacksRef.current.onError(message.message)
+    }
+  }
+
+  const terminateWorker = () => {
+    workerRef.current?.terminate()
+    workerRef.current = null
+    pendingRowsRef.current = []
+  }
+
+  const startParse = (message, totalBytes) => {
+    // A new upload replaces any parse still in flight
+    if (isLoading) {
+      terminateWorker()
+    }
+    if (!workerRef.current) {
+      workerRef.current = new Worker(
+        new URL('../workers/parseWorker.js', import.meta.url),
+        { type: 'module' }
+      )
+      workerRef.current.onmessage = handleWorkerMessage
+    }
+    pendingRowsRef.current = []
+    setIsLoading(true)
+    setProgress({ rows: 0, bytes: 0, totalBytes })
+    workerRef.current.postMessage(message)
+  }
+
+  const parseFile = (file) => {
+    const format = detectFileFormat(file)
+    if (!format) {
+      callbacksRef.current.onError(`Unsupported file type. Please upload one of: ${SUPPORTED_EXTENSIONS.join(', ')}`)
+      return
+    }
+    setSheetNames([])
+    setSelectedSheet('')
+    startParse({ type: 'parse', file, format }, file.size)
+  }
+
+  const selectSheet = (sheetName) => {
+    if (sheetNames.length === 0 || sheetName === selectedSheet) return
+    setSelectedSheet(sheetName)
+    startParse({ type: 'parseSheet', sheetName }, 0)
+  }
+
+  // Terminating is the only way to stop a worker mid-read; a fresh one is
+  // created on the next upload, so any loaded workbook is dropped as well
+  const cancel = () => {
+    terminateWorker()
+    setSheetNames([])
+    setSelectedSheet('')
+    setIsLoading(false)
+    setProgress(null)
+  }
+
+  return { isLoading, progress, sheetNames, selectedSheet, parseFile, selectSheet, cancel }
+}
+
+export default useFileParser
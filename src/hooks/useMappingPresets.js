@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react'
+import {
+  loadPresets,
+  storePresets,
+  createPreset,
+  mergePresets,
+  parsePresetFile,
+  serializePresets
+} from '../utils/mappingPresets'
+import { downloadFile } from '../utils/exporters'
+
+// Saved mapping presets, kept in sync with localStorage
+const useMappingPresets = () => {
+  const [presets, setPresets] = useState(loadPresets)
+
+  useEffect(() => {
+    storePresets(presets)
+  }, [presets])
+
+  // Saving under an existing name overwrites that preset
+  const savePreset = (name, columns, mapping) => {
+    const preset = createPreset(name, columns, mapping)
+    setPresets(prev => mergePresets(prev, [preset]))
+    return preset
+  }
+
+  const deletePreset = (presetId) => {
+    setPresets(prev => prev.filter(preset => preset.id !== presetId))
+  }
+
+  // Resolves with the number of presets imported; rejects on a bad file
+  const importPresets = async (file) => {
+    const imported = parsePresetFile(await file.text())
+    setPresets(prev => mergePresets(prev, imported))
+    return imported.length
+  }
+
+  const exportPresets = () => {
+    downloadFile(serializePresets(presets), 'hierarchy-mapping-presets.json', 'application/json')
+  }
+
+  return { presets, savePreset, deletePreset, importPresets, exportPresets }
+}
+
+export default useMappingPresets
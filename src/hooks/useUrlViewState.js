@@ -0,0 +1,50 @@
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import { encodeViewState, decodeViewState, withoutRegexTransforms } from '../utils/urlState'
+
+// Keeps the view in the URL hash. A link that was opened (or pasted into the
+// address bar) is returned as sharedView until the caller applies or
+// dismisses it; meanwhile the hash is left alone so the link is not lost.
+// Once data is loaded, every change to currentView replaces the hash.
+const useUrlViewState = (currentView, hasData) => {
+  const [sharedView, setSharedView] = useState(() => decodeViewState(window.location.hash))
+
+  useEffect(() => {
+    const handleHashChange = () => {
+      const view = decodeViewState(window.location.hash)
+      if (view) setSharedView(view)
+    }
+    window.addEventListener('hashchange', handleHashChange)
+    return () => window.removeEventListener('hashchange', handleHashChange)
+  }, [])
+
+  const hash = useMemo(() => {
+    return hasData && !sharedView ? encodeViewState(currentView) : null
+  }, [currentView, hasData, sharedView])
+
+  useEffect(() => {
+    if (hash !== null && window.location.hash.slice(1) !== hash) {
+      // replaceState keeps view tweaks out of the back-button history
+      window.history.replaceState(null, '', `#${hash}`)
+    }
+  }, [hash])
+
+  const clearSharedView = useCallback(() => setSharedView(null), [])
+
+  // Answer to the regex question: keep the patterns, or drop them and apply
+  // the rest of the shared view
+  const resolveSharedPatterns = useCallback((apply) => {
+    setSharedView(view => view && {
+      ...view,
+      mapping: apply ? view.mapping : withoutRegexTransforms(view.mapping),
+      regexColumns: []
+    })
+  }, [])
+
+  return {
+    sharedView,
+    clearSharedView,
+    resolveSharedPatterns
+  }
+}
+
+export default useUrlViewState
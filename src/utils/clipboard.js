@@ -0,0 +1,11 @@
+// Clipboard writes fail when the browser denies permission, the page is not
+// focused or it is served without HTTPS. copyText resolves to whether the
+// text was copied so callers can show a failed state instead.
+export const copyText = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text)
+    return true
+  } catch {
+    return false
+  }
+}
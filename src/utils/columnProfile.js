@@ -0,0 +1,179 @@
+// Profiles uploaded rows to suggest a level mapping. Levels are columns that
+// group rows (low cardinality) and nest inside one another: every value of a
+// deeper level belongs to a single value of the level above. The MID column
+// is the one that is filled and unique on (almost) every row.
+import { parseNumericValue } from './measures'
+import { DEFAULT_ROW_FILTERS } from './rowFilters'
+import { DEFAULT_MID_SORT } from './levelSorts'
+
+const SAMPLE_SIZE = 5000
+const MAX_SUGGESTED_LEVELS = 6
+// Share of rows that must agree before one column is said to nest in another
+const NESTING_THRESHOLD = 0.95
+// Below this overall confidence the suggestion is shown but not pre-applied
+export const AUTO_APPLY_CONFIDENCE = 0.6
+
+const MID_NAME_PATTERN = /(^|[^a-z])(mid|merchant[\s_-]*id|account[\s_-]*id|id)([^a-z]|$)/i
+
+const cellValue = (row, column) => {
+  const value = row[column]
+  return value === undefined || value === null ? '' : String(value).trim()
+}
+
+export const profileColumns = (rows, columns) => {
+  const sample = rows.slice(0, SAMPLE_SIZE)
+  return columns.map(column => {
+    const values = new Set()
+    let filled = 0
+    let numeric = 0
+    let fractional = 0
+    sample.forEach(row => {
+      const value = cellValue(row, column)
+      if (!value) return
+      filled++
+      values.add(value)
+      const number = parseNumericValue(value)
+      if (number !== null) {
+        numeric++
+        if (!Number.isInteger(number)) fractional++
+      }
+    })
+    return {
+      column,
+      rows: sample.length,
+      filled,
+      distinct: values.size,
+      emptyRatio: sample.length > 0 ? 1 - filled / sample.length : 1,
+      uniqueRatio: filled > 0 ? values.size / filled : 0,
+      // Amounts and rates: numeric with decimals, never a level or an ID
+      isMeasureLike: filled > 0 && numeric / filled >= 0.9 && fractional > 0
+    }
+  })
+}
+
+// Share of rows where the child value maps to its most common parent value;
+// 1 means every child value sits under exactly one parent
+export const nestingScore = (rows, parentColumn, childColumn) => {
+  const parentsByChild = new Map()
+  let total = 0
+  rows.slice(0, SAMPLE_SIZE).forEach(row => {
+    const child = cellValue(row, childColumn)
+    const parent = cellValue(row, parentColumn)
+    if (!child || !parent) return
+    total++
+    if (!parentsByChild.has(child)) {
+      parentsByChild.set(child, new Map())
+    }
+    const parents = parentsByChild.get(child)
+    parents.set(parent, (parents.get(parent) || 0) + 1)
+  })
+  if (total === 0) return 0
+  let consistent = 0
+  parentsByChild.forEach(parents => {
+    consistent += Math.max(...parents.values())
+  })
+  return consistent / total
+}
+
+const round = (value) => Math.round(value * 100) / 100
+
+const percent = (value) => `${Math.round(value * 100)}%`
+
+const suggestMidColumn = (profiles) => {
+  const candidates = profiles
+    .filter(profile => profile.filled > 0 && !profile.isMeasureLike && profile.uniqueRatio >= 0.8)
+    .map(profile => {
+      const nameHint = MID_NAME_PATTERN.test(profile.column)
+      const confidence = Math.min(1, profile.uniqueRatio * (1 - profile.emptyRatio) * (nameHint ? 1 : 0.85) + (nameHint ? 0.05 : 0))
+      const reasons = [`${percent(profile.uniqueRatio)} of values are unique`]
+      if (profile.emptyRatio > 0) reasons.push(`${percent(profile.emptyRatio)} empty`)
+      if (nameHint) reasons.push('name looks like an identifier')
+      return { column: profile.column, confidence: round(confidence), reason: reasons.join(', ') }
+    })
+    .sort((a, b) => b.confidence - a.confidence)
+  return candidates[0] || null
+}
+
+// Greedy chain from a top column down, each step picking the smallest column
+// that nests cleanly in the previous one. Every grouping column is tried as
+// the top and the longest chain wins, coarser tops first on a tie.
+const suggestLevels = (rows, profiles, midColumn) => {
+  const candidates = profiles
+    .filter(profile =>
+      profile.column !== midColumn &&
+      !profile.isMeasureLike &&
+      profile.distinct >= 2 &&
+      profile.emptyRatio < 0.5 &&
+      profile.uniqueRatio < 0.5
+    )
+    .sort((a, b) => a.distinct - b.distinct)
+
+  const scoreCache = new Map()
+  const cachedNestingScore = (parent, child) => {
+    const key = `${parent}\u0000${child}`
+    if (!scoreCache.has(key)) {
+      scoreCache.set(key, nestingScore(rows, parent, child))
+    }
+    return scoreCache.get(key)
+  }
+
+  const buildChain = (top) => {
+    const levels = [{
+      column: top.column,
+      confidence: round((1 - top.emptyRatio) * (top.distinct <= 50 ? 0.9 : 0.7)),
+      reason: `${top.distinct} distinct values, top of the longest nesting chain`
+    }]
+    let previous = top
+    while (levels.length < MAX_SUGGESTED_LEVELS) {
+      const next = candidates
+        .filter(profile => profile.distinct > previous.distinct)
+        .map(profile => ({ profile, score: cachedNestingScore(previous.column, profile.column) }))
+        .find(({ score }) => score >= NESTING_THRESHOLD)
+      if (!next) break
+      levels.push({
+        column: next.profile.column,
+        confidence: round(next.score * (1 - next.profile.emptyRatio)),
+        reason: `${next.profile.distinct} distinct values, nests under ${previous.column} on ${percent(next.score)} of rows`
+      })
+      previous = next.profile
+    }
+    return levels
+  }
+
+  return candidates.reduce((best, top) => {
+    const chain = buildChain(top)
+    return chain.length > best.length ? chain : best
+  }, [])
+}
+
+// Suggested levels and MID column, each with a confidence between 0 and 1 and
+// a one-line reason, plus a ready-to-apply column mapping
+export const suggestMapping = (rows, columns) => {
+  const profiles = profileColumns(rows, columns)
+  const mid = suggestMidColumn(profiles)
+  const levels = suggestLevels(rows, profiles, mid?.column)
+  const scores = [...levels.map(level => level.confidence), ...(mid ? [mid.confidence] : [])]
+  const confidence = scores.length > 0 && levels.length > 0
+    ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+    : 0
+
+  return {
+    levels,
+    mid,
+    confidence,
+    mapping: {
+      mode: 'levels',
+      levels: levels.map(level => level.column),
+      midColumn: mid?.column,
+      idColumn: undefined,
+      parentColumn: undefined,
+      labelColumn: undefined,
+      measures: [],
+      levelAliases: {},
+      levelTransforms: {},
+      rowFilters: DEFAULT_ROW_FILTERS,
+      levelSorts: {},
+      midSort: DEFAULT_MID_SORT
+    }
+  }
+}
@@ -0,0 +1,112 @@
+// Data-quality checks that catch inputs which build a tree without errors but
+// build the wrong one. Each finding names the node paths it affects so the
+// report can link back into the tree.
+import { PATH_SEPARATOR } from './hierarchyDiff'
+import { EMPTY_VALUE } from './sourceRows'
+
+export const FINDING_TYPES = [
+  { type: 'midMultiplePaths', label: 'MIDs under several paths', severity: 'error' },
+  { type: 'multipleParents', label: 'Values with several parents', severity: 'warning' },
+  { type: 'nearDuplicates', label: 'Near-duplicate names', severity: 'warning' },
+  { type: 'duplicateRows', label: 'Duplicate rows', severity: 'warning' }
+]
+
+// Case, whitespace and punctuation are ignored when comparing names
+const normalizeName = (name) => name.toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '')
+
+const pathKey = (namePath) => namePath.join('\u0000')
+
+const getOrCreate = (map, key, create) => {
+  if (!map.has(key)) {
+    map.set(key, create())
+  }
+  return map.get(key)
+}
+
+export const analyzeDataQuality = (hierarchyData, rows, columns, midColumn) => {
+  const findings = []
+  if (!hierarchyData?.children) return findings
+
+  const midPaths = new Map()
+  // Keyed by depth, then by name (or normalized name)
+  const pathsByName = new Map()
+  const namesByNormalized = new Map()
+
+  const walk = (node, namePath) => {
+    const depth = namePath.length - 1
+    if (node.name !== EMPTY_VALUE) {
+      getOrCreate(getOrCreate(pathsByName, depth, () => new Map()), node.name, () => []).push(namePath)
+      const spellings = getOrCreate(getOrCreate(namesByNormalized, depth, () => new Map()), normalizeName(node.name), () => new Map())
+      getOrCreate(spellings, node.name, () => []).push(namePath)
+    }
+    if (node.children && node.children.length > 0) {
+      node.children.forEach(child => walk(child, [...namePath, child.name]))
+    } else if (node.mids) {
+      node.mids.forEach(mid => getOrCreate(midPaths, mid, () => []).push(namePath))
+    }
+  }
+  hierarchyData.children.forEach(child => walk(child, [child.name]))
+
+  midPaths.forEach((paths, mid) => {
+    if (paths.length > 1) {
+      findings.push({
+        type: 'midMultiplePaths',
+        description: `MID ${mid} appears under ${paths.length} paths`,
+        paths
+      })
+    }
+  })
+
+  pathsByName.forEach(names => {
+    names.forEach((paths, name) => {
+      const parents = new Set(paths.map(path => pathKey(path.slice(0, -1))))
+      if (paths.length > 1 && parents.size > 1) {
+        findings.push({
+          type: 'multipleParents',
+          description: `"${name}" sits under ${parents.size} different parents`,
+          paths
+        })
+      }
+    })
+  })
+
+  namesByNormalized.forEach(groups => {
+    groups.forEach(spellings => {
+      if (spellings.size > 1) {
+        findings.push({
+          type: 'nearDuplicates',
+          description: `${[...spellings.keys()].map(name => `"${name}"`).join(', ')} differ only by case, spacing or punctuation`,
+          paths: [...spellings.values()].flat()
+        })
+      }
+    })
+  })
+
+  const rowCounts = new Map()
+  rows.forEach(row => {
+    const key = columns.map(column => row[column] ?? '').join('\u0001')
+    const entry = getOrCreate(rowCounts, key, () => ({ row, count: 0 }))
+    entry.count++
+  })
+  rowCounts.forEach(({ row, count }) => {
+    if (count < 2) return
+    const mid = midColumn ? row[midColumn]?.trim() : ''
+    const label = mid ? `Row for MID ${mid}` : `Row "${columns.slice(0, 3).map(column => row[column] ?? '').join(', ')}"`
+    findings.push({
+      type: 'duplicateRows',
+      description: `${label} appears ${count} times`,
+      paths: mid ? (midPaths.get(mid) || []) : []
+    })
+  })
+
+  return findings
+}
+
+export const qualityReportToRows = (findings) => {
+  const headers = ['Problem', 'Severity', 'Description', 'Affected paths']
+  const rows = findings.map(finding => {
+    const { label, severity } = FINDING_TYPES.find(option => option.type === finding.type)
+    return [label, severity, finding.description, finding.paths.map(path => path.join(PATH_SEPARATOR)).join('; ')]
+  })
+  return { headers, rows }
+}
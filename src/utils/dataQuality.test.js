@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import { analyzeDataQuality, qualityReportToRows } from './dataQuality'
+import { buildRootHierarchy } from './hierarchy'
+
+const columns = ['region', 'city', 'mid']
+const mapping = { mode: 'levels', levels: ['region', 'city'], midColumn: 'mid' }
+
+const analyze = (rows) => analyzeDataQuality(buildRootHierarchy(rows, mapping), rows, columns, 'mid')
+
+const findingsOfType = (findings, type) => findings.filter(finding => finding.type === type)
+
+describe('analyzeDataQuality', () => {
+  it('finds nothing in a consistent tree', () => {
+    expect(analyze([
+      { region: 'East', city: 'NYC', mid: 'm1' },
+      { region: 'West', city: 'LA', mid: 'm2' }
+    ])).toEqual([])
+  })
+
+  it('flags MIDs under several paths', () => {
+    const findings = analyze([
+      { region: 'East', city: 'NYC', mid: 'm1' },
+      { region: 'West', city: 'LA', mid: 'm1' }
+    ])
+    expect(findingsOfType(findings, 'midMultiplePaths')).toEqual([{
+      type: 'midMultiplePaths',
+      description: 'MID m1 appears under 2 paths',
+      paths: [['East', 'NYC'], ['West', 'LA']]
+    }])
+  })
+
+  it('flags values with several parents on the same level', () => {
+    const findings = analyze([
+      { region: 'East', city: 'Springfield', mid: 'm1' },
+      { region: 'West', city: 'Springfield', mid: 'm2' }
+    ])
+    expect(findingsOfType(findings, 'multipleParents')).toEqual([expect.objectContaining({
+      description: '"Springfield" sits under 2 different parents',
+      paths: [['East', 'Springfield'], ['West', 'Springfield']]
+    })])
+  })
+
+  it('flags names that differ only by case, spacing or punctuation', () => {
+    const findings = analyze([
+      { region: 'East', city: 'Acme Corp.', mid: 'm1' },
+      { region: 'East', city: 'ACME corp', mid: 'm2' }
+    ])
+    const [finding] = findingsOfType(findings, 'nearDuplicates')
+    expect(finding.paths).toHaveLength(2)
+    expect(finding.description).toContain('differ only by case, spacing or punctuation')
+  })
+
+  it('skips rows with an empty level value', () => {
+    const findings = analyze([
+      { region: 'East', city: '', mid: 'm1' },
+      { region: 'West', city: '', mid: 'm2' }
+    ])
+    expect(findingsOfType(findings, 'multipleParents')).toEqual([])
+  })
+
+  it('flags duplicate rows and links them to their MID', () => {
+    const row = { region: 'East', city: 'NYC', mid: 'm1' }
+    const findings = analyze([row, { ...row }])
+    expect(findingsOfType(findings, 'duplicateRows')).toEqual([{
+      type: 'duplicateRows',
+      description: 'Row for MID m1 appears 2 times',
+      paths: [['East', 'NYC']]
+    }])
+  })
+})
+
+describe('qualityReportToRows', () => {
+  it('writes one row per finding with joined paths', () => {
+    const findings = [{ type: 'midMultiplePaths', description: 'MID m1 appears under 2 paths', paths: [['East', 'NYC'], ['West', 'LA']] }]
+    expect(qualityReportToRows(findings)).toEqual({
+      headers: ['Problem', 'Severity', 'Description', 'Affected paths'],
+      rows: [['MIDs under several paths', 'error', 'MID m1 appears under 2 paths', 'East > NYC; West > LA']]
+    })
+  })
+})
@@ -0,0 +1,285 @@
+// Diagram exports of the tree as it is shown: only expanded branches and,
+// while searching, only the filtered nodes. The tree is drawn as an indented
+// outline with elbow connectors, which reads well on slides and splits
+// cleanly into PDF pages; Mermaid and Graphviz DOT get the same nodes as text.
+import { childKey } from './treeRows'
+import { buildImagePdf } from './pdfWriter'
+
+export const DEFAULT_MID_LIMIT = 10
+
+const PADDING = 24
+const INDENT = 28
+const NODE_HEIGHT = 28
+const NODE_ROW_HEIGHT = 40
+const MID_LINE_HEIGHT = 18
+const MIDS_PER_LINE = 6
+const MAX_LABEL_WIDTH = 360
+const FONT = '13px ui-sans-serif, system-ui, -apple-system, sans-serif'
+const MONO_FONT = '11px ui-monospace, SFMono-Regular, Menlo, monospace'
+
+// Slide-shaped PDF pages, in points, with room at the bottom for page numbers
+const PDF_PAGE = { width: 960, height: 540, margin: 32 }
+const PAGE_FOOTER_HEIGHT = 16
+// Canvas dimensions browsers reliably support
+const MAX_CANVAS_SIDE = 16384
+
+const countLabel = (node) => `${(node.count || 0).toLocaleString()} ${node.children ? 'items' : 'MIDs'}`
+
+// Visible tree for export: { id, label, countText, mids, hiddenMidCount,
+// children }. Leaves list at most midLimit MIDs (none when it is 0).
+// basePath is rootNode's name path when a subtree is in focus.
+export const collectDiagramTree = (rootNode, nodes, expandedNodes, { getLabel = (name) => name, midLimit = DEFAULT_MID_LIMIT, basePath = [] } = {}) => {
+  let nextId = 0
+  const toEntry = (node, nodeKey, label, isRoot = false) => {
+    const hasChildren = node.children && node.children.length > 0
+    const mids = !hasChildren && node.mids ? node.mids : []
+    const shownMids = mids.slice(0, Math.max(0, midLimit))
+    const entry = {
+      id: `n${nextId++}`,
+      label,
+      countText: countLabel(node),
+      mids: shownMids,
+      hiddenMidCount: mids.length - shownMids.length,
+      children: []
+    }
+    if (hasChildren && (isRoot || expandedNodes[nodeKey])) {
+      entry.children = node.children.map(child => {
+        const key = childKey(nodeKey, child.name)
+        return toEntry(child, key, getLabel(child.name))
+      })
+    }
+    return entry
+  }
+  return toEntry({ ...rootNode, children: nodes }, basePath.join('\u0000'), getLabel(rootNode.name), true)
+}
+
+const walk = (entry, visit, parent = null, depth = 0) => {
+  visit(entry, parent, depth)
+  entry.children.forEach(child => walk(child, visit, entry, depth + 1))
+}
+
+const midLines = (entry) => {
+  const lines = []
+  for (let index = 0; index < entry.mids.length; index += MIDS_PER_LINE) {
+    lines.push(entry.mids.slice(index, index + MIDS_PER_LINE).join('  '))
+  }
+  if (entry.hiddenMidCount > 0) {
+    lines.push(`… ${entry.hiddenMidCount.toLocaleString()} more`)
+  }
+  return lines
+}
+
+// Mermaid flowchart; MID lists hang off their leaf as a separate box
+export const diagramToMermaid = (tree) => {
+  // Mermaid entity codes start with #, so a literal # is escaped first
+  const escape = (text) => String(text).replace(/#/g, '#35;').replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;')
+  const lines = ['flowchart LR']
+  walk(tree, (entry, parent) => {
+    lines.push(`  ${entry.id}["${escape(entry.label)}<br/><small>${escape(entry.countText)}</small>"]`)
+    if (parent) lines.push(`  ${parent.id} --> ${entry.id}`)
+    const mids = midLines(entry)
+    if (mids.length > 0) {
+      lines.push(`  ${entry.id}_mids["${mids.map(escape).join('<br/>')}"]:::mids`)
+      lines.push(`  ${entry.id} -.- ${entry.id}_mids`)
+    }
+  })
+  lines.push('  classDef mids fill:#eff6ff,stroke:#bfdbfe,font-family:monospace,font-size:11px')
+  return `${lines.join('\n')}\n`
+}
+
+// Graphviz DOT digraph, left to right
+export const diagramToDot = (tree) => {
+  const escape = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+  const lines = [
+    'digraph hierarchy {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fillcolor="#ffffff", color="#d1d5db", fontname="Helvetica", fontsize=11];',
+    '  edge [color="#9ca3af"];'
+  ]
+  walk(tree, (entry, parent) => {
+    lines.push(`  ${entry.id} [label="${escape(entry.label)}\\n${escape(entry.countText)}"];`)
+    if (parent) lines.push(`  ${parent.id} -> ${entry.id};`)
+    const mids = midLines(entry)
+    if (mids.length > 0) {
+      lines.push(`  ${entry.id}_mids [shape=note, style=filled, fillcolor="#eff6ff", color="#bfdbfe", fontname="Courier", fontsize=10, label="${mids.map(line => `${escape(line)}\\l`).join('')}"];`)
+      lines.push(`  ${entry.id} -> ${entry.id}_mids [style=dashed, arrowhead=none];`)
+    }
+  })
+  lines.push('}')
+  return `${lines.join('\n')}\n`
+}
+
+// Text width in px: canvas measurement in the browser, an estimate elsewhere
+const createMeasurer = () => {
+  const context = typeof document !== 'undefined' ? document.createElement('canvas').getContext('2d') : null
+  return (text, font) => {
+    if (!context) return text.length * (font === MONO_FONT ? 6.6 : 7.2)
+    context.font = font
+    return context.measureText(text).width
+  }
+}
+
+const truncateToWidth = (text, maxWidth, font, measure) => {
+  if (measure(text, font) <= maxWidth) return text
+  let end = text.length
+  while (end > 1 && measure(`${text.slice(0, end)}…`, font) > maxWidth) end--
+  return `${text.slice(0, end)}…`
+}
+
+// One row per node and per line of MIDs, top to bottom. y is the row's top
+// edge; parentIndex points at the parent node's row.
+export const layoutDiagramRows = (tree, measure = createMeasurer()) => {
+  const rows = []
+  let y = PADDING
+  let width = 0
+  const place = (entry, parentIndex, depth) => {
+    const x = PADDING + depth * INDENT
+    const label = truncateToWidth(entry.label, MAX_LABEL_WIDTH, FONT, measure)
+    const boxWidth = measure(label, FONT) + measure(entry.countText, FONT) + 36
+    const index = rows.length
+    rows.push({ kind: 'node', x, y, height: NODE_ROW_HEIGHT, label, countText: entry.countText, boxWidth, parentIndex })
+    width = Math.max(width, x + boxWidth)
+    y += NODE_ROW_HEIGHT
+    midLines(entry).forEach(line => {
+      const lineX = x + INDENT
+      rows.push({ kind: 'mids', x: lineX, y, height: MID_LINE_HEIGHT, text: line, parentIndex: index })
+      width = Math.max(width, lineX + measure(line, MONO_FONT))
+      y += MID_LINE_HEIGHT
+    })
+    if (entry.mids.length > 0 || entry.hiddenMidCount > 0) y += 6
+    entry.children.forEach(child => place(child, index, depth + 1))
+  }
+  place(tree, null, 0)
+  return { rows, width: Math.ceil(width + PADDING), height: Math.ceil(y + PADDING) }
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// SVG markup for rows[from, to), drawn from top (a y offset into the layout);
+// connectors of rows whose parent is above the slice start at its top edge
+export const diagramRowsToSvg = (layout, { from = 0, to = layout.rows.length, top = 0, height = layout.height, footer = '' } = {}) => {
+  const { rows, width } = layout
+  const parts = []
+  for (let index = from; index < to; index++) {
+    const row = rows[index]
+    const rowTop = row.y - top
+    if (row.kind === 'node') {
+      if (row.parentIndex !== null) {
+        const parent = rows[row.parentIndex]
+        const startY = Math.max(parent.y - top + NODE_HEIGHT, 0)
+        parts.push(`<path d="M${parent.x + 12} ${startY} V${rowTop + NODE_HEIGHT / 2} H${row.x}" fill="none" stroke="#9ca3af" stroke-width="1.25"/>`)
+      }
+      parts.push(
+        `<rect x="${row.x}" y="${rowTop}" width="${row.boxWidth}" height="${NODE_HEIGHT}" rx="8" fill="#ffffff" stroke="#d1d5db"/>`,
+        `<text x="${row.x + 12}" y="${rowTop + 18}" font-size="13" font-weight="500" fill="#111827">${escapeXml(row.label)}` +
+          `<tspan dx="12" fill="#6b7280" font-weight="400">${escapeXml(row.countText)}</tspan></text>`
+      )
+    } else {
+      parts.push(`<text x="${row.x}" y="${rowTop + 13}" font-size="11" font-family="ui-monospace, SFMono-Regular, Menlo, monospace" fill="#374151">${escapeXml(row.text)}</text>`)
+    }
+  }
+  if (footer) {
+    parts.push(`<text x="${width - PADDING}" y="${height - 8}" font-size="10" text-anchor="end" fill="#9ca3af">${escapeXml(footer)}</text>`)
+  }
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="ui-sans-serif, system-ui, -apple-system, sans-serif">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...parts,
+    '</svg>'
+  ].join('\n')
+}
+
+export const diagramToSvg = (tree) => diagramRowsToSvg(layoutDiagramRows(tree))
+
+// Draws SVG markup onto a canvas scaled by `scale`
+const renderSvgToCanvas = (svg, width, height, scale) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }))
+  const image = new Image()
+  image.onload = () => {
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(width * scale)
+    canvas.height = Math.round(height * scale)
+    const context = canvas.getContext('2d')
+    context.fillStyle = '#ffffff'
+    context.fillRect(0, 0, canvas.width, canvas.height)
+    context.drawImage(image, 0, 0, canvas.width, canvas.height)
+    URL.revokeObjectURL(url)
+    resolve(canvas)
+  }
+  image.onerror = () => {
+    URL.revokeObjectURL(url)
+    reject(new Error('The diagram could not be drawn.'))
+  }
+  image.src = url
+})
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The image could not be encoded.')), type, quality)
+})
+
+// PNG of the whole diagram at up to 2x; very tall trees are drawn smaller,
+// and ones too large for a canvas at all are refused
+export const diagramToPng = async (tree) => {
+  const layout = layoutDiagramRows(tree)
+  const scale = Math.min(2, MAX_CANVAS_SIDE / layout.width, MAX_CANVAS_SIDE / layout.height)
+  if (scale < 0.5) {
+    throw new Error('The tree is too large for a PNG. Collapse some branches or export SVG or PDF.')
+  }
+  const canvas = await renderSvgToCanvas(diagramRowsToSvg(layout), layout.width, layout.height, scale)
+  return canvasToBlob(canvas, 'image/png')
+}
+
+// Rows split into page-high slices, never cutting through a row
+const paginateRows = (layout, sliceHeight) => {
+  const slices = []
+  let from = 0
+  while (from < layout.rows.length) {
+    const top = from === 0 ? 0 : layout.rows[from].y - 8
+    let to = from
+    while (to < layout.rows.length && layout.rows[to].y + layout.rows[to].height - top <= sliceHeight) to++
+    // A single row taller than a page still gets a page of its own
+    if (to === from) to = from + 1
+    slices.push({ from, to, top })
+    from = to
+  }
+  return slices
+}
+
+// Slide-sized PDF: the diagram is scaled to the page width (never enlarged)
+// and continued over as many pages as it needs
+export const diagramToPdf = async (tree) => {
+  const layout = layoutDiagramRows(tree)
+  const contentWidth = PDF_PAGE.width - PDF_PAGE.margin * 2
+  const contentHeight = PDF_PAGE.height - PDF_PAGE.margin * 2
+  const scale = Math.min(1, contentWidth / layout.width)
+  const slices = paginateRows(layout, contentHeight / scale - PAGE_FOOTER_HEIGHT)
+
+  const pages = []
+  for (const [index, slice] of slices.entries()) {
+    const sliceHeight = Math.min(contentHeight / scale, layout.height - slice.top)
+    const svg = diagramRowsToSvg(layout, {
+      ...slice,
+      height: sliceHeight,
+      footer: slices.length > 1 ? `${index + 1} / ${slices.length}` : ''
+    })
+    // Rendered at 2x the printed size for crisp text
+    const canvas = await renderSvgToCanvas(svg, layout.width, sliceHeight, scale * 2)
+    const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer())
+    const drawWidth = layout.width * scale
+    const drawHeight = sliceHeight * scale
+    pages.push({
+      jpeg,
+      imageWidth: canvas.width,
+      imageHeight: canvas.height,
+      x: PDF_PAGE.margin,
+      y: PDF_PAGE.height - PDF_PAGE.margin - drawHeight,
+      drawWidth,
+      drawHeight
+    })
+  }
+  return buildImagePdf(pages, PDF_PAGE)
+}
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest'
+import { collectDiagramTree, diagramToMermaid, diagramToDot } from './diagramExport'
+
+const LABEL = 'Say "hi" <b> C:\\temp #1'
+
+const tree = () => collectDiagramTree(
+  { name: 'root', count: 1 },
+  [{ name: LABEL, count: 1, mids: ['<m"1\\>'] }],
+  {}
+)
+
+describe('diagramToMermaid', () => {
+  it('escapes quotes, angle brackets and entity markers in labels', () => {
+    const text = diagramToMermaid(tree())
+    expect(text).toContain('n1["Say #quot;hi#quot; #lt;b#gt; C:\\temp #35;1<br/><small>1 MIDs</small>"]')
+    expect(text).toContain('n1_mids["#lt;m#quot;1\\#gt;"]:::mids')
+  })
+})
+
+describe('diagramToDot', () => {
+  it('escapes quotes and backslashes in labels', () => {
+    const text = diagramToDot(tree())
+    expect(text).toContain('n1 [label="Say \\"hi\\" <b> C:\\\\temp #1\\n1 MIDs"];')
+    expect(text).toContain('label="<m\\"1\\\\>\\l"];')
+  })
+})
@@ -0,0 +1,49 @@
+// HTML5 drag-and-drop props shared by the card and windowed tree views while
+// restructuring. dragAndDrop is HierarchyTree's { dragItem, onDragStart,
+// onDragEnd, canDrop, onDrop, midsDraggable }; the dragged item lives in React
+// state because dataTransfer cannot be read during dragover.
+
+// A node header: draggable as a subtree and a drop target for nodes and MIDs.
+// onDropTargetChange toggles the hover highlight.
+export const nodeDragProps = (dragAndDrop, namePath, label, onDropTargetChange) => {
+  if (!dragAndDrop) return {}
+  return {
+    draggable: true,
+    onDragStart: (event) => {
+      event.stopPropagation()
+      event.dataTransfer.effectAllowed = 'move'
+      event.dataTransfer.setData('text/plain', label)
+      dragAndDrop.onDragStart({ namePath })
+    },
+    onDragEnd: dragAndDrop.onDragEnd,
+    onDragOver: (event) => {
+      if (!dragAndDrop.canDrop(namePath)) return
+      event.preventDefault()
+      event.dataTransfer.dropEffect = 'move'
+      onDropTargetChange(true)
+    },
+    onDragLeave: (event) => {
+      if (!event.currentTarget.contains(event.relatedTarget)) onDropTargetChange(false)
+    },
+    onDrop: (event) => {
+      event.preventDefault()
+      onDropTargetChange(false)
+      dragAndDrop.onDrop(namePath)
+    }
+  }
+}
+
+// A MID chip: draggable on its own when the mapping has a MID column
+export const midDragProps = (dragAndDrop, namePath, mid) => {
+  if (!dragAndDrop?.midsDraggable) return {}
+  return {
+    draggable: true,
+    onDragStart: (event) => {
+      event.stopPropagation()
+      event.dataTransfer.effectAllowed = 'move'
+      event.dataTransfer.setData('text/plain', mid)
+      dragAndDrop.onDragStart({ namePath, mid })
+    },
+    onDragEnd: dragAndDrop.onDragEnd
+  }
+}
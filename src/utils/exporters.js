@@ -0,0 +1,106 @@
+// Serializers for exporting a built hierarchy. They work on any node, so the
+// same functions export the whole tree or just a selected subtree.
+import Papa from 'papaparse'
+import * as XLSX from 'xlsx'
+import { measureKey, measureLabel } from './measures'
+
+// Nested copy of a node keeping only the fields worth sharing
+export const hierarchyToJson = (node, depth = 0) => {
+  const result = {
+    name: node.name,
+    level: node.level ?? null,
+    depth,
+    count: node.count || 0
+  }
+  if (node.id !== undefined) {
+    result.id = node.id
+  }
+  if (node.measures) {
+    result.measures = node.measures
+  }
+  if (node.children) {
+    result.children = node.children.map(child => hierarchyToJson(child, depth + 1))
+  }
+  if (node.mids) {
+    result.mids = node.mids
+  }
+  return result
+}
+
+// One row per MID with the full path from the top of the tree as columns,
+// followed by that MID's measures. ancestors holds the nodes above `node`
+// (excluding the virtual root) so a subtree export still carries its
+// complete path.
+export const flattenHierarchyToRows = (node, { ancestors = [], isVirtualRoot = false, levelAliases = {}, midLabel = 'MID', measures = [] } = {}) => {
+  const leafPaths = []
+
+  const walk = (current, path) => {
+    const currentPath = [...path, current]
+    if (current.children && current.children.length > 0) {
+      current.children.forEach(child => walk(child, currentPath))
+    } else if (current.mids) {
+      leafPaths.push(currentPath)
+    }
+  }
+
+  if (isVirtualRoot) {
+    (node.children || []).forEach(child => walk(child, ancestors))
+  } else {
+    walk(node, ancestors)
+  }
+
+  const depth = leafPaths.reduce((max, path) => Math.max(max, path.length), 0)
+
+  // Name a path column after its source level when every node at that depth
+  // shares one; uneven parent/child trees fall back to "Level N"
+  const headers = Array.from({ length: depth }, (_, index) => {
+    const levelsAtDepth = new Set(leafPaths.map(path => path[index]?.level).filter(Boolean))
+    if (levelsAtDepth.size === 1) {
+      const [level] = levelsAtDepth
+      return levelAliases[level] || level
+    }
+    return `Level ${index + 1}`
+  })
+  headers.push(midLabel)
+  measures.forEach(measure => headers.push(measureLabel(measure)))
+
+  const rows = []
+  leafPaths.forEach(path => {
+    const names = Array.from({ length: depth }, (_, index) => path[index]?.name ?? '')
+    const leaf = path[path.length - 1]
+    leaf.mids.forEach(mid => {
+      const measureValues = measures.map(measure => leaf.midMeasures?.[mid]?.[measureKey(measure)] ?? '')
+      rows.push([...names, mid, ...measureValues])
+    })
+  })
+
+  return { headers, rows }
+}
+
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+export const exportJson = (data, filename) => {
+  downloadFile(JSON.stringify(data, null, 2), filename, 'application/json')
+}
+
+export const toCsvText = ({ headers, rows }) => Papa.unparse({ fields: headers, data: rows })
+
+export const exportCsv = (table, filename) => {
+  downloadFile(toCsvText(table), filename, 'text/csv;charset=utf-8')
+}
+
+export const exportXlsx = ({ headers, rows }, filename, sheetName = 'Hierarchy') => {
+  const workbook = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([headers, ...rows]), sheetName)
+  XLSX.writeFile(workbook, filename)
+}
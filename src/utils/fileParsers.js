@@ -0,0 +1,165 @@
+// File readers for every supported input format. They run inside the parse
+// worker and hand rows back in batches through onRows(rows, progress), where
+// every row is an object with string values, so the mapping panel, preview
+// table and hierarchy builders never need to know where the rows came from.
+import Papa from 'papaparse'
+import * as XLSX from 'xlsx'
+
+export const SUPPORTED_EXTENSIONS = ['.csv', '.tsv', '.tab', '.xlsx', '.xls', '.ndjson', '.jsonl']
+
+// Bytes read per streamed chunk; small enough for smooth progress updates
+const CHUNK_SIZE = 1024 * 1024
+
+// Rows per batch when a whole sheet is already in memory
+const ROW_BATCH_SIZE = 20000
+
+export const detectFileFormat = (file) => {
+  const name = file.name.toLowerCase()
+  if (name.endsWith('.tsv') || name.endsWith('.tab') || file.type === 'text/tab-separated-values') {
+    return 'tsv'
+  }
+  if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+    return 'excel'
+  }
+  if (name.endsWith('.ndjson') || name.endsWith('.jsonl')) {
+    return 'jsonl'
+  }
+  if (name.endsWith('.csv') || file.type === 'text/csv') {
+    return 'csv'
+  }
+  return null
+}
+
+// PapaParse delimiter for a text format; '' lets it detect commas, semicolons
+// and the like from the first rows, as plain CSV uploads always have
+export const delimiterForFormat = (format) => format === 'tsv' ? '\t' : ''
+
+// Coerce any parsed cell into the trimmed-string world the builders expect
+const toCellString = (value) => {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const recordToRow = (record, columnSet) => {
+  const row = {}
+  Object.keys(record).forEach(key => {
+    columnSet.add(key)
+    row[key] = toCellString(record[key])
+  })
+  return row
+}
+
+// JSON Lines records may leave keys out, and rows already posted from the
+// worker cannot be revisited there, so the collected rows get '' for every
+// column they lack once the final column list is known
+export const fillMissingColumns = (rows, columns) => {
+  rows.forEach(row => {
+    columns.forEach(column => {
+      if (!Object.prototype.hasOwnProperty.call(row, column)) row[column] = ''
+    })
+  })
+  return rows
+}
+
+export const streamDelimitedFile = (file, delimiter, onRows) => {
+  return new Promise((resolve, reject) => {
+    let columns = []
+    let rowCount = 0
+
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      delimiter,
+      chunkSize: CHUNK_SIZE,
+      chunk: (results, parser) => {
+        if (results.errors.length > 0) {
+          parser.abort()
+          reject(new Error(`${delimiter === '\t' ? 'TSV' : 'CSV'} parsing error: ${results.errors[0].message}`))
+          return
+        }
+        if (columns.length === 0 && results.meta.fields) {
+          columns = results.meta.fields
+        }
+        rowCount += results.data.length
+        // The cursor is how far PapaParse has read, in characters; multi-byte
+        // text runs slightly behind the byte count until the end
+        const bytes = Math.min(file.size, results.meta.cursor)
+        onRows(results.data, { rows: rowCount, bytes, totalBytes: file.size })
+      },
+      complete: () => {
+        resolve({ columns })
+      },
+      error: (error) => {
+        reject(new Error(`File reading error: ${error.message}`))
+      }
+    })
+  })
+}
+
+export const streamJsonLinesFile = async (file, onRows) => {
+  const reader = file.stream().getReader()
+  const decoder = new TextDecoder()
+  const columnSet = new Set()
+  let buffered = ''
+  let lineNumber = 0
+  let rowCount = 0
+  let bytes = 0
+
+  const parseLines = (lines) => {
+    const rows = []
+    lines.forEach(line => {
+      lineNumber++
+      const trimmed = line.trim()
+      if (!trimmed) return
+      let record
+      try {
+        record = JSON.parse(trimmed)
+      } catch (error) {
+        throw new Error(`JSON Lines parsing error on line ${lineNumber}: ${error.message}`)
+      }
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`JSON Lines parsing error on line ${lineNumber}: expected an object`)
+      }
+      rows.push(recordToRow(record, columnSet))
+    })
+    rowCount += rows.length
+    return rows
+  }
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    bytes += value.byteLength
+    buffered += decoder.decode(value, { stream: true })
+    const lines = buffered.split(/\r?\n/)
+    // The last piece may be a partial line; keep it for the next chunk
+    buffered = lines.pop()
+    onRows(parseLines(lines), { rows: rowCount, bytes, totalBytes: file.size })
+  }
+
+  buffered += decoder.decode()
+  onRows(parseLines([buffered]), { rows: rowCount, bytes: file.size, totalBytes: file.size })
+
+  return { columns: [...columnSet] }
+}
+
+export const readWorkbook = async (file) => {
+  const buffer = await file.arrayBuffer()
+  return XLSX.read(buffer, { type: 'array' })
+}
+
+export const streamWorkbookSheet = (workbook, sheetName, onRows, totalBytes = 0) => {
+  const sheet = workbook.Sheets[sheetName]
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found in workbook`)
+  }
+  // raw: false keeps dates and numbers as they are displayed in Excel
+  const records = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false })
+  const columnSet = new Set()
+  for (let start = 0; start < records.length; start += ROW_BATCH_SIZE) {
+    const rows = records.slice(start, start + ROW_BATCH_SIZE).map(record => recordToRow(record, columnSet))
+    onRows(rows, { rows: start + rows.length, bytes: totalBytes, totalBytes })
+  }
+  return { columns: [...columnSet] }
+}
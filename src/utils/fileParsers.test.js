@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import * as XLSX from 'xlsx'
+import { detectFileFormat, delimiterForFormat, fillMissingColumns, streamJsonLinesFile, streamWorkbookSheet } from './fileParsers'
+
+// Collects every batch a streaming reader hands to onRows
+const collectRows = () => {
+  const rows = []
+  const onRows = (batch) => batch.forEach(row => rows.push(row))
+  return { rows, onRows }
+}
+
+describe('detectFileFormat', () => {
+  it('detects the format from the extension', () => {
+    expect(detectFileFormat({ name: 'Accounts.CSV', type: '' })).toBe('csv')
+    expect(detectFileFormat({ name: 'accounts.tab', type: '' })).toBe('tsv')
+    expect(detectFileFormat({ name: 'accounts.xls', type: '' })).toBe('excel')
+    expect(detectFileFormat({ name: 'accounts.ndjson', type: '' })).toBe('jsonl')
+  })
+
+  it('falls back to the MIME type and rejects unknown files', () => {
+    expect(detectFileFormat({ name: 'export', type: 'text/tab-separated-values' })).toBe('tsv')
+    expect(detectFileFormat({ name: 'export', type: 'text/csv' })).toBe('csv')
+    expect(detectFileFormat({ name: 'accounts.json', type: 'application/json' })).toBeNull()
+  })
+})
+
+describe('delimiterForFormat', () => {
+  it('fixes tabs for TSV and lets PapaParse detect the CSV delimiter', () => {
+    expect(delimiterForFormat('tsv')).toBe('\t')
+    expect(delimiterForFormat('csv')).toBe('')
+  })
+})
+
+describe('streamJsonLinesFile', () => {
+  it('reads one object per line as string cells', async () => {
+    const file = new File(['{"region":"East","mid":1}\r\n\n{"region":"West","tags":["a"],"mid":null}\n'], 'accounts.jsonl')
+    const { rows, onRows } = collectRows()
+    const { columns } = await streamJsonLinesFile(file, onRows)
+    expect(columns).toEqual(['region', 'mid', 'tags'])
+    expect(rows).toEqual([
+      { region: 'East', mid: '1' },
+      { region: 'West', tags: '["a"]', mid: '' }
+    ])
+  })
+
+  it('reports the line of a malformed record', async () => {
+    const file = new File(['{"region":"East"}\n[1, 2]\n'], 'accounts.jsonl')
+    await expect(streamJsonLinesFile(file, () => {})).rejects.toThrow('line 2: expected an object')
+  })
+})
+
+describe('fillMissingColumns', () => {
+  it('gives every row an empty cell for the columns it lacks', () => {
+    const rows = [{ region: 'East' }, { region: 'West', mid: 'm1' }]
+    fillMissingColumns(rows, ['region', 'mid', 'constructor'])
+    expect(rows).toEqual([
+      { region: 'East', mid: '', constructor: '' },
+      { region: 'West', mid: 'm1', constructor: '' }
+    ])
+  })
+})
+
+describe('streamWorkbookSheet', () => {
+  const workbook = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['region', 'mid'], ['East', 101], ['West']]), 'Accounts')
+
+  it('reads a sheet with every column filled', () => {
+    const { rows, onRows } = collectRows()
+    const { columns } = streamWorkbookSheet(workbook, 'Accounts', onRows)
+    expect(columns).toEqual(['region', 'mid'])
+    expect(rows).toEqual([{ region: 'East', mid: '101' }, { region: 'West', mid: '' }])
+  })
+
+  it('rejects an unknown sheet', () => {
+    expect(() => streamWorkbookSheet(workbook, 'Missing', () => {})).toThrow('Sheet "Missing" not found')
+  })
+})
@@ -0,0 +1,331 @@
+// Hierarchy builders shared by the app. Every builder returns an array of
+// nodes shaped as { name, children, count } for branches and
+// { name, mids, count } for leaves, which is what HierarchyTree renders.
+// Nodes built from level columns also carry `level` (the source column);
+// nodes built from parent/child links carry `id` (the account id). An account
+// with children whose own rows also hold MIDs gets a first child leaf named
+// DIRECT_MIDS_NAME with `direct: true` for them, so they count and show.
+// When options.measures is set, every node also gets `measures` rolled up
+// from all rows beneath it, and leaves get `midMeasures` per MID
+// (see utils/measures). options.transforms maps a level or label column to a
+// function that normalizes its values before grouping (see utils/levelTransforms).
+// options.sorts maps a level column to its sort order and options.midSort
+// orders MIDs within leaves (see utils/levelSorts); siblings default to
+// alphabetical and MIDs to the order they first appear in.
+import { computeMeasures, computeMidMeasures } from './measures'
+import { compileTransforms } from './levelTransforms'
+import { sortLevelNodes, sortMids, adjacencySortColumn } from './levelSorts'
+
+export const DIRECT_MIDS_NAME = '(direct)'
+
+// Group rows by a fixed list of level columns
+export const buildHierarchy = (rows, levels, midColumn, options = {}) => {
+  if (!rows || rows.length === 0) return []
+
+  const { measures = [], transforms = {}, sorts = {}, midSort } = options
+  const withMeasures = (node, groupRows) => {
+    if (measures.length > 0) {
+      node.measures = computeMeasures(groupRows, measures)
+    }
+    return node
+  }
+  const transformValue = transforms[levels[0]]
+
+  // Group rows by the first level; a Map keeps groups in file order
+  const groups = new Map()
+  rows.forEach(row => {
+    const rawValue = row[levels[0]]?.trim()
+    const firstLevelValue = (rawValue && transformValue ? transformValue(rawValue) : rawValue) || '—'
+    if (!groups.has(firstLevelValue)) {
+      groups.set(firstLevelValue, [])
+    }
+    groups.get(firstLevelValue).push(row)
+  })
+
+  // Process each group
+  const nodes = [...groups].map(([groupName, groupRows]) => {
+    if (levels.length === 1) {
+      // This is a leaf node
+      if (midColumn) {
+        // Use midColumn for MIDs
+        const mids = sortMids([...new Set(groupRows.map(row => row[midColumn]?.trim()).filter(Boolean))], midSort)
+        const leaf = withMeasures({
+          name: groupName,
+          level: levels[0],
+          mids: mids,
+          count: mids.length
+        }, groupRows)
+        if (measures.length > 0) {
+          leaf.midMeasures = computeMidMeasures(groupRows, midColumn, measures)
+        }
+        return leaf
+      } else {
+        // Use the group name as MID
+        const leaf = withMeasures({
+          name: groupName,
+          level: levels[0],
+          mids: [groupName],
+          count: 1
+        }, groupRows)
+        if (measures.length > 0) {
+          leaf.midMeasures = { [groupName]: leaf.measures }
+        }
+        return leaf
+      }
+    } else {
+      // Recurse with remaining levels
+      const childNodes = buildHierarchy(groupRows, levels.slice(1), midColumn, options)
+      const totalCount = childNodes.reduce((sum, child) => sum + (child.count || 0), 0)
+
+      return withMeasures({
+        name: groupName,
+        level: levels[0],
+        children: childNodes,
+        count: totalCount
+      }, groupRows)
+    }
+  })
+
+  return sortLevelNodes(nodes, sorts[levels[0]])
+}
+
+// Inspect parent/child links without building anything, so validation and the
+// builder agree on what counts as a root, an orphan or a cycle.
+export const analyzeAdjacency = (rows, idColumn, parentColumn) => {
+  const accounts = new Map()
+  const duplicateIds = new Set()
+  let missingIdCount = 0
+
+  rows.forEach(row => {
+    const id = row[idColumn]?.trim()
+    if (!id) {
+      missingIdCount++
+      return
+    }
+    if (accounts.has(id)) {
+      duplicateIds.add(id)
+      accounts.get(id).rows.push(row)
+      return
+    }
+    accounts.set(id, { id, parentId: row[parentColumn]?.trim() || '', rows: [row] })
+  })
+
+  const childrenById = new Map()
+  const roots = []
+  const orphans = []
+
+  accounts.forEach(account => {
+    const { id, parentId } = account
+    if (!parentId) {
+      roots.push(id)
+    } else if (!accounts.has(parentId)) {
+      // Parent is referenced but never defined; surface it as a root
+      orphans.push(id)
+    } else {
+      if (!childrenById.has(parentId)) {
+        childrenById.set(parentId, [])
+      }
+      childrenById.get(parentId).push(id)
+    }
+  })
+
+  // Anything not reachable from a root or orphan sits in, or under, a cycle
+  const reachable = new Set()
+  const stack = [...roots, ...orphans]
+  while (stack.length > 0) {
+    const id = stack.pop()
+    if (reachable.has(id)) continue
+    reachable.add(id)
+    ;(childrenById.get(id) || []).forEach(childId => stack.push(childId))
+  }
+
+  const cycles = []
+  const seenInCycle = new Set()
+  accounts.forEach(({ id }) => {
+    if (reachable.has(id) || seenInCycle.has(id)) return
+    // Walk up the parent chain until an id repeats; that loop is the cycle
+    const visited = []
+    const visitedSet = new Set()
+    let current = id
+    while (!visitedSet.has(current)) {
+      visited.push(current)
+      visitedSet.add(current)
+      current = accounts.get(current).parentId
+    }
+    const cycle = visited.slice(visited.indexOf(current))
+    if (cycle.some(member => seenInCycle.has(member))) return
+    cycle.forEach(member => seenInCycle.add(member))
+    cycles.push(cycle)
+  })
+
+  const unreachableCount = accounts.size - reachable.size
+
+  return {
+    accounts,
+    childrenById,
+    roots,
+    orphans,
+    cycles,
+    unreachableCount,
+    duplicateIds: [...duplicateIds],
+    missingIdCount
+  }
+}
+
+// Build a tree from id/parent-id links. Accounts without children become
+// leaves whose MIDs are the midColumn values on their rows, or the account id;
+// MIDs on the rows of accounts with children go in their direct leaf.
+export const buildAdjacencyHierarchy = (rows, idColumn, parentColumn, labelColumn, midColumn, options = {}) => {
+  if (!rows || rows.length === 0 || !idColumn || !parentColumn) return []
+
+  const { measures = [], transforms = {}, sorts = {}, midSort } = options
+  const sort = sorts[adjacencySortColumn({ labelColumn, idColumn })]
+  const transformLabel = labelColumn && transforms[labelColumn]
+  const { accounts, childrenById, roots, orphans } = analyzeAdjacency(rows, idColumn, parentColumn)
+
+  // Rows of an account plus all of its descendants, for measure roll-ups
+  const subtreeRows = (id) => {
+    const collected = []
+    const stack = [id]
+    while (stack.length > 0) {
+      const current = stack.pop()
+      accounts.get(current).rows.forEach(row => collected.push(row))
+      ;(childrenById.get(current) || []).forEach(childId => stack.push(childId))
+    }
+    return collected
+  }
+
+  const withMeasures = (node, id) => {
+    if (measures.length > 0) {
+      node.measures = computeMeasures(subtreeRows(id), measures)
+    }
+    return node
+  }
+
+  const accountMids = (account) => (
+    sortMids([...new Set(account.rows.map(row => row[midColumn]?.trim()).filter(Boolean))], midSort)
+  )
+
+  // Leaf for the MIDs on a branch account's own rows, or null when it has none
+  const buildDirectLeaf = (account) => {
+    const mids = midColumn ? accountMids(account) : []
+    if (mids.length === 0) return null
+    const leaf = { name: DIRECT_MIDS_NAME, id: account.id, direct: true, mids, count: mids.length }
+    if (measures.length > 0) {
+      leaf.measures = computeMeasures(account.rows, measures)
+      leaf.midMeasures = computeMidMeasures(account.rows, midColumn, measures)
+    }
+    return leaf
+  }
+
+  const buildNode = (id) => {
+    const account = accounts.get(id)
+    const label = labelColumn && account.rows[0][labelColumn]?.trim()
+    const name = (label && transformLabel ? transformLabel(label) : label) || id
+    const childIds = childrenById.get(id) || []
+
+    if (childIds.length === 0) {
+      const mids = midColumn ? accountMids(account) : [id]
+      const leaf = withMeasures({
+        name,
+        id,
+        mids,
+        count: mids.length
+      }, id)
+      if (measures.length > 0) {
+        leaf.midMeasures = midColumn
+          ? computeMidMeasures(account.rows, midColumn, measures)
+          : { [id]: leaf.measures }
+      }
+      return leaf
+    }
+
+    const directLeaf = buildDirectLeaf(account)
+    const sortedChildren = sortLevelNodes(childIds.map(buildNode), sort)
+    const childNodes = directLeaf ? [directLeaf, ...sortedChildren] : sortedChildren
+    const totalCount = childNodes.reduce((sum, child) => sum + (child.count || 0), 0)
+
+    return withMeasures({
+      name,
+      id,
+      children: childNodes,
+      count: totalCount
+    }, id)
+  }
+
+  return sortLevelNodes([...roots, ...orphans].map(buildNode), sort)
+}
+
+// Resolve a path of node names (excluding the virtual root) back to a node
+export const findNodeByPath = (root, namePath) => {
+  let current = root
+  for (const name of namePath) {
+    current = current?.children?.find(child => child.name === name)
+    if (!current) return null
+  }
+  return current
+}
+
+// Recursively sorted copy of a node list, overriding the mapping's level
+// sorts. sortBy is 'name', 'count' or a measure key; nodes missing a measure
+// value always sort last.
+export const sortHierarchy = (nodes, sortBy = 'name', direction = 'asc') => {
+  const factor = direction === 'desc' ? -1 : 1
+  const valueOf = (node) => sortBy === 'count' ? (node.count || 0) : node.measures?.[sortBy]
+
+  const compare = (a, b) => {
+    if (sortBy === 'name') {
+      return factor * a.name.localeCompare(b.name)
+    }
+    const valueA = valueOf(a)
+    const valueB = valueOf(b)
+    if (valueA === null || valueA === undefined) return (valueB === null || valueB === undefined) ? 0 : 1
+    if (valueB === null || valueB === undefined) return -1
+    return factor * (valueA - valueB) || a.name.localeCompare(b.name)
+  }
+
+  return [...nodes].sort(compare).map(node => (
+    node.children ? { ...node, children: sortHierarchy(node.children, sortBy, direction) } : node
+  ))
+}
+
+// Build the full tree for a column mapping, wrapped in the virtual root node
+// that every view expects
+export const buildRootHierarchy = (rows, mapping, options = {}) => {
+  const buildOptions = {
+    ...options,
+    transforms: compileTransforms(mapping.levelTransforms),
+    sorts: mapping.levelSorts || {},
+    midSort: mapping.midSort
+  }
+  const nodes = mapping.mode === 'parentChild'
+    ? buildAdjacencyHierarchy(
+        rows,
+        mapping.idColumn,
+        mapping.parentColumn,
+        mapping.labelColumn,
+        mapping.midColumn,
+        buildOptions
+      )
+    : buildHierarchy(
+        rows,
+        mapping.levels,
+        mapping.midColumn,
+        buildOptions
+      )
+
+  const totalCount = nodes.reduce((sum, node) => sum + (node.count || 0), 0)
+  return {
+    name: 'All Accounts',
+    children: nodes,
+    count: totalCount
+  }
+}
+
+// Columns a file needs for a mapping to apply to it
+export const getMappedColumns = (mapping) => {
+  const columns = mapping.mode === 'parentChild'
+    ? [mapping.idColumn, mapping.parentColumn, mapping.labelColumn]
+    : [...mapping.levels]
+  return [...columns, mapping.midColumn].filter(Boolean)
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import { buildHierarchy, buildAdjacencyHierarchy, buildRootHierarchy, analyzeAdjacency, findNodeByPath, DIRECT_MIDS_NAME } from './hierarchy'
+
+describe('buildHierarchy', () => {
+  const rows = [
+    { country: 'US', city: 'NYC', mid: 'm1' },
+    { country: 'US', city: 'LA', mid: 'm2' },
+    { country: 'US', city: 'NYC', mid: 'm1' },
+    { country: 'CA', city: '', mid: 'm3' }
+  ]
+
+  it('groups rows by level and counts distinct MIDs', () => {
+    const nodes = buildHierarchy(rows, ['country', 'city'], 'mid')
+    expect(nodes.map(node => [node.name, node.count])).toEqual([['CA', 1], ['US', 2]])
+    const us = nodes.find(node => node.name === 'US')
+    expect(us.children.map(child => [child.name, child.mids])).toEqual([['LA', ['m2']], ['NYC', ['m1']]])
+  })
+
+  it('groups empty values under a dash', () => {
+    const ca = buildHierarchy(rows, ['country', 'city'], 'mid').find(node => node.name === 'CA')
+    expect(ca.children[0].name).toBe('—')
+  })
+
+  it('uses the group name as the MID without a MID column', () => {
+    const nodes = buildHierarchy(rows, ['country'], '')
+    expect(nodes.map(node => node.mids)).toEqual([['CA'], ['US']])
+  })
+})
+
+describe('buildAdjacencyHierarchy', () => {
+  it('keeps the MIDs on rows of accounts that have children', () => {
+    const rows = [
+      { id: 'A', parent: '', mid: 'a1' },
+      { id: 'A', parent: '', mid: 'a2' },
+      { id: 'B', parent: 'A', mid: 'b1' },
+      { id: 'C', parent: 'A', mid: 'c1' }
+    ]
+    const [root] = buildAdjacencyHierarchy(rows, 'id', 'parent', '', 'mid')
+    expect(root.count).toBe(4)
+    expect(root.children.map(child => child.name)).toEqual([DIRECT_MIDS_NAME, 'B', 'C'])
+    expect(root.children[0]).toMatchObject({ id: 'A', direct: true, mids: ['a1', 'a2'], count: 2 })
+  })
+
+  it('adds no direct leaf when a branch account has no MIDs of its own', () => {
+    const rows = [{ id: 'A', parent: '', mid: '' }, { id: 'B', parent: 'A', mid: 'b1' }]
+    const [root] = buildAdjacencyHierarchy(rows, 'id', 'parent', '', 'mid')
+    expect(root.children.map(child => child.name)).toEqual(['B'])
+    expect(root.count).toBe(1)
+  })
+
+  it('rolls measures of the direct leaf up from the account rows only', () => {
+    const rows = [
+      { id: 'A', parent: '', mid: 'a1', amount: '10' },
+      { id: 'B', parent: 'A', mid: 'b1', amount: '5' }
+    ]
+    const measures = [{ column: 'amount', aggregation: 'sum' }]
+    const [root] = buildAdjacencyHierarchy(rows, 'id', 'parent', '', 'mid', { measures })
+    const [direct] = root.children
+    expect(Object.values(direct.measures)).toEqual([10])
+    expect(Object.values(root.measures)).toEqual([15])
+  })
+
+  it('uses labels as names and the account id as the MID without a MID column', () => {
+    const rows = [{ id: '1', parent: '', name: 'Root' }, { id: '2', parent: '1', name: 'Child' }]
+    const [root] = buildAdjacencyHierarchy(rows, 'id', 'parent', 'name', '')
+    expect(root.name).toBe('Root')
+    expect(root.children).toEqual([expect.objectContaining({ name: 'Child', mids: ['2'], count: 1 })])
+  })
+})
+
+describe('analyzeAdjacency', () => {
+  it('finds roots, orphans, cycles and duplicate ids', () => {
+    const rows = [
+      { id: 'R', parent: '' },
+      { id: 'O', parent: 'missing' },
+      { id: 'X', parent: 'Y' },
+      { id: 'Y', parent: 'X' },
+      { id: 'R', parent: '' },
+      { id: '', parent: 'R' }
+    ]
+    const result = analyzeAdjacency(rows, 'id', 'parent')
+    expect(result.roots).toEqual(['R'])
+    expect(result.orphans).toEqual(['O'])
+    expect(result.cycles).toHaveLength(1)
+    expect(result.unreachableCount).toBe(2)
+    expect(result.duplicateIds).toEqual(['R'])
+    expect(result.missingIdCount).toBe(1)
+  })
+})
+
+describe('buildRootHierarchy', () => {
+  it('wraps the nodes in the All Accounts root and finds nodes by name path', () => {
+    const rows = [{ a: 'x', b: 'y', mid: '1' }, { a: 'x', b: 'z', mid: '2' }]
+    const root = buildRootHierarchy(rows, { mode: 'levels', levels: ['a', 'b'], midColumn: 'mid' })
+    expect(root).toMatchObject({ name: 'All Accounts', count: 2 })
+    expect(findNodeByPath(root, ['x', 'z']).mids).toEqual(['2'])
+    expect(findNodeByPath(root, ['x', 'nope'])).toBeNull()
+  })
+})
@@ -0,0 +1,157 @@
+// Compare two built hierarchies (before and after) node by node, matching
+// children by name. Every diff node carries a status of 'added', 'removed',
+// 'changed' or 'unchanged', both counts, and for leaves the MIDs that were
+// added, removed or moved between parent paths.
+
+export const PATH_SEPARATOR = ' > '
+
+// First path each MID appears under, as an array of names below the root
+const collectMidPaths = (root) => {
+  const midPaths = new Map()
+  const walk = (node, namePath) => {
+    if (node.children && node.children.length > 0) {
+      node.children.forEach(child => walk(child, [...namePath, child.name]))
+    } else if (node.mids) {
+      node.mids.forEach(mid => {
+        if (!midPaths.has(mid)) {
+          midPaths.set(mid, namePath)
+        }
+      })
+    }
+  }
+  ;(root?.children || []).forEach(child => walk(child, [child.name]))
+  return midPaths
+}
+
+const samePath = (a, b) => a.join('\u0000') === b.join('\u0000')
+
+export const diffHierarchies = (beforeRoot, afterRoot) => {
+  const beforeMidPaths = collectMidPaths(beforeRoot)
+  const afterMidPaths = collectMidPaths(afterRoot)
+
+  const diffNode = (before, after, namePath) => {
+    const source = after || before
+    const beforeChildren = before?.children || []
+    const afterChildren = after?.children || []
+
+    // Keep the current order, then append branches that disappeared
+    const childNames = [
+      ...afterChildren.map(child => child.name),
+      ...beforeChildren.map(child => child.name).filter(name => !afterChildren.some(child => child.name === name))
+    ]
+    const children = childNames.map(name => diffNode(
+      beforeChildren.find(child => child.name === name),
+      afterChildren.find(child => child.name === name),
+      [...namePath, name]
+    ))
+
+    const midChanges = []
+    const beforeMids = new Set(before?.mids || [])
+    const afterMids = new Set(after?.mids || [])
+    afterMids.forEach(mid => {
+      if (beforeMids.has(mid)) return
+      const previousPath = beforeMidPaths.get(mid)
+      if (!previousPath) {
+        midChanges.push({ mid, type: 'added' })
+      } else if (!samePath(previousPath, namePath)) {
+        midChanges.push({ mid, type: 'movedIn', fromPath: previousPath })
+      }
+    })
+    beforeMids.forEach(mid => {
+      if (afterMids.has(mid)) return
+      const nextPath = afterMidPaths.get(mid)
+      if (!nextPath) {
+        midChanges.push({ mid, type: 'removed' })
+      } else if (!samePath(nextPath, namePath)) {
+        midChanges.push({ mid, type: 'movedOut', toPath: nextPath })
+      }
+    })
+
+    const countBefore = before?.count || 0
+    const countAfter = after?.count || 0
+    let status = 'unchanged'
+    if (!before) {
+      status = 'added'
+    } else if (!after) {
+      status = 'removed'
+    } else if (
+      countBefore !== countAfter ||
+      midChanges.length > 0 ||
+      children.some(child => child.status !== 'unchanged')
+    ) {
+      status = 'changed'
+    }
+
+    return {
+      name: source.name,
+      level: source.level,
+      namePath,
+      status,
+      countBefore,
+      countAfter,
+      children: children.length > 0 ? children : undefined,
+      unchangedMidCount: [...afterMids].filter(mid => beforeMids.has(mid)).length,
+      midChanges
+    }
+  }
+
+  const root = diffNode(beforeRoot, afterRoot, [])
+  return { root, summary: summarizeDiff(root) }
+}
+
+const summarizeDiff = (root) => {
+  const summary = {
+    nodesAdded: 0,
+    nodesRemoved: 0,
+    nodesChanged: 0,
+    midsAdded: 0,
+    midsRemoved: 0,
+    midsMoved: 0
+  }
+  const walk = (node) => {
+    if (node.namePath.length > 0) {
+      if (node.status === 'added') summary.nodesAdded++
+      if (node.status === 'removed') summary.nodesRemoved++
+      if (node.status === 'changed') summary.nodesChanged++
+    }
+    node.midChanges.forEach(change => {
+      if (change.type === 'added') summary.midsAdded++
+      if (change.type === 'removed') summary.midsRemoved++
+      // Each move shows up twice (out of the old leaf, into the new one)
+      if (change.type === 'movedIn') summary.midsMoved++
+    })
+    ;(node.children || []).forEach(walk)
+  }
+  walk(root)
+  return summary
+}
+
+// Flat change report, one row per change, for CSV or Excel export
+export const diffToReportRows = (root) => {
+  const headers = ['Change', 'Path', 'MID', 'Old path', 'New path', 'Count before', 'Count after']
+  const rows = []
+  const walk = (node) => {
+    const path = node.namePath.join(PATH_SEPARATOR)
+    if (node.namePath.length > 0) {
+      if (node.status === 'added') {
+        rows.push(['Node added', path, '', '', path, node.countBefore, node.countAfter])
+      } else if (node.status === 'removed') {
+        rows.push(['Node removed', path, '', path, '', node.countBefore, node.countAfter])
+      } else if (node.countBefore !== node.countAfter) {
+        rows.push(['Count changed', path, '', '', '', node.countBefore, node.countAfter])
+      }
+    }
+    node.midChanges.forEach(change => {
+      if (change.type === 'added') {
+        rows.push(['MID added', path, change.mid, '', path, '', ''])
+      } else if (change.type === 'removed') {
+        rows.push(['MID removed', path, change.mid, path, '', '', ''])
+      } else if (change.type === 'movedIn') {
+        rows.push(['MID moved', path, change.mid, change.fromPath.join(PATH_SEPARATOR), path, '', ''])
+      }
+    })
+    ;(node.children || []).forEach(walk)
+  }
+  walk(root)
+  return { headers, rows }
+}
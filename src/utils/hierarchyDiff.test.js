@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { diffHierarchies, diffToReportRows } from './hierarchyDiff'
+import { buildRootHierarchy } from './hierarchy'
+
+const mapping = { mode: 'levels', levels: ['region', 'city'], midColumn: 'mid' }
+
+const before = buildRootHierarchy([
+  { region: 'East', city: 'NYC', mid: 'm1' },
+  { region: 'East', city: 'NYC', mid: 'm2' },
+  { region: 'East', city: 'Boston', mid: 'm3' },
+  { region: 'West', city: 'LA', mid: 'm4' }
+], mapping)
+
+const after = buildRootHierarchy([
+  { region: 'East', city: 'NYC', mid: 'm1' },
+  { region: 'East', city: 'Boston', mid: 'm3' },
+  { region: 'East', city: 'Boston', mid: 'm2' },
+  { region: 'North', city: 'Oslo', mid: 'm5' }
+], mapping)
+
+const childNamed = (node, name) => node.children.find(child => child.name === name)
+
+describe('diffHierarchies', () => {
+  const { root, summary } = diffHierarchies(before, after)
+
+  it('marks nodes added, removed, changed and unchanged', () => {
+    expect(root.children.map(node => [node.name, node.status])).toEqual([
+      ['East', 'changed'],
+      ['North', 'added'],
+      ['West', 'removed']
+    ])
+    expect(childNamed(root, 'North').namePath).toEqual(['North'])
+  })
+
+  it('records MIDs moved between leaves on both ends', () => {
+    const east = childNamed(root, 'East')
+    expect(childNamed(east, 'NYC').midChanges).toEqual([{ mid: 'm2', type: 'movedOut', toPath: ['East', 'Boston'] }])
+    expect(childNamed(east, 'Boston').midChanges).toEqual([{ mid: 'm2', type: 'movedIn', fromPath: ['East', 'NYC'] }])
+    expect(childNamed(east, 'Boston').unchangedMidCount).toBe(1)
+  })
+
+  it('counts each move once in the summary', () => {
+    expect(summary).toEqual({
+      nodesAdded: 2,
+      nodesRemoved: 2,
+      nodesChanged: 3,
+      midsAdded: 1,
+      midsRemoved: 1,
+      midsMoved: 1
+    })
+  })
+
+  it('reports identical trees as unchanged', () => {
+    expect(diffHierarchies(before, before).root.status).toBe('unchanged')
+  })
+})
+
+describe('diffToReportRows', () => {
+  it('lists one row per change with joined paths', () => {
+    const { headers, rows } = diffToReportRows(diffHierarchies(before, after).root)
+    expect(headers[0]).toBe('Change')
+    expect(rows).toContainEqual(['MID moved', 'East > Boston', 'm2', 'East > NYC', 'East > Boston', '', ''])
+    expect(rows).toContainEqual(['Node removed', 'West', '', 'West', '', 1, 0])
+    expect(rows).toContainEqual(['MID added', 'North > Oslo', 'm5', '', 'North > Oslo', '', ''])
+    expect(rows.filter(row => row[0] === 'MID moved')).toHaveLength(1)
+  })
+})
@@ -0,0 +1,94 @@
+// Sort orders chosen per level, stored on the column mapping as levelSorts:
+// { [levelColumn]: { by, direction, measure, order } }, and midSort:
+// { by, direction } for the MID chips inside leaves. `measure` is a
+// { column, aggregation } pair and `order` the node names of a manual order.
+// In parent/child mode there are no level columns, so every account sorts by
+// the setting of the label column, or of the ID column without one.
+import { measureKey } from './measures'
+
+export const LEVEL_SORT_MODES = [
+  { value: 'name', label: 'Alphabetical' },
+  { value: 'natural', label: 'Natural (MID 2 before MID 10)' },
+  { value: 'count', label: 'MID count' },
+  { value: 'measure', label: 'Measure' },
+  { value: 'appearance', label: 'File order' },
+  { value: 'manual', label: 'Manual order' }
+]
+
+export const MID_SORT_MODES = [
+  { value: 'appearance', label: 'File order' },
+  { value: 'name', label: 'Alphabetical' },
+  { value: 'natural', label: 'Natural' }
+]
+
+export const DEFAULT_LEVEL_SORT = { by: 'name', direction: 'asc' }
+
+// Chips have always kept the order MIDs first appear in
+export const DEFAULT_MID_SORT = { by: 'appearance', direction: 'asc' }
+
+// Column whose levelSorts entry applies to a parent/child mapping
+export const adjacencySortColumn = (mapping) => mapping.labelColumn || mapping.idColumn
+
+export const isLevelSortActive = (sort) => Boolean(sort) && (sort.by !== DEFAULT_LEVEL_SORT.by || sort.direction === 'desc')
+
+const compareNames = (a, b) => a.localeCompare(b)
+const compareNatural = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }) || a.localeCompare(b)
+
+// Manual order first, then anything it does not list alphabetically
+export const manualOrder = (names, order = []) => {
+  const present = new Set(names)
+  const listed = order.filter(name => present.has(name))
+  const listedSet = new Set(listed)
+  return [...listed, ...names.filter(name => !listedSet.has(name)).sort(compareNames)]
+}
+
+// Sorted copy of one level's sibling nodes, which arrive in file order.
+// Nodes missing a measure value always sort last.
+export const sortLevelNodes = (nodes, sort = DEFAULT_LEVEL_SORT) => {
+  const { by = 'name', direction = 'asc' } = sort
+  const factor = direction === 'desc' ? -1 : 1
+
+  if (by === 'manual') {
+    const rank = new Map(manualOrder(nodes.map(node => node.name), sort.order).map((name, index) => [name, index]))
+    return [...nodes].sort((a, b) => rank.get(a.name) - rank.get(b.name))
+  }
+  if (by === 'appearance') {
+    return direction === 'desc' ? [...nodes].reverse() : [...nodes]
+  }
+  if (by === 'count' || (by === 'measure' && sort.measure)) {
+    const key = by === 'measure' && measureKey(sort.measure)
+    const valueOf = (node) => by === 'count' ? (node.count || 0) : node.measures?.[key]
+    return [...nodes].sort((a, b) => {
+      const valueA = valueOf(a)
+      const valueB = valueOf(b)
+      if (valueA === null || valueA === undefined) return (valueB === null || valueB === undefined) ? compareNames(a.name, b.name) : 1
+      if (valueB === null || valueB === undefined) return -1
+      return factor * (valueA - valueB) || compareNames(a.name, b.name)
+    })
+  }
+  const compare = by === 'natural' ? compareNatural : compareNames
+  return [...nodes].sort((a, b) => factor * compare(a.name, b.name))
+}
+
+// Sorted copy of a leaf's MIDs, which arrive in file order
+export const sortMids = (mids, midSort = DEFAULT_MID_SORT) => {
+  const { by = 'appearance', direction = 'asc' } = midSort
+  const factor = direction === 'desc' ? -1 : 1
+  if (by === 'appearance') {
+    return direction === 'desc' ? [...mids].reverse() : mids
+  }
+  const compare = by === 'natural' ? compareNatural : compareNames
+  return [...mids].sort((a, b) => factor * compare(a, b))
+}
+
+// Distinct node names in the tree, in tree order; level limits them to nodes
+// built from that column, and null takes every node
+export const levelValues = (nodes, level = null) => {
+  const names = new Set()
+  const visit = (node) => {
+    if (level === null || node.level === level) names.add(node.name)
+    ;(node.children || []).forEach(visit)
+  }
+  nodes.forEach(visit)
+  return [...names]
+}
@@ -0,0 +1,156 @@
+// Per-column value normalization applied before rows are grouped, so
+// "ACME Corp", "Acme corp." and "ACME CORP" can land in one node. Rules are
+// stored on the column mapping as levelTransforms[column]:
+// { caseFold, stripPunctuation, collapseWhitespace, regexMode, pattern,
+//   replacement, lookup } where lookup maps raw values to canonical names.
+
+export const CASE_FOLDS = [
+  { value: 'none', label: 'Keep case' },
+  { value: 'lower', label: 'lowercase' },
+  { value: 'upper', label: 'UPPERCASE' },
+  { value: 'title', label: 'Title Case' }
+]
+
+export const REGEX_MODES = [
+  { value: 'none', label: 'No regex' },
+  { value: 'extract', label: 'Extract' },
+  { value: 'replace', label: 'Replace' }
+]
+
+export const DEFAULT_TRANSFORM = {
+  caseFold: 'none',
+  stripPunctuation: false,
+  collapseWhitespace: false,
+  regexMode: 'none',
+  pattern: '',
+  replacement: '',
+  lookup: {}
+}
+
+export const isTransformActive = (transform) => Boolean(transform) && (
+  transform.caseFold !== 'none' ||
+  transform.stripPunctuation ||
+  transform.collapseWhitespace ||
+  (transform.regexMode !== 'none' && transform.pattern) ||
+  Object.keys(transform.lookup || {}).length > 0
+)
+
+// Message for an unusable regex, or null
+export const transformError = (transform) => {
+  if (!transform || transform.regexMode === 'none' || !transform.pattern) return null
+  try {
+    new RegExp(transform.pattern)
+    return null
+  } catch (regexError) {
+    return regexError.message
+  }
+}
+
+const CASE_FOLDERS = {
+  none: (value) => value,
+  lower: (value) => value.toLowerCase(),
+  upper: (value) => value.toUpperCase(),
+  title: (value) => value.toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase())
+}
+
+// Function from a trimmed raw value to its canonical value. A lookup entry
+// for the raw value wins; otherwise the rules run in order (regex,
+// punctuation, whitespace, case) and the lookup is tried once more on the
+// result. Results are cached since level columns repeat heavily.
+export const compileTransform = (transform) => {
+  if (!isTransformActive(transform)) return null
+  const lookup = transform.lookup || {}
+  const foldCase = CASE_FOLDERS[transform.caseFold] || CASE_FOLDERS.none
+  let regex = null
+  if (transform.regexMode !== 'none' && transform.pattern && !transformError(transform)) {
+    regex = new RegExp(transform.pattern, transform.regexMode === 'replace' ? 'g' : '')
+  }
+
+  const cache = new Map()
+  return (value) => {
+    if (cache.has(value)) return cache.get(value)
+    let result = value
+    if (Object.prototype.hasOwnProperty.call(lookup, value)) {
+      result = lookup[value]
+    } else {
+      if (regex && transform.regexMode === 'extract') {
+        const match = result.match(regex)
+        if (match) {
+          result = match[1] ?? match[0]
+        }
+      } else if (regex) {
+        result = result.replace(regex, transform.replacement || '')
+      }
+      if (transform.stripPunctuation) {
+        result = result.replace(/[\p{P}\p{S}]+/gu, '')
+      }
+      if (transform.collapseWhitespace || transform.stripPunctuation) {
+        result = result.replace(/\s+/g, ' ')
+      }
+      result = foldCase(result.trim())
+      if (Object.prototype.hasOwnProperty.call(lookup, result)) {
+        result = lookup[result]
+      }
+    }
+    cache.set(value, result)
+    return result
+  }
+}
+
+// { column: transformFunction } for every column with active rules
+export const compileTransforms = (levelTransforms = {}) => {
+  const compiled = {}
+  Object.entries(levelTransforms).forEach(([column, transform]) => {
+    const transformValue = compileTransform(transform)
+    if (transformValue) {
+      compiled[column] = transformValue
+    }
+  })
+  return compiled
+}
+
+export const distinctValues = (rows, column) => {
+  const values = new Set()
+  rows.forEach(row => {
+    const value = row[column]?.trim()
+    if (value) values.add(value)
+  })
+  return [...values]
+}
+
+// Distinct count before and after the rules, with the largest merges first
+export const previewTransform = (values, transform) => {
+  const transformValue = compileTransform(transform) || (value => value)
+  const groups = new Map()
+  values.forEach(value => {
+    const canonical = transformValue(value) || '—'
+    if (!groups.has(canonical)) {
+      groups.set(canonical, [])
+    }
+    groups.get(canonical).push(value)
+  })
+  const merges = [...groups.entries()]
+    .filter(([canonical, sources]) => sources.length > 1 || sources[0] !== canonical)
+    .map(([canonical, sources]) => ({ canonical, sources }))
+    .sort((a, b) => b.sources.length - a.sources.length)
+  return { before: values.length, after: groups.size, merges }
+}
+
+// Lookup tables are edited as "raw value => Canonical name" lines
+export const parseLookupText = (text) => {
+  const lookup = {}
+  text.split('\n').forEach(line => {
+    const separator = line.indexOf('=>')
+    if (separator === -1) return
+    const from = line.slice(0, separator).trim()
+    const to = line.slice(separator + 2).trim()
+    if (from && to) {
+      lookup[from] = to
+    }
+  })
+  return lookup
+}
+
+export const formatLookupText = (lookup = {}) => Object.entries(lookup)
+  .map(([from, to]) => `${from} => ${to}`)
+  .join('\n')
@@ -0,0 +1,241 @@
+// Named column mappings saved in localStorage. A preset remembers the headers
+// of the file it was saved from, so a later upload with the same layout can
+// be recognised and the mapping offered again.
+import { AGGREGATIONS } from './measures'
+import { DEFAULT_ROW_FILTERS } from './rowFilters'
+import { DEFAULT_MID_SORT, MID_SORT_MODES } from './levelSorts'
+
+export const PRESETS_STORAGE_KEY = 'pagos-hierarchy-visualizer.mappingPresets'
+
+const PRESET_FILE_VERSION = 1
+
+// Parts of columnMappings a preset carries
+const MAPPING_KEYS = ['mode', 'levels', 'midColumn', 'idColumn', 'parentColumn', 'labelColumn', 'measures', 'levelAliases', 'levelTransforms', 'rowFilters', 'levelSorts', 'midSort']
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase()
+
+// Order-insensitive, case-insensitive key for a set of headers
+export const headerSignature = (columns) => [...new Set(columns.map(normalizeHeader))].sort().join('\u0000')
+
+export const pickMapping = (mapping) => {
+  const picked = {}
+  MAPPING_KEYS.forEach(key => {
+    picked[key] = mapping[key]
+  })
+  return picked
+}
+
+export const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string')
+
+export const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+const optionalString = (value) => typeof value === 'string' ? value : undefined
+
+// Entries of an object map whose values are objects; anything else is dropped
+const objectEntries = (value) => {
+  const result = {}
+  if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, entry]) => {
+      if (isPlainObject(entry)) result[key] = entry
+    })
+  }
+  return result
+}
+
+const isStringMap = (value) => isPlainObject(value) && Object.values(value).every(entry => typeof entry === 'string')
+
+// Mapping from a shared link, stored preset or imported preset file, with
+// every field checked for the shape the builders and resolvePresetMapping
+// expect. Hand-edited sources can hold anything; a field of the wrong shape
+// falls back to its empty default.
+export const sanitizeMapping = (mapping) => {
+  const levelAliases = {}
+  if (isPlainObject(mapping.levelAliases)) {
+    Object.entries(mapping.levelAliases).forEach(([level, alias]) => {
+      if (typeof alias === 'string') levelAliases[level] = alias
+    })
+  }
+  const levelTransforms = objectEntries(mapping.levelTransforms)
+  Object.keys(levelTransforms).forEach(column => {
+    const { lookup, pattern } = levelTransforms[column]
+    if ((lookup !== undefined && !isStringMap(lookup)) || (pattern !== undefined && typeof pattern !== 'string')) {
+      delete levelTransforms[column]
+    }
+  })
+  const levelSorts = objectEntries(mapping.levelSorts)
+  Object.keys(levelSorts).forEach(column => {
+    const sort = levelSorts[column]
+    if (typeof sort.by !== 'string' || (sort.measure !== undefined && !isPlainObject(sort.measure)) || (sort.order !== undefined && !isStringArray(sort.order))) {
+      delete levelSorts[column]
+    }
+  })
+  const rowFilters = isPlainObject(mapping.rowFilters) ? mapping.rowFilters : DEFAULT_ROW_FILTERS
+
+  return {
+    mode: mapping.mode,
+    levels: isStringArray(mapping.levels) ? mapping.levels : [],
+    midColumn: optionalString(mapping.midColumn),
+    idColumn: optionalString(mapping.idColumn),
+    parentColumn: optionalString(mapping.parentColumn),
+    labelColumn: optionalString(mapping.labelColumn),
+    measures: Array.isArray(mapping.measures)
+      ? mapping.measures.filter(measure => (
+        isPlainObject(measure) &&
+        typeof measure.column === 'string' &&
+        AGGREGATIONS.some(option => option.value === measure.aggregation)
+      ))
+      : [],
+    levelAliases,
+    levelTransforms,
+    rowFilters: {
+      combinator: rowFilters.combinator === 'or' ? 'or' : 'and',
+      conditions: Array.isArray(rowFilters.conditions)
+        ? rowFilters.conditions.filter(condition => isPlainObject(condition) && typeof condition.column === 'string')
+        : []
+    },
+    levelSorts,
+    midSort: isPlainObject(mapping.midSort) ? mapping.midSort : DEFAULT_MID_SORT
+  }
+}
+
+export const isValidMapping = (mapping) => isPlainObject(mapping) && ['levels', 'parentChild'].includes(mapping.mode)
+
+export const createPreset = (name, columns, mapping) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  name: name.trim(),
+  columns: [...columns],
+  mapping: pickMapping(mapping),
+  savedAt: new Date().toISOString()
+})
+
+const isValidPreset = (preset) => (
+  preset &&
+  typeof preset.name === 'string' &&
+  preset.name.trim() !== '' &&
+  isStringArray(preset.columns) &&
+  isValidMapping(preset.mapping)
+)
+
+// Saved presets pass through the same shape check as imported ones, since
+// localStorage can hold presets written by older versions or edited by hand
+const sanitizePreset = (preset) => ({ ...preset, mapping: sanitizeMapping(preset.mapping) })
+
+export const loadPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '[]')
+    return Array.isArray(stored) ? stored.filter(isValidPreset).map(sanitizePreset) : []
+  } catch {
+    return []
+  }
+}
+
+export const storePresets = (presets) => {
+  try {
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets))
+  } catch {
+    // Storage can be full or disabled; presets then last for this session only
+  }
+}
+
+// Preset whose saved headers are the same set as the uploaded file's
+export const findMatchingPreset = (presets, columns) => {
+  if (columns.length === 0) return null
+  const signature = headerSignature(columns)
+  return presets.find(preset => headerSignature(preset.columns) === signature) || null
+}
+
+// Saved columns absent from this file; a preset with none missing can be applied
+export const missingPresetColumns = (preset, columns) => {
+  const available = new Set(columns.map(normalizeHeader))
+  const { mapping } = preset
+  const used = mapping.mode === 'parentChild'
+    ? [mapping.idColumn, mapping.parentColumn, mapping.labelColumn]
+    : [...(mapping.levels || [])]
+  return [...used, mapping.midColumn].filter(Boolean).filter(column => !available.has(normalizeHeader(column)))
+}
+
+// Preset mapping rewritten to this file's exact header spelling, dropping
+// measures, value rules, row filters and level sorts for columns the file
+// does not have
+export const resolvePresetMapping = (preset, columns) => {
+  const byNormalized = new Map(columns.map(column => [normalizeHeader(column), column]))
+  const resolve = (column) => column ? byNormalized.get(normalizeHeader(column)) : undefined
+  const { mapping } = preset
+
+  const levelAliases = {}
+  Object.entries(mapping.levelAliases || {}).forEach(([level, alias]) => {
+    levelAliases[resolve(level) || level] = alias
+  })
+
+  const levelTransforms = {}
+  Object.entries(mapping.levelTransforms || {}).forEach(([column, transform]) => {
+    const resolved = resolve(column)
+    if (resolved) {
+      levelTransforms[resolved] = transform
+    }
+  })
+
+  // A sort by a measure on a missing column falls back to alphabetical
+  const levelSorts = {}
+  Object.entries(mapping.levelSorts || {}).forEach(([column, sort]) => {
+    const resolved = resolve(column)
+    if (!resolved || !sort) return
+    const measureColumn = sort.measure && resolve(sort.measure.column)
+    levelSorts[resolved] = sort.by === 'measure' && !measureColumn
+      ? { ...sort, by: 'name', measure: undefined }
+      : { ...sort, measure: measureColumn ? { ...sort.measure, column: measureColumn } : undefined }
+  })
+
+  const midSort = MID_SORT_MODES.some(mode => mode.value === mapping.midSort?.by)
+    ? { by: mapping.midSort.by, direction: mapping.midSort.direction === 'desc' ? 'desc' : 'asc' }
+    : DEFAULT_MID_SORT
+
+  const rowFilters = mapping.rowFilters || DEFAULT_ROW_FILTERS
+  const conditions = (Array.isArray(rowFilters.conditions) ? rowFilters.conditions : [])
+    .map(condition => ({ ...condition, column: resolve(condition.column) }))
+    .filter(condition => condition.column)
+
+  return {
+    mode: mapping.mode,
+    levels: (mapping.levels || []).map(resolve).filter(Boolean),
+    midColumn: resolve(mapping.midColumn),
+    idColumn: resolve(mapping.idColumn),
+    parentColumn: resolve(mapping.parentColumn),
+    labelColumn: resolve(mapping.labelColumn),
+    measures: (mapping.measures || [])
+      .map(measure => ({ ...measure, column: resolve(measure.column) }))
+      .filter(measure => measure.column),
+    levelAliases,
+    levelTransforms,
+    rowFilters: { combinator: rowFilters.combinator === 'or' ? 'or' : 'and', conditions },
+    levelSorts,
+    midSort
+  }
+}
+
+export const serializePresets = (presets) => JSON.stringify({ version: PRESET_FILE_VERSION, presets }, null, 2)
+
+// Accepts an exported file, a bare array of presets or a single preset
+export const parsePresetFile = (text) => {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    throw new Error('Preset file is not valid JSON.')
+  }
+  const candidates = Array.isArray(parsed) ? parsed : parsed?.presets || [parsed]
+  const presets = candidates.filter(isValidPreset)
+  if (presets.length === 0) {
+    throw new Error('No valid presets found in file.')
+  }
+  return presets.map(preset => ({
+    ...createPreset(preset.name, preset.columns, sanitizeMapping(preset.mapping)),
+    savedAt: preset.savedAt || new Date().toISOString()
+  }))
+}
+
+// Imported presets replace saved ones with the same name
+export const mergePresets = (existing, incoming) => {
+  const incomingNames = new Set(incoming.map(preset => preset.name.toLowerCase()))
+  return [...existing.filter(preset => !incomingNames.has(preset.name.toLowerCase())), ...incoming]
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import { sanitizeMapping, parsePresetFile, serializePresets, createPreset, findMatchingPreset, missingPresetColumns, resolvePresetMapping, mergePresets } from './mappingPresets'
+import { DEFAULT_MID_SORT } from './levelSorts'
+
+const mapping = {
+  mode: 'levels',
+  levels: ['Region', 'City'],
+  midColumn: 'MID',
+  measures: [{ column: 'Volume', aggregation: 'sum' }]
+}
+
+describe('sanitizeMapping', () => {
+  it('keeps a well-formed mapping', () => {
+    const sanitized = sanitizeMapping(mapping)
+    expect(sanitized.levels).toEqual(['Region', 'City'])
+    expect(sanitized.midColumn).toBe('MID')
+    expect(sanitized.measures).toEqual(mapping.measures)
+    expect(sanitized.midSort).toBe(DEFAULT_MID_SORT)
+  })
+
+  it('falls back to empty defaults for fields of the wrong shape', () => {
+    const sanitized = sanitizeMapping({
+      mode: 'levels',
+      levels: 'Region',
+      midColumn: 7,
+      measures: { column: 'Volume' },
+      levelAliases: { Region: 'Area', City: 3 },
+      rowFilters: { combinator: 'xor', conditions: [{ column: 'Status' }, 'bad'] }
+    })
+    expect(sanitized.levels).toEqual([])
+    expect(sanitized.midColumn).toBeUndefined()
+    expect(sanitized.measures).toEqual([])
+    expect(sanitized.levelAliases).toEqual({ Region: 'Area' })
+    expect(sanitized.rowFilters).toEqual({ combinator: 'and', conditions: [{ column: 'Status' }] })
+  })
+
+  it('drops measures with an unknown aggregation', () => {
+    const sanitized = sanitizeMapping({ ...mapping, measures: [{ column: 'Volume', aggregation: 'median' }, { column: 'Count', aggregation: 'distinct' }] })
+    expect(sanitized.measures).toEqual([{ column: 'Count', aggregation: 'distinct' }])
+  })
+
+  it('drops value rules and level sorts of the wrong shape', () => {
+    const sanitized = sanitizeMapping({
+      ...mapping,
+      levelTransforms: { Region: { pattern: 5 }, City: { lookup: { ny: 7 } }, MID: { lookup: { a: 'b' } } },
+      levelSorts: { Region: { by: 'custom', order: 'East' }, City: { by: 'name' } }
+    })
+    expect(Object.keys(sanitized.levelTransforms)).toEqual(['MID'])
+    expect(Object.keys(sanitized.levelSorts)).toEqual(['City'])
+  })
+})
+
+describe('parsePresetFile', () => {
+  it('reads an exported file back', () => {
+    const preset = createPreset('Acquirer', ['Region', 'City', 'MID', 'Volume'], mapping)
+    const [parsed] = parsePresetFile(serializePresets([preset]))
+    expect(parsed.name).toBe('Acquirer')
+    expect(parsed.mapping.levels).toEqual(['Region', 'City'])
+    expect(parsed.savedAt).toBe(preset.savedAt)
+  })
+
+  it('sanitizes the mapping of an imported preset', () => {
+    const [parsed] = parsePresetFile(JSON.stringify({ name: 'Broken', columns: ['Region'], mapping: { mode: 'levels', levels: 'Region', measures: 'sum' } }))
+    expect(parsed.mapping.levels).toEqual([])
+    expect(parsed.mapping.measures).toEqual([])
+  })
+
+  it('rejects files without a valid preset', () => {
+    expect(() => parsePresetFile('not json')).toThrow('not valid JSON')
+    expect(() => parsePresetFile(JSON.stringify([{ name: 'No mode', columns: [], mapping: {} }]))).toThrow('No valid presets')
+    expect(() => parsePresetFile(JSON.stringify({ name: 'Bad columns', columns: 'Region', mapping }))).toThrow('No valid presets')
+  })
+})
+
+describe('matching and resolving', () => {
+  const preset = createPreset('Acquirer', ['Region', 'City', 'MID', 'Volume'], mapping)
+
+  it('matches a file with the same headers in any order and case', () => {
+    expect(findMatchingPreset([preset], ['volume', 'MID', 'city', 'region'])).toBe(preset)
+    expect(findMatchingPreset([preset], ['Region', 'City'])).toBeNull()
+  })
+
+  it('lists the saved columns a file is missing', () => {
+    expect(missingPresetColumns(preset, ['region', 'mid'])).toEqual(['City'])
+  })
+
+  it('rewrites columns to the file spelling and drops missing ones', () => {
+    const resolved = resolvePresetMapping(preset, ['REGION', 'city', 'Mid'])
+    expect(resolved.levels).toEqual(['REGION', 'city'])
+    expect(resolved.midColumn).toBe('Mid')
+    expect(resolved.measures).toEqual([])
+  })
+
+  it('replaces saved presets with imported ones of the same name', () => {
+    const imported = createPreset('acquirer', ['Region'], mapping)
+    expect(mergePresets([preset], [imported])).toEqual([imported])
+  })
+})
@@ -0,0 +1,113 @@
+// Numeric measures rolled up the tree. A measure is { column, aggregation }
+// and its value is stored on every node under node.measures[measureKey(measure)].
+
+export const measureKey = ({ column, aggregation }) => `${aggregation}(${column})`
+
+// Accepts values as they appear in exports: "1,234.50", "$99", "2.5%", "(12)"
+export const parseNumericValue = (value) => {
+  if (value === null || value === undefined) return null
+  let text = String(value).trim()
+  if (!text) return null
+  let sign = 1
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1
+    text = text.slice(1, -1)
+  }
+  text = text.replace(/[$€£¥,%\s]/g, '')
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return null
+  return sign * Number(text)
+}
+
+// Columns where at least `threshold` of the non-empty values are numbers
+export const detectNumericColumns = (rows, columns, { sampleSize = 2000, threshold = 0.9 } = {}) => {
+  const sample = rows.slice(0, sampleSize)
+  return columns.filter(column => {
+    let filled = 0
+    let numeric = 0
+    sample.forEach(row => {
+      const value = row[column]
+      if (value === undefined || value === null || String(value).trim() === '') return
+      filled++
+      if (parseNumericValue(value) !== null) numeric++
+    })
+    return filled > 0 && numeric / filled >= threshold
+  })
+}
+
+export const AGGREGATIONS = [
+  { value: 'sum', label: 'Sum' },
+  { value: 'avg', label: 'Average' },
+  { value: 'min', label: 'Min' },
+  { value: 'max', label: 'Max' },
+  { value: 'distinct', label: 'Distinct count' }
+]
+
+const NUMERIC_AGGREGATORS = {
+  sum: (values) => values.reduce((total, value) => total + value, 0),
+  avg: (values) => values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null,
+  min: (values) => values.length > 0 ? values.reduce((low, value) => Math.min(low, value)) : null,
+  max: (values) => values.length > 0 ? values.reduce((high, value) => Math.max(high, value)) : null
+}
+
+export const aggregateMeasure = (rows, { column, aggregation }) => {
+  // Distinct count works on raw text so it also suits non-numeric columns
+  if (aggregation === 'distinct') {
+    return new Set(rows.map(row => row[column]?.trim()).filter(Boolean)).size
+  }
+  const values = rows
+    .map(row => parseNumericValue(row[column]))
+    .filter(value => value !== null)
+  return NUMERIC_AGGREGATORS[aggregation](values)
+}
+
+// Every measure for one group of rows, keyed by measureKey
+export const computeMeasures = (rows, measures) => {
+  const result = {}
+  measures.forEach(measure => {
+    result[measureKey(measure)] = aggregateMeasure(rows, measure)
+  })
+  return result
+}
+
+// Per-MID measures for a leaf, keyed by MID then by measureKey
+export const computeMidMeasures = (rows, midColumn, measures) => {
+  const rowsByMid = new Map()
+  rows.forEach(row => {
+    const mid = row[midColumn]?.trim()
+    if (!mid) return
+    if (!rowsByMid.has(mid)) {
+      rowsByMid.set(mid, [])
+    }
+    rowsByMid.get(mid).push(row)
+  })
+  const result = {}
+  rowsByMid.forEach((midRows, mid) => {
+    result[mid] = computeMeasures(midRows, measures)
+  })
+  return result
+}
+
+export const measureLabel = ({ column, aggregation }) => {
+  const label = AGGREGATIONS.find(option => option.value === aggregation)?.label || aggregation
+  return `${label} ${column}`
+}
+
+export const formatMeasureValue = (value) => {
+  if (value === null || value === undefined) return '—'
+  if (Math.abs(value) >= 10000) {
+    return value.toLocaleString(undefined, { notation: 'compact', maximumFractionDigits: 1 })
+  }
+  return value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+}
+
+// Measures with the same column and aggregation collapse to one
+export const uniqueMeasures = (measures) => {
+  const seen = new Set()
+  return measures.filter(measure => {
+    if (!measure.column) return false
+    const key = measureKey(measure)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { parseNumericValue, detectNumericColumns, aggregateMeasure, computeMidMeasures, measureKey, measureLabel, uniqueMeasures } from './measures'
+
+describe('parseNumericValue', () => {
+  it('reads numbers as they appear in exports', () => {
+    expect(parseNumericValue('1,234.50')).toBe(1234.5)
+    expect(parseNumericValue(' $99 ')).toBe(99)
+    expect(parseNumericValue('2.5%')).toBe(2.5)
+    expect(parseNumericValue('(12)')).toBe(-12)
+    expect(parseNumericValue('1e3')).toBe(1000)
+    expect(parseNumericValue(7)).toBe(7)
+  })
+
+  it('returns null for empty and non-numeric values', () => {
+    expect(parseNumericValue('')).toBeNull()
+    expect(parseNumericValue(null)).toBeNull()
+    expect(parseNumericValue('12 units')).toBeNull()
+    expect(parseNumericValue('2024-01-31')).toBeNull()
+  })
+})
+
+describe('detectNumericColumns', () => {
+  it('keeps columns whose filled values are mostly numbers', () => {
+    const rows = [
+      { volume: '10', name: 'Acme', fee: '' },
+      { volume: '1,200', name: 'Globex', fee: '' },
+      { volume: 'n/a', name: '3', fee: '' }
+    ]
+    expect(detectNumericColumns(rows, ['volume', 'name', 'fee'], { threshold: 0.6 })).toEqual(['volume'])
+  })
+})
+
+describe('aggregateMeasure', () => {
+  const rows = [{ volume: '10', status: 'live' }, { volume: '30', status: ' live ' }, { volume: '', status: 'closed' }]
+
+  it('aggregates the numeric values and skips the rest', () => {
+    expect(aggregateMeasure(rows, { column: 'volume', aggregation: 'sum' })).toBe(40)
+    expect(aggregateMeasure(rows, { column: 'volume', aggregation: 'avg' })).toBe(20)
+    expect(aggregateMeasure(rows, { column: 'volume', aggregation: 'min' })).toBe(10)
+    expect(aggregateMeasure(rows, { column: 'volume', aggregation: 'max' })).toBe(30)
+  })
+
+  it('counts distinct trimmed text', () => {
+    expect(aggregateMeasure(rows, { column: 'status', aggregation: 'distinct' })).toBe(2)
+  })
+
+  it('has no average or extremes without numbers', () => {
+    expect(aggregateMeasure(rows, { column: 'status', aggregation: 'avg' })).toBeNull()
+    expect(aggregateMeasure(rows, { column: 'status', aggregation: 'max' })).toBeNull()
+    expect(aggregateMeasure(rows, { column: 'status', aggregation: 'sum' })).toBe(0)
+  })
+})
+
+describe('computeMidMeasures', () => {
+  it('groups rows by trimmed MID', () => {
+    const measure = { column: 'volume', aggregation: 'sum' }
+    const rows = [{ mid: 'm1', volume: '5' }, { mid: ' m1', volume: '7' }, { mid: 'm2', volume: '1' }, { mid: '', volume: '9' }]
+    expect(computeMidMeasures(rows, 'mid', [measure])).toEqual({
+      m1: { [measureKey(measure)]: 12 },
+      m2: { [measureKey(measure)]: 1 }
+    })
+  })
+})
+
+describe('measure helpers', () => {
+  it('labels and de-duplicates measures', () => {
+    expect(measureLabel({ column: 'Volume', aggregation: 'avg' })).toBe('Average Volume')
+    expect(uniqueMeasures([
+      { column: 'Volume', aggregation: 'sum' },
+      { column: '', aggregation: 'sum' },
+      { column: 'Volume', aggregation: 'sum' },
+      { column: 'Volume', aggregation: 'max' }
+    ])).toEqual([{ column: 'Volume', aggregation: 'sum' }, { column: 'Volume', aggregation: 'max' }])
+  })
+})
@@ -0,0 +1,129 @@
+// Attributes from a second file (status, MCC, go-live date...) joined onto the
+// uploaded rows by a key column on each side. Joined values become ordinary
+// columns of the main rows, so they can be mapped as levels or measures, and
+// are also collected per MID for chip tooltips and attribute search.
+
+const keyOf = (row, column) => String(row[column] ?? '').trim()
+
+// Name a joined column gets in the main rows; suffixed when the main file
+// already has a column of that name
+export const joinedColumnName = (column, mainColumns) => (
+  mainColumns.includes(column) ? `${column} (joined)` : column
+)
+
+// Attribute columns of the second file, keyed by their name in the main rows
+export const joinedColumns = (join, mainColumns) => {
+  if (!join) return []
+  return join.columns
+    .filter(column => column !== join.secondaryKey)
+    .map(column => ({ source: column, name: joinedColumnName(column, mainColumns) }))
+}
+
+// Second-file column whose values overlap most with the main key's values
+export const suggestJoinKey = (mainRows, mainKey, secondaryRows, secondaryColumns) => {
+  if (!mainKey || secondaryColumns.length === 0) return secondaryColumns[0] || ''
+  const mainKeys = new Set(mainRows.map(row => keyOf(row, mainKey)).filter(Boolean))
+  let best = { column: secondaryColumns[0], overlap: 0 }
+  secondaryColumns.forEach(column => {
+    const values = new Set(secondaryRows.map(row => keyOf(row, column)).filter(Boolean))
+    let overlap = 0
+    values.forEach(value => {
+      if (mainKeys.has(value)) overlap++
+    })
+    if (overlap > best.overlap) {
+      best = { column, overlap }
+    }
+  })
+  return best.column
+}
+
+// Left join of the second file onto the main rows. join is { columns, rows,
+// mainKey, secondaryKey }; the first second-file row wins for a repeated key.
+// Returns the enriched rows, the joined column names and a report of keys
+// that matched nothing on either side.
+export const joinAttributes = (rows, join, mainColumns) => {
+  const attributeColumns = joinedColumns(join, mainColumns)
+  const emptyReport = { matchedKeys: 0, unmatchedMain: [], unmatchedSecondary: [], duplicateKeys: [] }
+  if (!join || !join.mainKey || !join.secondaryKey) {
+    return { rows, columns: [], report: emptyReport }
+  }
+
+  const index = new Map()
+  const duplicateKeys = new Set()
+  join.rows.forEach(row => {
+    const key = keyOf(row, join.secondaryKey)
+    if (!key) return
+    if (index.has(key)) {
+      duplicateKeys.add(key)
+    } else {
+      index.set(key, row)
+    }
+  })
+
+  const usedKeys = new Set()
+  const unmatchedMain = new Map()
+  const enrichedRows = rows.map(row => {
+    const key = keyOf(row, join.mainKey)
+    const match = key ? index.get(key) : undefined
+    if (!match) {
+      if (key) {
+        unmatchedMain.set(key, (unmatchedMain.get(key) || 0) + 1)
+      }
+      return row
+    }
+    usedKeys.add(key)
+    const enriched = { ...row }
+    attributeColumns.forEach(({ source, name }) => {
+      enriched[name] = match[source] ?? ''
+    })
+    return enriched
+  })
+
+  return {
+    rows: enrichedRows,
+    columns: attributeColumns.map(column => column.name),
+    report: {
+      matchedKeys: usedKeys.size,
+      unmatchedMain: [...unmatchedMain.entries()].map(([key, rowCount]) => ({ key, rowCount })),
+      unmatchedSecondary: [...index.keys()].filter(key => !usedKeys.has(key)),
+      duplicateKeys: [...duplicateKeys]
+    }
+  }
+}
+
+// MID -> { column: value } for the joined columns, with MIDs read from
+// midColumn. Without a MID column in the mapping, callers pass the join key,
+// which is then usually what the leaves are named. A MID spread over several
+// rows takes its first filled value per column.
+export const collectMidAttributes = (rows, midColumn, attributeColumns) => {
+  const attributes = new Map()
+  if (!midColumn || attributeColumns.length === 0) return attributes
+  rows.forEach(row => {
+    const mid = keyOf(row, midColumn)
+    if (!mid) return
+    const current = attributes.get(mid) || {}
+    attributeColumns.forEach(column => {
+      const value = keyOf(row, column)
+      if (value && !current[column]) {
+        current[column] = value
+      }
+    })
+    attributes.set(mid, current)
+  })
+  return attributes
+}
+
+// Chip tooltip: the MID followed by one "column: value" line per attribute
+export const midTooltip = (mid, attributes) => {
+  if (!attributes) return mid
+  const lines = Object.entries(attributes).map(([column, value]) => `${column}: ${value}`)
+  return [mid, ...lines].join('\n')
+}
+
+export const joinReportToRows = (report, mainKey, secondaryKey) => ({
+  headers: ['Side', 'Key column', 'Key', 'Rows'],
+  rows: [
+    ...report.unmatchedMain.map(({ key, rowCount }) => ['No attributes', mainKey, key, rowCount]),
+    ...report.unmatchedSecondary.map(key => ['Not in hierarchy', secondaryKey, key, ''])
+  ]
+})
@@ -0,0 +1,69 @@
+// Helpers for long MID lists on leaves: paging, the in-leaf filter, and
+// copying or exporting MIDs as text.
+
+// MID chips a leaf card mounts before "Show more"
+export const MID_PAGE_SIZE = 100
+
+// Leaves with more MIDs than this get the inline filter
+export const MID_FILTER_THRESHOLD = 20
+
+export const MID_COPY_FORMATS = [
+  { value: 'lines', label: 'One per line' },
+  { value: 'comma', label: 'Comma-separated' }
+]
+
+// Distinct MIDs of a node and everything beneath it, in tree order
+export const collectSubtreeMids = (node) => {
+  const mids = new Set()
+  const visit = (current) => {
+    if (current.children && current.children.length > 0) {
+      current.children.forEach(visit)
+    } else if (current.mids) {
+      current.mids.forEach(mid => mids.add(mid))
+    }
+  }
+  visit(node)
+  return [...mids]
+}
+
+export const formatMidList = (mids, format = 'lines') => mids.join(format === 'comma' ? ', ' : '\n')
+
+// Case-insensitive substring match; blank text keeps every MID
+export const filterMids = (mids, text) => {
+  const needle = text.trim().toLowerCase()
+  if (!needle) return mids
+  return mids.filter(mid => String(mid).toLowerCase().includes(needle))
+}
+
+// MIDs from the chip at `from` to the one at `to`, either way round
+export const midRange = (mids, from, to) => {
+  const start = mids.indexOf(from)
+  const end = mids.indexOf(to)
+  if (start === -1 || end === -1) return [to]
+  return mids.slice(Math.min(start, end), Math.max(start, end) + 1)
+}
+
+// Selection after a chip click: Shift-click adds the range from the anchor,
+// Ctrl/⌘-click toggles the MID and moves the anchor to it. mids are the chips
+// in display order. Returns null for a plain click, which opens details.
+export const clickSelection = ({ selected, anchor }, mid, event, mids) => {
+  if (event.shiftKey && anchor !== null) {
+    return { selected: new Set([...selected, ...midRange(mids, anchor, mid)]), anchor }
+  }
+  if (event.ctrlKey || event.metaKey) {
+    const next = new Set(selected)
+    if (next.has(mid)) {
+      next.delete(mid)
+    } else {
+      next.add(mid)
+    }
+    return { selected: next, anchor: mid }
+  }
+  return null
+}
+
+// Table for exportCsv, one MID per row under the leaf's path
+export const midsToTable = (mids, path) => ({
+  headers: ['Path', 'MID'],
+  rows: mids.map(mid => [path, mid])
+})
@@ -0,0 +1,69 @@
+// Tidy-tree layout for the org-chart view, kept free of React so the same
+// geometry can be reused wherever the diagram is drawn.
+import { hierarchy, tree } from 'd3-hierarchy'
+import { buildVisibleTree } from './treeRows'
+
+export const ORG_NODE_WIDTH = 180
+export const ORG_NODE_HEIGHT = 48
+const SIBLING_GAP = 16
+const LEVEL_GAP = 64
+
+// orientation is 'horizontal' (root on the left) or 'vertical' (root on top).
+// Returned x/y are the centre of each node box in diagram coordinates.
+// basePath is the name path of hierarchyData when a subtree is in focus.
+export const layoutOrgChart = (hierarchyData, childNodes, expandedNodes, orientation = 'horizontal', basePath = []) => {
+  const isHorizontal = orientation === 'horizontal'
+  const rootKey = basePath.join('\u0000')
+  const rootEntry = {
+    key: rootKey,
+    node: hierarchyData,
+    hasChildren: childNodes.length > 0,
+    isExpanded: true,
+    children: buildVisibleTree(childNodes, expandedNodes, rootKey)
+  }
+
+  const root = hierarchy(rootEntry, entry => entry.children)
+  // d3 lays trees out top-down; swap the axes afterwards for left-to-right
+  const breadth = isHorizontal ? ORG_NODE_HEIGHT : ORG_NODE_WIDTH
+  const depth = isHorizontal ? ORG_NODE_WIDTH : ORG_NODE_HEIGHT
+  tree().nodeSize([breadth + SIBLING_GAP, depth + LEVEL_GAP])(root)
+
+  const nodes = root.descendants().map(point => ({
+    ...point.data,
+    // Names from the first real level down; the root has basePath itself
+    namePath: [...basePath, ...point.ancestors().reverse().slice(1).map(ancestor => ancestor.data.node.name)],
+    depth: point.depth,
+    x: isHorizontal ? point.y : point.x,
+    y: isHorizontal ? point.x : point.y
+  }))
+  const positionByKey = new Map(nodes.map(node => [node.key, node]))
+
+  const links = root.links().map(({ source, target }) => ({
+    key: `${source.data.key}->${target.data.key}`,
+    source: positionByKey.get(source.data.key),
+    target: positionByKey.get(target.data.key)
+  }))
+
+  const bounds = nodes.reduce((box, node) => ({
+    minX: Math.min(box.minX, node.x - ORG_NODE_WIDTH / 2),
+    maxX: Math.max(box.maxX, node.x + ORG_NODE_WIDTH / 2),
+    minY: Math.min(box.minY, node.y - ORG_NODE_HEIGHT / 2),
+    maxY: Math.max(box.maxY, node.y + ORG_NODE_HEIGHT / 2)
+  }), { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity })
+
+  return { nodes, links, bounds }
+}
+
+// Smooth connector from the edge of the parent box to the edge of the child box
+export const orgChartLinkPath = ({ source, target }, orientation = 'horizontal') => {
+  if (orientation === 'horizontal') {
+    const startX = source.x + ORG_NODE_WIDTH / 2
+    const endX = target.x - ORG_NODE_WIDTH / 2
+    const midX = (startX + endX) / 2
+    return `M${startX},${source.y} C${midX},${source.y} ${midX},${target.y} ${endX},${target.y}`
+  }
+  const startY = source.y + ORG_NODE_HEIGHT / 2
+  const endY = target.y - ORG_NODE_HEIGHT / 2
+  const midY = (startY + endY) / 2
+  return `M${source.x},${startY} C${source.x},${midY} ${target.x},${midY} ${target.x},${endY}`
+}
@@ -0,0 +1,62 @@
+// Minimal PDF writer for image-only documents: one JPEG per page, drawn at a
+// given position and size. JPEG data is embedded as-is (DCTDecode), so no
+// compression or font handling is needed.
+
+const encoder = new TextEncoder()
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString()
+
+// pages: [{ jpeg: Uint8Array, imageWidth, imageHeight, x, y, drawWidth,
+// drawHeight }] with positions in points from the bottom-left corner.
+// pageSize: { width, height } in points. Returns a PDF Blob.
+export const buildImagePdf = (pages, pageSize) => {
+  const chunks = []
+  const offsets = []
+  let length = 0
+  const push = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data
+    chunks.push(bytes)
+    length += bytes.length
+  }
+  const startObject = (number) => {
+    offsets[number] = length
+    push(`${number} 0 obj\n`)
+  }
+
+  // Objects: 1 catalog, 2 page tree, then page, content stream and image per page
+  const pageObject = (index) => 3 + index * 3
+  const objectCount = 3 + pages.length * 3
+
+  push('%PDF-1.4\n')
+  // Binary marker so tools treat the file as binary
+  push(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]))
+
+  startObject(1)
+  push('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n')
+  startObject(2)
+  push(`<< /Type /Pages /Kids [${pages.map((_, index) => `${pageObject(index)} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`)
+
+  pages.forEach((page, index) => {
+    const number = pageObject(index)
+    startObject(number)
+    push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(pageSize.width)} ${formatNumber(pageSize.height)}] /Resources << /XObject << /Im0 ${number + 2} 0 R >> >> /Contents ${number + 1} 0 R >>\nendobj\n`)
+
+    const content = `q ${formatNumber(page.drawWidth)} 0 0 ${formatNumber(page.drawHeight)} ${formatNumber(page.x)} ${formatNumber(page.y)} cm /Im0 Do Q`
+    startObject(number + 1)
+    push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`)
+
+    startObject(number + 2)
+    push(`<< /Type /XObject /Subtype /Image /Width ${page.imageWidth} /Height ${page.imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`)
+    push(page.jpeg)
+    push('\nendstream\nendobj\n')
+  })
+
+  const xrefOffset = length
+  push(`xref\n0 ${objectCount}\n0000000000 65535 f \n`)
+  for (let number = 1; number < objectCount; number++) {
+    push(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`)
+  }
+  push(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  return new Blob(chunks, { type: 'application/pdf' })
+}
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+import { buildImagePdf } from './pdfWriter'
+
+const decoder = new TextDecoder('latin1')
+
+const page = (jpeg) => ({ jpeg, imageWidth: 2, imageHeight: 1, x: 10, y: 20, drawWidth: 200, drawHeight: 100 })
+
+describe('buildImagePdf', () => {
+  it('writes xref offsets that point at their objects', async () => {
+    // Binary image data, including bytes that are not valid UTF-8
+    const jpeg = new Uint8Array([0xff, 0xd8, 0x00, 0x80, 0x0a, 0xe2, 0xff, 0xd9])
+    const blob = buildImagePdf([page(jpeg), page(jpeg)], { width: 960, height: 540 })
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+    const text = decoder.decode(bytes)
+
+    const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1])
+    expect(text.slice(startxref, startxref + 5)).toBe('xref\n')
+
+    const [, first, count] = text.slice(startxref).match(/^xref\n(\d+) (\d+)\n/)
+    expect(Number(first)).toBe(0)
+    expect(Number(count)).toBe(9)
+
+    const entries = text.slice(startxref).split('\n').slice(2, 2 + Number(count))
+    expect(entries[0]).toBe('0000000000 65535 f ')
+    entries.slice(1).forEach((entry, index) => {
+      expect(entry).toMatch(/^\d{10} 00000 n $/)
+      const offset = Number(entry.slice(0, 10))
+      const header = `${index + 1} 0 obj\n`
+      expect(text.slice(offset, offset + header.length)).toBe(header)
+    })
+  })
+})
@@ -0,0 +1,110 @@
+// Area-proportional layouts (sunburst and treemap) for a hierarchy node.
+// Leaf values come from getValue; branches are the sum of their leaves.
+import { hierarchy, partition, treemap, treemapSquarify } from 'd3-hierarchy'
+
+export const PALETTE = [
+  '#3b82f6', '#10b981', '#f59e0b', '#f43f5e', '#8b5cf6',
+  '#06b6d4', '#84cc16', '#f97316', '#ec4899', '#14b8a6'
+]
+
+// Below this many pixels of arc length or box side a segment gets no label
+export const MIN_LABEL_SIZE = 36
+
+const buildValueTree = (rootNode, getValue, maxDepth) => {
+  const root = hierarchy(rootNode, node => node.children)
+    .sum(node => (node.children && node.children.length > 0) ? 0 : Math.max(0, getValue(node) || 0))
+    .sort((a, b) => b.value - a.value)
+
+  // Colour each segment after the top-level branch it belongs to
+  root.children?.forEach((child, index) => {
+    child.each(descendant => {
+      descendant.colorIndex = index % PALETTE.length
+    })
+  })
+
+  return {
+    root,
+    visible: root.descendants().filter(point => point.depth <= maxDepth && point.value > 0)
+  }
+}
+
+const namePathFrom = (point) => point.ancestors().reverse().slice(1).map(ancestor => ancestor.data.name)
+
+export const layoutSunburst = (rootNode, getValue, radius, maxDepth = 4) => {
+  const { root, visible } = buildValueTree(rootNode, getValue, maxDepth)
+  const rings = Math.min(root.height, maxDepth) + 1
+  partition().size([2 * Math.PI, rings])(root)
+  const ringWidth = radius / rings
+
+  return {
+    total: root.value,
+    segments: visible.map(point => ({
+      point,
+      node: point.data,
+      namePath: namePathFrom(point),
+      depth: point.depth,
+      value: point.value,
+      colorIndex: point.colorIndex,
+      startAngle: point.x0,
+      endAngle: point.x1,
+      innerRadius: point.y0 * ringWidth,
+      outerRadius: point.y1 * ringWidth
+    }))
+  }
+}
+
+export const layoutTreemap = (rootNode, getValue, width, height, maxDepth = 3) => {
+  const { root, visible } = buildValueTree(rootNode, getValue, maxDepth)
+  treemap()
+    .tile(treemapSquarify)
+    .size([width, height])
+    .paddingOuter(3)
+    .paddingTop(point => point.depth === 0 ? 3 : 18)
+    .paddingInner(2)
+    .round(true)(root)
+
+  return {
+    total: root.value,
+    segments: visible
+      .filter(point => point.depth > 0)
+      .map(point => ({
+        point,
+        node: point.data,
+        namePath: namePathFrom(point),
+        depth: point.depth,
+        value: point.value,
+        colorIndex: point.colorIndex,
+        x: point.x0,
+        y: point.y0,
+        width: point.x1 - point.x0,
+        height: point.y1 - point.y0
+      }))
+  }
+}
+
+// SVG path for an annular sector; angles run clockwise from 12 o'clock
+export const arcPath = (startAngle, endAngle, innerRadius, outerRadius) => {
+  const point = (angle, radius) => [
+    radius * Math.sin(angle),
+    -radius * Math.cos(angle)
+  ]
+  const sweep = endAngle - startAngle
+  // A full circle can't be drawn as one arc; stop just short of it
+  const end = sweep >= 2 * Math.PI ? startAngle + 2 * Math.PI - 1e-6 : endAngle
+  const largeArc = end - startAngle > Math.PI ? 1 : 0
+  const [x0, y0] = point(startAngle, outerRadius)
+  const [x1, y1] = point(end, outerRadius)
+  const [x2, y2] = point(end, innerRadius)
+  const [x3, y3] = point(startAngle, innerRadius)
+
+  if (innerRadius <= 0) {
+    return `M${x0},${y0} A${outerRadius},${outerRadius} 0 ${largeArc} 1 ${x1},${y1} L0,0 Z`
+  }
+  return [
+    `M${x0},${y0}`,
+    `A${outerRadius},${outerRadius} 0 ${largeArc} 1 ${x1},${y1}`,
+    `L${x2},${y2}`,
+    `A${innerRadius},${innerRadius} 0 ${largeArc} 0 ${x3},${y3}`,
+    'Z'
+  ].join(' ')
+}
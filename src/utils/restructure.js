@@ -0,0 +1,295 @@
+// Planned restructuring: moving MIDs and subtrees, renaming nodes and adding
+// new ones. Every edit rewrites the uploaded rows and the tree is rebuilt from
+// them, so the modified file keeps its original column layout.
+//
+// With level columns a node's depth is fixed by its column, so a subtree can
+// only move under a node one level above it and a MID only into a leaf. A new
+// node has no rows until something is moved into it; it is kept as a
+// placeholder path and grafted onto the built tree. With parent/child links
+// any node can move under any node outside its own subtree, and a new node is
+// a new row.
+import { findNodeByPath } from './hierarchy'
+import { sourceRowMatcher, EMPTY_VALUE } from './sourceRows'
+import { compileTransforms } from './levelTransforms'
+import { PATH_SEPARATOR } from './hierarchyDiff'
+import { sortLevelNodes } from './levelSorts'
+
+export const CHANGE_TYPES = {
+  moveNode: 'Move node',
+  moveMid: 'Move MID',
+  rename: 'Rename',
+  addNode: 'New node'
+}
+
+const isPrefix = (prefix, path) => prefix.length <= path.length && prefix.every((name, index) => path[index] === name)
+
+const replacePrefix = (path, from, to) => isPrefix(from, path) ? [...to, ...path.slice(from.length)] : path
+
+// Rows hold raw values; the empty group is written back as an empty cell
+const cellValue = (name) => name === EMPTY_VALUE ? '' : name
+
+const childNames = (node) => new Set((node?.children || []).map(child => child.name))
+
+// Name a node at depth shows once renamed to name: the tree is rebuilt from
+// the cells, re-applying the level's (or label column's) value rules
+const renamedName = (mapping, depth, name) => {
+  const column = mapping.mode === 'parentChild' ? mapping.labelColumn : mapping.levels[depth]
+  const transformValue = column && compileTransforms(mapping.levelTransforms)[column]
+  return (transformValue ? transformValue(name) : name) || EMPTY_VALUE
+}
+
+// Rewrites the rows matching a predicate; unchanged rows keep their identity
+const updateRows = (rows, matches, update) => {
+  let rowCount = 0
+  const nextRows = rows.map(row => {
+    if (!matches(row)) return row
+    rowCount++
+    return { ...row, ...update(row) }
+  })
+  return { rows: nextRows, rowCount }
+}
+
+// Why a subtree cannot move under target, or null when it can
+export const moveNodeError = ({ mapping, hierarchyData }, fromPath, toPath) => {
+  const node = findNodeByPath(hierarchyData, fromPath)
+  const target = findNodeByPath(hierarchyData, toPath)
+  if (!node || !target) return 'Node not found.'
+  // The direct leaf is an account's own rows, not an account of its own
+  if (node.direct) return 'Direct MIDs stay with their account; move the account or single MIDs instead.'
+  if (target.direct) return 'Nodes cannot move into an account’s direct MIDs.'
+  if (isPrefix(fromPath, toPath)) return 'A node cannot move into its own subtree.'
+  if (isPrefix(toPath, fromPath) && toPath.length === fromPath.length - 1) return 'The node is already there.'
+  if (mapping.mode !== 'parentChild') {
+    return toPath.length === fromPath.length - 1
+      ? null
+      : 'With level columns a node can only move under a node one level above it.'
+  }
+  // Level columns merge same-named nodes; accounts would end up side by side
+  if (childNames(target).has(node.name)) return `"${node.name}" already exists there.`
+  return null
+}
+
+// Why a node cannot be renamed to name, or null when it can
+export const renameError = ({ mapping, hierarchyData }, path, name) => {
+  const trimmed = name.trim()
+  if (!trimmed) return 'Enter a name.'
+  const node = findNodeByPath(hierarchyData, path)
+  if (!node) return 'Node not found.'
+  if (node.direct) return 'The direct MIDs leaf cannot be renamed; rename its account instead.'
+  const newName = renamedName(mapping, path.length - 1, trimmed)
+  if (newName === path[path.length - 1]) return 'The node already has that name.'
+  // Level columns would silently merge the two nodes; accounts would end up
+  // side by side under one name
+  const parent = path.length > 1 ? findNodeByPath(hierarchyData, path.slice(0, -1)) : hierarchyData
+  if (childNames(parent).has(newName)) return `"${newName}" already exists there.`
+  return null
+}
+
+// Why a MID cannot move into target, or null when it can
+export const moveMidError = ({ mapping, hierarchyData }, fromPath, toPath) => {
+  const target = findNodeByPath(hierarchyData, toPath)
+  if (!mapping.midColumn) return 'Moving single MIDs needs a MID column; move the node instead.'
+  if (!target) return 'Node not found.'
+  if (target.children && target.children.length > 0) return 'MIDs can only move into a leaf node.'
+  if (mapping.mode !== 'parentChild' && toPath.length !== mapping.levels.length) return 'MIDs can only move into a leaf node.'
+  if (toPath.join('\u0000') === fromPath.join('\u0000')) return 'The MID is already there.'
+  return null
+}
+
+// Why a child named name cannot be added under parentPath ([] for the top
+// level), or null when it can
+export const addNodeError = ({ mapping, hierarchyData }, parentPath, name) => {
+  const parent = parentPath.length > 0 ? findNodeByPath(hierarchyData, parentPath) : hierarchyData
+  if (!parent) return 'Node not found.'
+  if (parent.direct) return 'Nodes cannot be added under an account’s direct MIDs.'
+  if (!name.trim()) return 'Enter a name.'
+  if (mapping.mode !== 'parentChild' && parentPath.length >= mapping.levels.length) {
+    return 'Leaf nodes cannot have children with level columns.'
+  }
+  if (childNames(parent).has(name.trim())) return `"${name.trim()}" already exists there.`
+  return null
+}
+
+const nextAccountId = (rows, idColumn) => {
+  const ids = new Set(rows.map(row => row[idColumn]?.trim()))
+  let number = 1
+  while (ids.has(`NEW-${number}`)) number++
+  return `NEW-${number}`
+}
+
+const applyLevelsEdit = (state, edit, context) => {
+  const { mapping, hierarchyData } = context
+  const { levels } = mapping
+
+  if (edit.type === 'moveNode') {
+    const matches = sourceRowMatcher(mapping, hierarchyData, edit.fromPath)
+    const result = updateRows(state.rows, matches, () => {
+      const update = {}
+      edit.toPath.forEach((name, depth) => {
+        update[levels[depth]] = cellValue(name)
+      })
+      return update
+    })
+    const newPath = [...edit.toPath, edit.fromPath[edit.fromPath.length - 1]]
+    return { ...result, newPath, placeholders: state.placeholders.map(path => replacePrefix(path, edit.fromPath, newPath)) }
+  }
+
+  if (edit.type === 'moveMid') {
+    const matches = sourceRowMatcher(mapping, hierarchyData, edit.fromPath, edit.mid)
+    const result = updateRows(state.rows, matches, () => {
+      const update = {}
+      edit.toPath.forEach((name, depth) => {
+        update[levels[depth]] = cellValue(name)
+      })
+      return update
+    })
+    return { ...result, newPath: edit.toPath, placeholders: state.placeholders }
+  }
+
+  if (edit.type === 'rename') {
+    const depth = edit.path.length - 1
+    const matches = sourceRowMatcher(mapping, hierarchyData, edit.path)
+    const result = updateRows(state.rows, matches, () => ({ [levels[depth]]: edit.name }))
+    const newPath = [...edit.path.slice(0, -1), renamedName(mapping, depth, edit.name)]
+    return { ...result, newPath, placeholders: state.placeholders.map(path => replacePrefix(path, edit.path, newPath)) }
+  }
+
+  // addNode
+  const newPath = [...edit.parentPath, edit.name]
+  return { rows: state.rows, rowCount: 0, newPath, placeholders: [...state.placeholders, newPath] }
+}
+
+const applyParentChildEdit = (state, edit, context) => {
+  const { mapping, hierarchyData, columns } = context
+  const { idColumn, parentColumn, labelColumn, midColumn } = mapping
+  const idOf = (row) => row[idColumn]?.trim()
+
+  if (edit.type === 'moveNode') {
+    const node = findNodeByPath(hierarchyData, edit.fromPath)
+    const target = findNodeByPath(hierarchyData, edit.toPath)
+    const result = updateRows(state.rows, row => idOf(row) === node.id, () => ({ [parentColumn]: target.id }))
+    return { ...result, newPath: [...edit.toPath, node.name], placeholders: state.placeholders }
+  }
+
+  if (edit.type === 'moveMid') {
+    const node = findNodeByPath(hierarchyData, edit.fromPath)
+    const target = findNodeByPath(hierarchyData, edit.toPath)
+    // The MID's rows take on the target account's id, parent and label
+    const targetRow = state.rows.find(row => idOf(row) === target.id)
+    const update = { [idColumn]: target.id, [parentColumn]: targetRow?.[parentColumn] ?? '' }
+    if (labelColumn) {
+      update[labelColumn] = targetRow?.[labelColumn] ?? ''
+    }
+    const result = updateRows(state.rows, row => idOf(row) === node.id && row[midColumn]?.trim() === edit.mid, () => update)
+    return { ...result, newPath: edit.toPath, placeholders: state.placeholders }
+  }
+
+  if (edit.type === 'rename') {
+    const node = findNodeByPath(hierarchyData, edit.path)
+    const newPath = [...edit.path.slice(0, -1), labelColumn ? renamedName(mapping, edit.path.length - 1, edit.name) : edit.name]
+    if (labelColumn) {
+      const result = updateRows(state.rows, row => idOf(row) === node.id, () => ({ [labelColumn]: edit.name }))
+      return { ...result, newPath, placeholders: state.placeholders }
+    }
+    // Without a label column the name is the id, so children follow the rename
+    if (state.rows.some(row => idOf(row) === edit.name)) {
+      throw new Error(`An account with id "${edit.name}" already exists.`)
+    }
+    const result = updateRows(
+      state.rows,
+      row => idOf(row) === node.id || row[parentColumn]?.trim() === node.id,
+      row => idOf(row) === node.id ? { [idColumn]: edit.name } : { [parentColumn]: edit.name }
+    )
+    return { ...result, newPath, placeholders: state.placeholders }
+  }
+
+  // addNode: a new account row, empty apart from its id, parent and label
+  const parent = edit.parentPath.length > 0 ? findNodeByPath(hierarchyData, edit.parentPath) : null
+  const id = labelColumn ? nextAccountId(state.rows, idColumn) : edit.name
+  if (!labelColumn && state.rows.some(row => idOf(row) === id)) {
+    throw new Error(`An account with id "${id}" already exists.`)
+  }
+  const row = Object.fromEntries(columns.map(column => [column, '']))
+  row[idColumn] = id
+  row[parentColumn] = parent ? parent.id : ''
+  if (labelColumn) {
+    row[labelColumn] = edit.name
+  }
+  if (midColumn) {
+    row[midColumn] = ''
+  }
+  return { rows: [...state.rows, row], rowCount: 1, newPath: [...edit.parentPath, edit.name], placeholders: state.placeholders }
+}
+
+// Applies one edit to { rows, placeholders }. context is { mapping,
+// hierarchyData, columns } for the tree the edit was made on. Returns the next
+// state and a change-log entry; throws an Error when the edit is not allowed.
+export const applyEdit = (state, edit, context) => {
+  const error = edit.type === 'moveNode'
+    ? moveNodeError(context, edit.fromPath, edit.toPath)
+    : edit.type === 'moveMid'
+      ? moveMidError(context, edit.fromPath, edit.toPath)
+      : edit.type === 'addNode'
+        ? addNodeError(context, edit.parentPath, edit.name)
+        : renameError(context, edit.path, edit.name)
+  if (error) throw new Error(error)
+
+  const trimmedEdit = edit.name === undefined ? edit : { ...edit, name: edit.name.trim() }
+  const result = context.mapping.mode === 'parentChild'
+    ? applyParentChildEdit(state, trimmedEdit, context)
+    : applyLevelsEdit(state, trimmedEdit, context)
+
+  const fromPath = edit.fromPath || edit.path || []
+  return {
+    state: { rows: result.rows, placeholders: result.placeholders },
+    change: {
+      type: edit.type,
+      item: edit.mid ?? (fromPath[fromPath.length - 1] || trimmedEdit.name),
+      fromPath,
+      toPath: result.newPath,
+      rowCount: result.rowCount
+    }
+  }
+}
+
+// Adds the placeholder nodes missing from a built tree, as empty nodes placed
+// by their level's sort. Under file order they have no rows to place them by,
+// so they go last.
+export const graftPlaceholders = (root, placeholders, levels, levelSorts = {}) => {
+  if (!root || placeholders.length === 0) return root
+
+  const addPath = (node, path, depth) => {
+    if (depth === path.length) return node
+    const children = node.children || []
+    const name = path[depth]
+    const existing = children.find(child => child.name === name)
+    const child = existing || (depth === levels.length - 1
+      ? { name, level: levels[depth], mids: [], count: 0 }
+      : { name, level: levels[depth], children: [], count: 0 })
+    const updated = addPath(child, path, depth + 1)
+    if (updated === existing) return node
+    const sort = levelSorts[levels[depth]]
+    const nextChildren = existing
+      ? children.map(item => item === existing ? updated : item)
+      : sort?.by === 'appearance'
+        ? [...children, updated]
+        : sortLevelNodes([...children, updated], sort)
+    return { ...node, children: nextChildren }
+  }
+
+  return placeholders.reduce((tree, path) => addPath(tree, path, 0), root)
+}
+
+export const changeLogToRows = (changes, levelAliases = {}) => {
+  const formatPath = (path) => path.map(name => levelAliases[name] || name).join(PATH_SEPARATOR)
+  return {
+    headers: ['Change', 'Item', 'Old path', 'New path', 'Rows changed'],
+    rows: changes.map(change => [
+      CHANGE_TYPES[change.type],
+      change.item,
+      formatPath(change.fromPath),
+      formatPath(change.toPath),
+      change.rowCount
+    ])
+  }
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import { applyEdit, renameError, moveNodeError, moveMidError, addNodeError, graftPlaceholders, changeLogToRows } from './restructure'
+import { buildRootHierarchy, findNodeByPath } from './hierarchy'
+import { DEFAULT_TRANSFORM } from './levelTransforms'
+
+const levelsMapping = (extra = {}) => ({ mode: 'levels', levels: ['region', 'city'], midColumn: 'mid', ...extra })
+
+const levelsRows = [
+  { region: 'East', city: 'NYC', mid: 'm1' },
+  { region: 'East', city: 'Boston', mid: 'm2' },
+  { region: 'West', city: 'LA', mid: 'm3' }
+]
+
+const contextFor = (rows, mapping, columns = Object.keys(rows[0])) => ({
+  mapping,
+  hierarchyData: buildRootHierarchy(rows, mapping),
+  columns
+})
+
+const edit = (rows, mapping, change) => applyEdit({ rows, placeholders: [] }, change, contextFor(rows, mapping))
+
+describe('rename', () => {
+  it('rewrites the level cells and points newPath at the renamed node', () => {
+    const { state, change } = edit(levelsRows, levelsMapping(), { type: 'rename', path: ['East', 'NYC'], name: ' New York ' })
+    expect(state.rows[0].city).toBe('New York')
+    expect(change.toPath).toEqual(['East', 'New York'])
+    expect(change.rowCount).toBe(1)
+  })
+
+  it('applies the level value rules to newPath', () => {
+    const mapping = levelsMapping({ levelTransforms: { city: { ...DEFAULT_TRANSFORM, caseFold: 'upper' } } })
+    const rows = levelsRows.map(row => ({ ...row, city: row.city.toUpperCase() }))
+    const { state, change } = edit(rows, mapping, { type: 'rename', path: ['East', 'NYC'], name: 'Manhattan' })
+    expect(change.toPath).toEqual(['East', 'MANHATTAN'])
+    expect(findNodeByPath(buildRootHierarchy(state.rows, mapping), change.toPath)).not.toBeNull()
+  })
+
+  it('rejects a name a sibling already has, after value rules', () => {
+    const context = contextFor(levelsRows, levelsMapping())
+    expect(renameError(context, ['East', 'NYC'], 'Boston')).toBe('"Boston" already exists there.')
+    expect(renameError(context, ['East', 'NYC'], 'LA')).toBeNull()
+    const folded = contextFor(levelsRows, levelsMapping({ levelTransforms: { city: { ...DEFAULT_TRANSFORM, lookup: { Beantown: 'Boston' } } } }))
+    expect(renameError(folded, ['East', 'NYC'], 'Beantown')).toBe('"Boston" already exists there.')
+    expect(renameError(context, ['East', 'NYC'], 'NYC')).toBe('The node already has that name.')
+    expect(renameError(context, ['East', 'NYC'], '  ')).toBe('Enter a name.')
+  })
+
+  it('renames parent/child accounts through the label column', () => {
+    const rows = [
+      { id: '1', parent: '', label: 'Root', mid: '' },
+      { id: '2', parent: '1', label: 'Child', mid: 'm1' },
+      { id: '3', parent: '1', label: 'Other', mid: 'm2' }
+    ]
+    const mapping = { mode: 'parentChild', idColumn: 'id', parentColumn: 'parent', labelColumn: 'label', midColumn: 'mid' }
+    expect(renameError(contextFor(rows, mapping), ['Root', 'Child'], 'Other')).toBe('"Other" already exists there.')
+    const { state, change } = edit(rows, mapping, { type: 'rename', path: ['Root', 'Child'], name: 'Renamed' })
+    expect(state.rows[1].label).toBe('Renamed')
+    expect(change.toPath).toEqual(['Root', 'Renamed'])
+  })
+})
+
+describe('moves', () => {
+  it('moves a level subtree under a node one level up', () => {
+    const context = contextFor(levelsRows, levelsMapping())
+    expect(moveNodeError(context, ['East', 'NYC'], ['West'])).toBeNull()
+    expect(moveNodeError(context, ['East', 'NYC'], ['East'])).toBe('The node is already there.')
+    expect(moveNodeError(context, ['East'], ['West'])).toMatch(/one level above/)
+    const { state, change } = edit(levelsRows, levelsMapping(), { type: 'moveNode', fromPath: ['East', 'NYC'], toPath: ['West'] })
+    expect(state.rows[0].region).toBe('West')
+    expect(change.toPath).toEqual(['West', 'NYC'])
+  })
+
+  it('moves a single MID into another leaf', () => {
+    const context = contextFor(levelsRows, levelsMapping())
+    expect(moveMidError(context, ['East', 'NYC'], ['East'])).toBe('MIDs can only move into a leaf node.')
+    const { state } = edit(levelsRows, levelsMapping(), { type: 'moveMid', fromPath: ['East', 'NYC'], toPath: ['West', 'LA'], mid: 'm1' })
+    expect(state.rows[0]).toMatchObject({ region: 'West', city: 'LA' })
+  })
+
+  it('reparents accounts and refuses to move a node into its own subtree', () => {
+    const rows = [
+      { id: 'A', parent: '', mid: '' },
+      { id: 'B', parent: 'A', mid: 'b1' },
+      { id: 'C', parent: '', mid: 'c1' }
+    ]
+    const mapping = { mode: 'parentChild', idColumn: 'id', parentColumn: 'parent', labelColumn: '', midColumn: 'mid' }
+    expect(moveNodeError(contextFor(rows, mapping), ['A'], ['A', 'B'])).toBe('A node cannot move into its own subtree.')
+    const { state } = edit(rows, mapping, { type: 'moveNode', fromPath: ['C'], toPath: ['A'] })
+    expect(state.rows[2].parent).toBe('A')
+  })
+})
+
+describe('addNode and placeholders', () => {
+  it('keeps a new level node as a placeholder grafted onto the tree', () => {
+    const mapping = levelsMapping()
+    const context = contextFor(levelsRows, mapping)
+    expect(addNodeError(context, ['East'], 'Boston')).toBe('"Boston" already exists there.')
+    expect(addNodeError(context, ['East', 'NYC'], 'x')).toMatch(/Leaf nodes/)
+    const { state } = applyEdit({ rows: levelsRows, placeholders: [] }, { type: 'addNode', parentPath: ['East'], name: 'Albany' }, context)
+    expect(state.rows).toBe(levelsRows)
+    const root = graftPlaceholders(context.hierarchyData, state.placeholders, mapping.levels)
+    expect(findNodeByPath(root, ['East', 'Albany'])).toMatchObject({ mids: [], count: 0 })
+  })
+})
+
+describe('changeLogToRows', () => {
+  it('lists changes with aliased paths', () => {
+    const table = changeLogToRows([{ type: 'rename', item: 'NYC', fromPath: ['East', 'NYC'], toPath: ['East', 'New York'], rowCount: 1 }], { East: 'Eastern' })
+    expect(table.rows).toEqual([['Rename', 'NYC', 'Eastern > NYC', 'Eastern > New York', 1]])
+  })
+})
+
+describe('direct MIDs leaf', () => {
+  const rows = [
+    { id: 'A', parent: '', mid: 'a1' },
+    { id: 'B', parent: 'A', mid: 'b1' }
+  ]
+  const mapping = { mode: 'parentChild', idColumn: 'id', parentColumn: 'parent', labelColumn: '', midColumn: 'mid' }
+
+  it('cannot be moved, renamed, moved into or given children', () => {
+    const context = contextFor(rows, mapping)
+    expect(moveNodeError(context, ['A', '(direct)'], ['A', 'B'])).toMatch(/stay with their account/)
+    expect(moveNodeError(context, ['A', 'B'], ['A', '(direct)'])).toMatch(/direct MIDs/)
+    expect(renameError(context, ['A', '(direct)'], 'x')).toMatch(/rename its account/)
+    expect(addNodeError(context, ['A', '(direct)'], 'x')).toMatch(/direct MIDs/)
+  })
+
+  it('takes and gives single MIDs as the account itself', () => {
+    const { state } = edit(rows, mapping, { type: 'moveMid', fromPath: ['A', 'B'], toPath: ['A', '(direct)'], mid: 'b1' })
+    expect(state.rows[1]).toMatchObject({ id: 'A', parent: '' })
+  })
+})
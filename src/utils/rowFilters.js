@@ -0,0 +1,153 @@
+// Row filters applied before the hierarchy is built, stored on the column
+// mapping as rowFilters: { combinator: 'and' | 'or', conditions } with each
+// condition { column, operator, value, valueTo }. "in" lists are comma
+// separated; "between" takes value and valueTo, either of which may be left
+// open. Values compare as numbers when both sides are numbers, then as dates;
+// equality and lists fall back to text ignoring case, while the ordering
+// operators drop rows whose value is neither. A "between" end date without a
+// time takes in the whole of that day.
+import { parseNumericValue } from './measures'
+
+export const DEFAULT_ROW_FILTERS = { combinator: 'and', conditions: [] }
+
+// arity: how many values the operator takes ('list' is a comma-separated one)
+export const FILTER_OPERATORS = [
+  { value: 'eq', label: '=', arity: 1 },
+  { value: 'neq', label: '≠', arity: 1 },
+  { value: 'in', label: 'in', arity: 'list' },
+  { value: 'notIn', label: 'not in', arity: 'list' },
+  { value: 'contains', label: 'contains', arity: 1 },
+  { value: 'gt', label: '>', arity: 1 },
+  { value: 'gte', label: '≥', arity: 1 },
+  { value: 'lt', label: '<', arity: 1 },
+  { value: 'lte', label: '≤', arity: 1 },
+  { value: 'between', label: 'between', arity: 2 },
+  { value: 'empty', label: 'is empty', arity: 0 },
+  { value: 'notEmpty', label: 'is not empty', arity: 0 }
+]
+
+const OPERATORS_BY_VALUE = Object.fromEntries(FILTER_OPERATORS.map(operator => [operator.value, operator]))
+
+export const operatorArity = (operator) => OPERATORS_BY_VALUE[operator]?.arity ?? 1
+
+const splitList = (value) => String(value ?? '').split(',').map(item => item.trim()).filter(Boolean)
+
+// Dates only when the text looks like one; Date.parse alone accepts "1" or "May"
+const DATE_PATTERN = /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|^\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}/
+const DATE_ONLY_PATTERN = /^(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})$/
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const parseDateValue = (text) => {
+  if (!DATE_PATTERN.test(text)) return null
+  // ISO dates alone parse as UTC midnight but ISO date-times as local time;
+  // read both as local so a day and its timestamps line up
+  const time = Date.parse(ISO_DATE_PATTERN.test(text) ? `${text}T00:00:00` : text)
+  return Number.isNaN(time) ? null : time
+}
+
+// Negative, zero or positive when both values are numbers or both dates,
+// otherwise null
+const compareOrdered = (a, b) => {
+  const numberA = parseNumericValue(a)
+  const numberB = parseNumericValue(b)
+  if (numberA !== null && numberB !== null) return numberA - numberB
+  const dateA = parseDateValue(a)
+  const dateB = parseDateValue(b)
+  if (dateA !== null && dateB !== null) return dateA - dateB
+  return null
+}
+
+// Negative, zero or positive like a sort comparator
+export const compareValues = (a, b) => {
+  return compareOrdered(a, b) ?? a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true })
+}
+
+// Ordering check for >, ≥, <, ≤: false unless both sides are numbers or dates
+const isOrdered = (cell, bound, accept) => {
+  const difference = compareOrdered(cell, bound)
+  return difference !== null && accept(difference)
+}
+
+// Start of the day after a date without a time, or null for anything else
+const nextDayStart = (text) => {
+  if (!DATE_ONLY_PATTERN.test(text)) return null
+  const time = parseDateValue(text)
+  if (time === null) return null
+  const date = new Date(time)
+  date.setDate(date.getDate() + 1)
+  return date.getTime()
+}
+
+// A condition without a column or a needed value is ignored
+export const isConditionComplete = (condition) => {
+  if (!condition?.column || !OPERATORS_BY_VALUE[condition.operator]) return false
+  const arity = operatorArity(condition.operator)
+  if (arity === 0) return true
+  if (arity === 'list') return splitList(condition.value).length > 0
+  if (arity === 2) return Boolean(String(condition.value ?? '').trim() || String(condition.valueTo ?? '').trim())
+  return String(condition.value ?? '').trim() !== ''
+}
+
+const conditionTest = (condition) => {
+  const { column, operator } = condition
+  const value = String(condition.value ?? '').trim()
+  const valueTo = String(condition.valueTo ?? '').trim()
+  const list = splitList(condition.value)
+  const cellOf = (row) => String(row[column] ?? '').trim()
+
+  switch (operator) {
+    case 'eq': return (row) => compareValues(cellOf(row), value) === 0
+    case 'neq': return (row) => compareValues(cellOf(row), value) !== 0
+    case 'in': return (row) => list.some(item => compareValues(cellOf(row), item) === 0)
+    case 'notIn': return (row) => !list.some(item => compareValues(cellOf(row), item) === 0)
+    case 'contains': return (row) => cellOf(row).toLowerCase().includes(value.toLowerCase())
+    case 'gt': return (row) => isOrdered(cellOf(row), value, difference => difference > 0)
+    case 'gte': return (row) => isOrdered(cellOf(row), value, difference => difference >= 0)
+    case 'lt': return (row) => isOrdered(cellOf(row), value, difference => difference < 0)
+    case 'lte': return (row) => isOrdered(cellOf(row), value, difference => difference <= 0)
+    case 'between': {
+      const endExclusive = valueTo ? nextDayStart(valueTo) : null
+      const isBeforeEnd = (cell) => {
+        if (!valueTo) return true
+        if (endExclusive === null) return isOrdered(cell, valueTo, difference => difference <= 0)
+        const time = parseDateValue(cell)
+        return time !== null && time < endExclusive
+      }
+      return (row) => {
+        const cell = cellOf(row)
+        return (!value || isOrdered(cell, value, difference => difference >= 0)) && isBeforeEnd(cell)
+      }
+    }
+    case 'empty': return (row) => cellOf(row) === ''
+    default: return (row) => cellOf(row) !== ''
+  }
+}
+
+export const activeConditions = (rowFilters) => (rowFilters?.conditions || []).filter(isConditionComplete)
+
+// Rows kept by the filters; the same array when no condition is active
+export const applyRowFilters = (rows, rowFilters) => {
+  const conditions = activeConditions(rowFilters)
+  if (conditions.length === 0) return rows
+  const tests = conditions.map(conditionTest)
+  return rowFilters.combinator === 'or'
+    ? rows.filter(row => tests.some(test => test(row)))
+    : rows.filter(row => tests.every(test => test(row)))
+}
+
+// Chip text, e.g. "country in (US, CA)" or "created_at between 2024-01-01 and 2024-06-30"
+export const describeCondition = (condition) => {
+  const { column, operator } = condition
+  const label = OPERATORS_BY_VALUE[operator]?.label || operator
+  const arity = operatorArity(operator)
+  if (arity === 0) return `${column} ${label}`
+  if (arity === 'list') return `${column} ${label} (${splitList(condition.value).join(', ')})`
+  if (arity === 2) {
+    const value = String(condition.value ?? '').trim()
+    const valueTo = String(condition.valueTo ?? '').trim()
+    if (!valueTo) return `${column} ≥ ${value}`
+    if (!value) return `${column} ≤ ${valueTo}`
+    return `${column} between ${value} and ${valueTo}`
+  }
+  return `${column} ${label} ${String(condition.value).trim()}`
+}
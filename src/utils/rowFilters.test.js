@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { applyRowFilters, isConditionComplete, describeCondition } from './rowFilters'
+
+const rows = (column, values) => values.map(value => ({ [column]: value }))
+
+const keep = (values, condition, column = 'v') => (
+  applyRowFilters(rows(column, values), { combinator: 'and', conditions: [{ column, ...condition }] })
+    .map(row => row[column])
+)
+
+describe('applyRowFilters', () => {
+  it('compares numbers numerically and drops non-numeric cells for ordering operators', () => {
+    const values = ['50', '150', '1,200', 'N/A', '', 'abc']
+    expect(keep(values, { operator: 'gt', value: '100' })).toEqual(['150', '1,200'])
+    expect(keep(values, { operator: 'lte', value: '150' })).toEqual(['50', '150'])
+  })
+
+  it('drops every row when an ordering threshold is not a number or date', () => {
+    expect(keep(['1', 'b', 'z'], { operator: 'gt', value: 'a' })).toEqual([])
+  })
+
+  it('matches text case-insensitively for equality and lists', () => {
+    expect(keep(['US', 'us', 'CA', 'MX'], { operator: 'eq', value: 'us' })).toEqual(['US', 'us'])
+    expect(keep(['US', 'CA', 'MX'], { operator: 'in', value: 'ca, mx' })).toEqual(['CA', 'MX'])
+    expect(keep(['US', 'CA', 'MX'], { operator: 'notIn', value: 'US' })).toEqual(['CA', 'MX'])
+    expect(keep(['10', '10.0', '11'], { operator: 'eq', value: '10' })).toEqual(['10', '10.0'])
+  })
+
+  it('keeps timestamps on the end day of a date-only between', () => {
+    const values = ['2023-12-31T23:00:00', '2024-01-01', '2024-06-30T10:00:00', '2024-06-30', '2024-07-01T00:00:00']
+    expect(keep(values, { operator: 'between', value: '2024-01-01', valueTo: '2024-06-30' }))
+      .toEqual(['2024-01-01', '2024-06-30T10:00:00', '2024-06-30'])
+  })
+
+  it('treats an end bound with a time as exact and allows open ends', () => {
+    const values = ['2024-06-30T09:00:00', '2024-06-30T10:00:00', '2024-06-30T11:00:00']
+    expect(keep(values, { operator: 'between', value: '', valueTo: '2024-06-30T10:00:00' }))
+      .toEqual(['2024-06-30T09:00:00', '2024-06-30T10:00:00'])
+    expect(keep(['5', '15', 'x'], { operator: 'between', value: '10', valueTo: '' })).toEqual(['15'])
+  })
+
+  it('combines conditions with and/or and ignores incomplete ones', () => {
+    const data = [{ a: '1', b: 'x' }, { a: '2', b: 'y' }, { a: '3', b: 'x' }]
+    const conditions = [{ column: 'a', operator: 'gte', value: '2' }, { column: 'b', operator: 'eq', value: 'x' }, { column: 'b', operator: 'eq', value: '' }]
+    expect(applyRowFilters(data, { combinator: 'and', conditions })).toEqual([data[2]])
+    expect(applyRowFilters(data, { combinator: 'or', conditions })).toEqual(data)
+    expect(applyRowFilters(data, { combinator: 'and', conditions: [conditions[2]] })).toBe(data)
+  })
+
+  it('tests emptiness', () => {
+    expect(keep(['', ' ', 'x'], { operator: 'empty' })).toEqual(['', ' '])
+    expect(keep(['', 'x'], { operator: 'notEmpty' })).toEqual(['x'])
+  })
+})
+
+describe('isConditionComplete', () => {
+  it('needs a column, a known operator and its values', () => {
+    expect(isConditionComplete({ column: 'a', operator: 'empty' })).toBe(true)
+    expect(isConditionComplete({ column: 'a', operator: 'gt', value: ' ' })).toBe(false)
+    expect(isConditionComplete({ column: 'a', operator: 'between', value: '', valueTo: '3' })).toBe(true)
+    expect(isConditionComplete({ column: '', operator: 'eq', value: '1' })).toBe(false)
+    expect(isConditionComplete({ column: 'a', operator: 'nope', value: '1' })).toBe(false)
+  })
+})
+
+describe('describeCondition', () => {
+  it('writes chip text', () => {
+    expect(describeCondition({ column: 'country', operator: 'in', value: 'US, CA' })).toBe('country in (US, CA)')
+    expect(describeCondition({ column: 'd', operator: 'between', value: '2024-01-01', valueTo: '2024-06-30' })).toBe('d between 2024-01-01 and 2024-06-30')
+    expect(describeCondition({ column: 'd', operator: 'between', value: '', valueTo: '5' })).toBe('d ≤ 5')
+  })
+})
@@ -0,0 +1,412 @@
+// Structured search for the hierarchy. A query is a boolean expression of
+// terms; adjacent terms are ANDed:
+//
+//   adyen                 name or MID contains "adyen"
+//   Processor:adyen       a node of that level (column or alias) contains it
+//   mid:123*  name:"X"    MIDs only / node names only
+//   status:live           MIDs whose joined attribute contains it
+//   "Acme Corp"           exact match (case-insensitive)
+//   /^acme\s/i            regular expression
+//   a* or ?               wildcards, matched against the whole value
+//   AND, OR, NOT, -term and ( ) for grouping
+//
+// Terms are tested against every MID with its path: a level term holds when
+// any node on the path matches, so `Processor:adyen mid:123*` finds MIDs
+// starting with 123 anywhere under Adyen.
+import { childKey } from './treeRows'
+
+const OPERATORS = ['AND', 'OR', 'NOT']
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Every non-overlapping match of a global regex as [start, end] pairs
+const regexRanges = (regex, text) => {
+  const ranges = []
+  regex.lastIndex = 0
+  let match
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++
+      continue
+    }
+    ranges.push([match.index, match.index + match[0].length])
+  }
+  return ranges
+}
+
+const createTerm = (field, kind, value, flags) => {
+  let test
+  let ranges
+  if (kind === 'regex') {
+    const regex = new RegExp(value, flags.replace('g', ''))
+    const globalRegex = new RegExp(value, flags.includes('g') ? flags : `${flags}g`)
+    test = (text) => regex.test(text)
+    ranges = (text) => regexRanges(globalRegex, text)
+  } else if (kind === 'exact') {
+    const lowerValue = value.toLowerCase()
+    test = (text) => text.toLowerCase() === lowerValue
+    ranges = (text) => [[0, text.length]]
+  } else if (kind === 'wildcard') {
+    const pattern = value.split('').map(char => {
+      if (char === '*') return '.*'
+      if (char === '?') return '.'
+      return escapeRegex(char)
+    }).join('')
+    const regex = new RegExp(`^${pattern}$`, 'i')
+    test = (text) => regex.test(text)
+    ranges = (text) => [[0, text.length]]
+  } else {
+    const lowerValue = value.toLowerCase()
+    const regex = new RegExp(escapeRegex(value), 'gi')
+    test = (text) => text.toLowerCase().includes(lowerValue)
+    ranges = (text) => regexRanges(regex, text)
+  }
+  return { field: field ? field.toLowerCase() : null, kind, value, test, ranges }
+}
+
+// Reads a quoted string starting at text[start] === '"'
+const readQuoted = (text, start) => {
+  let end = start + 1
+  let value = ''
+  while (end < text.length && text[end] !== '"') {
+    if (text[end] === '\\' && end + 1 < text.length) {
+      end++
+    }
+    value += text[end]
+    end++
+  }
+  if (end >= text.length) {
+    throw new Error('Missing closing quote.')
+  }
+  return { value, end: end + 1 }
+}
+
+const tokenize = (text) => {
+  const tokens = []
+  let index = 0
+  while (index < text.length) {
+    const char = text[index]
+    if (/\s/.test(char)) {
+      index++
+      continue
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char })
+      index++
+      continue
+    }
+    if (char === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+      tokens.push({ type: 'NOT' })
+      index++
+      continue
+    }
+
+    // Optional field prefix, bare or quoted
+    let field = null
+    const bareField = text.slice(index).match(/^([^\s:()"/]+):(?=\S)/)
+    if (bareField) {
+      field = bareField[1]
+      index += bareField[0].length
+    } else if (char === '"') {
+      const quoted = readQuoted(text, index)
+      if (text[quoted.end] === ':' && quoted.end + 1 < text.length && !/\s/.test(text[quoted.end + 1])) {
+        field = quoted.value
+        index = quoted.end + 1
+      }
+    }
+
+    const valueStart = text[index]
+    if (valueStart === '"') {
+      const quoted = readQuoted(text, index)
+      tokens.push({ type: 'term', term: createTerm(field, 'exact', quoted.value) })
+      index = quoted.end
+    } else if (valueStart === '/') {
+      const closing = text.slice(index + 1).search(/(?<!\\)\//)
+      if (closing === -1) {
+        throw new Error('Missing closing / in regular expression.')
+      }
+      const pattern = text.slice(index + 1, index + 1 + closing)
+      const flags = text.slice(index + 2 + closing).match(/^[a-z]*/)[0]
+      try {
+        tokens.push({ type: 'term', term: createTerm(field, 'regex', pattern, flags || 'i') })
+      } catch (regexError) {
+        throw new Error(`Invalid regular expression: ${regexError.message}`)
+      }
+      index += closing + 2 + flags.length
+    } else {
+      const word = text.slice(index).match(/^[^\s()]+/)[0]
+      index += word.length
+      if (!field && OPERATORS.includes(word)) {
+        tokens.push({ type: word })
+      } else {
+        const kind = /[*?]/.test(word) ? 'wildcard' : 'substring'
+        tokens.push({ type: 'term', term: createTerm(field, kind, word) })
+      }
+    }
+  }
+  return tokens
+}
+
+// Recursive descent: or := and (OR and)*, and := not (AND? not)*,
+// not := NOT not | primary, primary := ( or ) | term
+const parseTokens = (tokens) => {
+  let position = 0
+  const peek = () => tokens[position]
+
+  const parseOr = () => {
+    const items = [parseAnd()]
+    while (peek()?.type === 'OR') {
+      position++
+      items.push(parseAnd())
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items }
+  }
+
+  const parseAnd = () => {
+    const items = [parseNot()]
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        position++
+      }
+      items.push(parseNot())
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items }
+  }
+
+  const parseNot = () => {
+    if (peek()?.type === 'NOT') {
+      position++
+      return { type: 'not', expr: parseNot() }
+    }
+    return parsePrimary()
+  }
+
+  const parsePrimary = () => {
+    const token = peek()
+    if (!token) {
+      throw new Error('Query ends unexpectedly.')
+    }
+    if (token.type === '(') {
+      position++
+      const expr = parseOr()
+      if (peek()?.type !== ')') {
+        throw new Error('Missing closing parenthesis.')
+      }
+      position++
+      return expr
+    }
+    if (token.type === 'term') {
+      position++
+      return { type: 'term', term: token.term }
+    }
+    throw new Error(`Unexpected ${token.type}.`)
+  }
+
+  const expr = parseOr()
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ${tokens[position].type}.`)
+  }
+  return expr
+}
+
+// Terms that count as hits, i.e. not under an odd number of NOTs
+const collectTerms = (expr, negated, terms) => {
+  if (expr.type === 'term') {
+    terms.push({ term: expr.term, positive: !negated })
+  } else if (expr.type === 'not') {
+    collectTerms(expr.expr, !negated, terms)
+  } else {
+    expr.items.forEach(item => collectTerms(item, negated, terms))
+  }
+  return terms
+}
+
+// Parsed query or { error }; an empty query parses to null
+export const parseSearchQuery = (text) => {
+  if (!text.trim()) return null
+  try {
+    const expr = parseTokens(tokenize(text))
+    const terms = collectTerms(expr, false, [])
+    return { expr, terms }
+  } catch (parseError) {
+    return { error: parseError.message }
+  }
+}
+
+// Field names a query may use, from the levels present in the tree and the
+// joined MID attribute columns
+export const collectSearchFields = (nodes, levelAliases = {}, attributeColumns = []) => {
+  const fields = new Set(['mid', 'name', ...attributeColumns.map(column => column.toLowerCase())])
+  const walk = (node) => {
+    if (node.level) {
+      fields.add(node.level.toLowerCase())
+      if (levelAliases[node.level]) {
+        fields.add(levelAliases[node.level].toLowerCase())
+      }
+    }
+    if (node.children) {
+      node.children.forEach(walk)
+    }
+  }
+  nodes.forEach(walk)
+  return fields
+}
+
+const levelMatchesField = (level, field, levelAliases) => Boolean(level) && (
+  level.toLowerCase() === field ||
+  (levelAliases[level] || '').toLowerCase() === field
+)
+
+const termAppliesToNode = (term, node, levelAliases) => (
+  term.field === null ||
+  term.field === 'name' ||
+  (term.field !== 'mid' && levelMatchesField(node.level, term.field, levelAliases))
+)
+
+const termAppliesToMid = (term) => term.field === null || term.field === 'mid'
+
+// Value of the attribute a field names, or undefined when it is not one
+const attributeValue = (attributes, field) => {
+  if (!attributes || !field) return undefined
+  const column = Object.keys(attributes).find(key => key.toLowerCase() === field)
+  return column === undefined ? undefined : attributes[column]
+}
+
+const termMatchesMid = (term, mid, attributes) => {
+  if (termAppliesToMid(term)) return term.test(mid)
+  const value = attributeValue(attributes, term.field)
+  return value !== undefined && term.test(value)
+}
+
+const evaluate = (expr, termValue) => {
+  if (expr.type === 'term') return termValue(expr.term)
+  if (expr.type === 'not') return !evaluate(expr.expr, termValue)
+  if (expr.type === 'and') return expr.items.every(item => evaluate(item, termValue))
+  return expr.items.some(item => evaluate(item, termValue))
+}
+
+// Runs a parsed query over the (already sorted) top-level nodes. Returns the
+// filtered tree, which keeps every branch holding a matching MID (leaves keep
+// all their MIDs), and the hits in display order: nodes whose name matched a
+// term and MIDs that matched one. Keys are the name-path node keys from
+// treeRows. midAttributes maps a MID to its joined attributes. basePath is
+// the name path above nodes when searching a focused subtree.
+export const runSearch = (nodes, query, levelAliases = {}, midAttributes = null, basePath = []) => {
+  const { expr, terms } = query
+  const allTerms = terms.map(({ term }) => term)
+  const positiveTerms = terms.filter(({ positive }) => positive).map(({ term }) => term)
+  const nodeHits = new Set()
+  const midHits = new Map()
+  let matchedRecords = 0
+
+  const filterNode = (node, namePath, pathMatches) => {
+    const pathKey = namePath.join('\u0000')
+    // A term holds on a path once any node along it matches
+    const matches = new Map(pathMatches)
+    allTerms.forEach(term => {
+      if (!matches.get(term) && termAppliesToNode(term, node, levelAliases) && term.test(node.name)) {
+        matches.set(term, true)
+      }
+    })
+    const nameHit = positiveTerms.some(term => termAppliesToNode(term, node, levelAliases) && term.test(node.name))
+
+    if (node.children && node.children.length > 0) {
+      const children = node.children
+        .map(child => filterNode(child, [...namePath, child.name], matches))
+        .filter(Boolean)
+      if (children.length === 0) return null
+      if (nameHit) nodeHits.add(pathKey)
+      return { ...node, children }
+    }
+
+    const mids = node.mids && node.mids.length > 0 ? node.mids : [null]
+    let leafMatches = false
+    const leafMidHits = new Set()
+    mids.forEach(mid => {
+      const attributes = mid !== null ? midAttributes?.get(mid) : undefined
+      const termValue = (term) => matches.get(term) || (mid !== null && termMatchesMid(term, mid, attributes))
+      if (!evaluate(expr, termValue)) return
+      leafMatches = true
+      if (mid === null) return
+      matchedRecords++
+      if (positiveTerms.some(term => termMatchesMid(term, mid, attributes))) {
+        leafMidHits.add(mid)
+      }
+    })
+    if (!leafMatches) return null
+    if (nameHit) nodeHits.add(pathKey)
+    if (leafMidHits.size > 0) midHits.set(pathKey, leafMidHits)
+    return node
+  }
+
+  const filteredNodes = nodes
+    .map(node => filterNode(node, [...basePath, node.name], new Map()))
+    .filter(Boolean)
+
+  // Hits in display order, with the keys of the branches to open for each
+  const hits = []
+  const expandKeys = new Set()
+  const collectHits = (levelNodes, parentKey, parentPath, ancestorKeys) => {
+    levelNodes.forEach(node => {
+      const key = childKey(parentKey, node.name)
+      const namePath = [...parentPath, node.name]
+      const pathKey = namePath.join('\u0000')
+      if (nodeHits.has(pathKey)) {
+        hits.push({ key, namePath, pathKey, ancestorKeys })
+        ancestorKeys.forEach(ancestorKey => expandKeys.add(ancestorKey))
+      }
+      if (node.children) {
+        collectHits(node.children, key, namePath, [...ancestorKeys, key])
+      } else if (midHits.has(pathKey)) {
+        const leafHits = midHits.get(pathKey)
+        node.mids.forEach(mid => {
+          if (leafHits.has(mid)) {
+            hits.push({ key, namePath, pathKey, mid, ancestorKeys })
+          }
+        })
+        ancestorKeys.forEach(ancestorKey => expandKeys.add(ancestorKey))
+      }
+    })
+  }
+  // Branches above the focused subtree stay open too
+  const baseKeys = basePath.map((_, index) => basePath.slice(0, index + 1).join('\u0000'))
+  collectHits(filteredNodes, basePath.join('\u0000'), basePath, baseKeys)
+
+  const midHitCount = [...midHits.values()].reduce((total, leafHits) => total + leafHits.size, 0)
+
+  return {
+    filteredNodes,
+    hits,
+    expandKeys,
+    nodeHits,
+    midHits,
+    nodeHitCount: nodeHits.size,
+    midHitCount,
+    matchedMidCount: matchedRecords,
+    positiveTerms
+  }
+}
+
+// Merged [start, end] ranges of `text` matched by the query's positive terms
+export const highlightRanges = (positiveTerms, text, { target, level, levelAliases = {} }) => {
+  const ranges = []
+  positiveTerms.forEach(term => {
+    const applies = target === 'mid'
+      ? termAppliesToMid(term)
+      : termAppliesToNode(term, { level }, levelAliases)
+    if (applies && term.test(text)) {
+      term.ranges(text).forEach(range => ranges.push(range))
+    }
+  })
+  ranges.sort((a, b) => a[0] - b[0])
+  const merged = []
+  ranges.forEach(range => {
+    const last = merged[merged.length - 1]
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1])
+    } else {
+      merged.push([...range])
+    }
+  })
+  return merged
+}
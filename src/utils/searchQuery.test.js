@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import { parseSearchQuery, collectSearchFields, runSearch, highlightRanges } from './searchQuery'
+
+const nodes = [
+  {
+    name: 'Adyen',
+    level: 'Processor',
+    children: [
+      { name: 'Acme Corp', level: 'Merchant', mids: ['1230', '4560'] },
+      { name: 'Globex', level: 'Merchant', mids: ['1231'] }
+    ]
+  },
+  {
+    name: 'Stripe',
+    level: 'Processor',
+    children: [
+      { name: 'Acme Ltd', level: 'Merchant', mids: ['7890'] }
+    ]
+  }
+]
+
+const search = (text, options = {}) => runSearch(nodes, parseSearchQuery(text), options.levelAliases, options.midAttributes, options.basePath)
+
+describe('parseSearchQuery', () => {
+  it('parses an empty query to null', () => {
+    expect(parseSearchQuery('   ')).toBeNull()
+  })
+
+  it('reads fields, quotes, regexes and wildcards', () => {
+    const { terms } = parseSearchQuery('Processor:adyen "Acme Corp" /^glo/ mid:123*')
+    expect(terms.map(({ term }) => [term.field, term.kind, term.value])).toEqual([
+      ['processor', 'substring', 'adyen'],
+      [null, 'exact', 'Acme Corp'],
+      [null, 'regex', '^glo'],
+      ['mid', 'wildcard', '123*']
+    ])
+  })
+
+  it('marks terms under NOT as negative', () => {
+    const { terms } = parseSearchQuery('acme -ltd NOT (globex)')
+    expect(terms.map(({ term, positive }) => [term.value, positive])).toEqual([['acme', true], ['ltd', false], ['globex', false]])
+  })
+
+  it('reports syntax errors', () => {
+    expect(parseSearchQuery('"acme').error).toBe('Missing closing quote.')
+    expect(parseSearchQuery('(acme').error).toBe('Missing closing parenthesis.')
+    expect(parseSearchQuery('/[/').error).toMatch(/^Invalid regular expression/)
+    expect(parseSearchQuery('acme OR').error).toBe('Query ends unexpectedly.')
+  })
+})
+
+describe('collectSearchFields', () => {
+  it('offers the levels, their aliases and the attribute columns', () => {
+    const fields = collectSearchFields(nodes, { Processor: 'PSP' }, ['Status'])
+    expect([...fields].sort()).toEqual(['merchant', 'mid', 'name', 'processor', 'psp', 'status'])
+  })
+})
+
+describe('runSearch', () => {
+  it('keeps the branches with a matching node or MID', () => {
+    const result = search('acme')
+    expect(result.filteredNodes.map(node => node.name)).toEqual(['Adyen', 'Stripe'])
+    expect(result.filteredNodes[0].children.map(node => node.name)).toEqual(['Acme Corp'])
+    expect(result.nodeHitCount).toBe(2)
+    expect([...result.expandKeys]).toEqual(['Adyen', 'Stripe'])
+  })
+
+  it('holds a level term for every MID below a matching node', () => {
+    const result = search('PSP:adyen mid:123*', { levelAliases: { Processor: 'PSP' } })
+    expect(result.matchedMidCount).toBe(2)
+    expect(result.hits.map(hit => hit.mid ?? hit.pathKey)).toEqual(['Adyen', '1230', '1231'])
+  })
+
+  it('combines terms with OR and NOT', () => {
+    expect(search('globex OR stripe').matchedMidCount).toBe(2)
+    expect(search('acme -ltd').filteredNodes.map(node => node.name)).toEqual(['Adyen'])
+  })
+
+  it('matches joined MID attributes by column name', () => {
+    const midAttributes = new Map([['4560', { Status: 'Live' }], ['7890', { Status: 'Closed' }]])
+    const result = search('status:live', { midAttributes })
+    expect(result.hits).toEqual([expect.objectContaining({ pathKey: 'Adyen\u0000Acme Corp', mid: '4560' })])
+  })
+
+  it('keys hits under the focused subtree path', () => {
+    const result = runSearch(nodes[0].children, parseSearchQuery('globex'), {}, null, ['Adyen'])
+    expect(result.hits[0].namePath).toEqual(['Adyen', 'Globex'])
+    expect([...result.expandKeys]).toEqual(['Adyen'])
+  })
+})
+
+describe('highlightRanges', () => {
+  it('merges overlapping ranges of the positive terms that apply', () => {
+    const { terms } = parseSearchQuery('acm me mid:12')
+    const positiveTerms = terms.map(({ term }) => term)
+    expect(highlightRanges(positiveTerms, 'Acme Acme', { target: 'node', level: 'Merchant' })).toEqual([[0, 4], [5, 9]])
+    expect(highlightRanges(positiveTerms, '1230', { target: 'mid' })).toEqual([[0, 2]])
+  })
+})
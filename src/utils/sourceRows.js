@@ -0,0 +1,118 @@
+// The uploaded rows behind a tree node or a single MID, and the sorting,
+// filtering and per-column summaries the node detail panel shows for them.
+import { findNodeByPath } from './hierarchy'
+import { compileTransforms } from './levelTransforms'
+import { parseNumericValue } from './measures'
+
+export const EMPTY_VALUE = '—'
+
+const midOf = (row, midColumn) => row[midColumn]?.trim()
+
+// Same grouping value buildHierarchy gives a row at one level
+const levelValue = (row, column, transformValue) => {
+  const rawValue = row[column]?.trim()
+  return (rawValue && transformValue ? transformValue(rawValue) : rawValue) || EMPTY_VALUE
+}
+
+// Account ids of a parent/child node and everything beneath it
+const subtreeIds = (node) => {
+  const ids = new Set()
+  const stack = [node]
+  while (stack.length > 0) {
+    const current = stack.pop()
+    ids.add(current.id)
+    ;(current.children || []).forEach(child => stack.push(child))
+  }
+  return ids
+}
+
+// Predicate for the rows that produced the node at namePath, narrowed to one
+// MID when given. Without a MID column a leaf's only MID is its own name or
+// id, so every row of the leaf belongs to it.
+export const sourceRowMatcher = (mapping, hierarchyData, namePath, mid) => {
+  if (!namePath || namePath.length === 0) return () => false
+  const { midColumn } = mapping
+  const matchesMid = (row) => mid === undefined || !midColumn || midOf(row, midColumn) === mid
+
+  if (mapping.mode === 'parentChild') {
+    const node = hierarchyData && findNodeByPath(hierarchyData, namePath)
+    if (!node) return () => false
+    const ids = subtreeIds(node)
+    return (row) => ids.has(row[mapping.idColumn]?.trim()) && matchesMid(row)
+  }
+
+  const transforms = compileTransforms(mapping.levelTransforms)
+  const levels = mapping.levels.slice(0, namePath.length)
+  return (row) => (
+    levels.every((column, depth) => levelValue(row, column, transforms[column]) === namePath[depth]) &&
+    matchesMid(row)
+  )
+}
+
+export const findSourceRows = (rows, mapping, hierarchyData, namePath, mid) => {
+  if (!rows.length) return []
+  return rows.filter(sourceRowMatcher(mapping, hierarchyData, namePath, mid))
+}
+
+// Rows where any column contains the text, ignoring case
+export const filterRows = (rows, columns, text) => {
+  const needle = text.trim().toLowerCase()
+  if (!needle) return rows
+  return rows.filter(row => columns.some(column => String(row[column] ?? '').toLowerCase().includes(needle)))
+}
+
+// Numbers compare numerically, everything else naturally ("A2" before "A10");
+// empty values always sort last
+export const sortRows = (rows, column, direction = 'asc') => {
+  const factor = direction === 'desc' ? -1 : 1
+  const compare = (a, b) => {
+    const valueA = String(a[column] ?? '').trim()
+    const valueB = String(b[column] ?? '').trim()
+    if (!valueA || !valueB) return valueA ? -1 : valueB ? 1 : 0
+    const numberA = parseNumericValue(valueA)
+    const numberB = parseNumericValue(valueB)
+    if (numberA !== null && numberB !== null) return factor * (numberA - numberB)
+    return factor * valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' })
+  }
+  return [...rows].sort(compare)
+}
+
+// Per column: distinct and empty counts, the most frequent values and, when
+// every filled value is a number, min / max / sum
+export const summarizeColumns = (rows, columns, topCount = 5) => {
+  return columns.map(column => {
+    const counts = new Map()
+    let emptyCount = 0
+    let numericCount = 0
+    let min = Infinity
+    let max = -Infinity
+    let sum = 0
+    rows.forEach(row => {
+      const value = String(row[column] ?? '').trim()
+      if (!value) {
+        emptyCount++
+        return
+      }
+      counts.set(value, (counts.get(value) || 0) + 1)
+      const number = parseNumericValue(value)
+      if (number !== null) {
+        numericCount++
+        min = Math.min(min, number)
+        max = Math.max(max, number)
+        sum += number
+      }
+    })
+    const filledCount = rows.length - emptyCount
+    const topValues = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, topCount)
+      .map(([value, count]) => ({ value, count }))
+    return {
+      column,
+      distinctCount: counts.size,
+      emptyCount,
+      topValues,
+      numeric: filledCount > 0 && numericCount === filledCount ? { min, max, sum } : null
+    }
+  })
+}
@@ -0,0 +1,188 @@
+// Helpers that turn the expanded part of the hierarchy into what the list and
+// diagram views render. A node's key is its name path joined with '\u0000',
+// the same string used for selection, so expansion state is shared between
+// every view and survives sorting, filtering and reloads from a shared link.
+// Walks take an optional basePath: the name path of the node whose children
+// they are given, so keys stay full paths while a subtree is in focus.
+import { MID_PAGE_SIZE, MID_FILTER_THRESHOLD, filterMids } from './midLists'
+
+export const NODE_ROW_HEIGHT = 56
+export const MID_ROW_HEIGHT = 32
+// Height of each line of a leaf's tool row: the filter, the selection bar
+export const LEAF_TOOL_LINE_HEIGHT = 36
+
+export const childKey = (parentKey, name) => parentKey ? `${parentKey}\u0000${name}` : String(name)
+
+const basePathKey = (namePath) => namePath.join('\u0000')
+
+// Number of cards plus MID chips the stacked-card view would mount; leaves
+// mount their first page of MIDs
+export const countVisibleItems = (nodes, expandedNodes, basePath = []) => {
+  let count = 0
+  const walk = (levelNodes, parentKey) => {
+    levelNodes.forEach(node => {
+      const nodeKey = childKey(parentKey, node.name)
+      const hasChildren = node.children && node.children.length > 0
+      count++
+      if (!hasChildren && node.mids) {
+        count += Math.min(node.mids.length, MID_PAGE_SIZE)
+      }
+      if (hasChildren && expandedNodes[nodeKey]) {
+        walk(node.children, nodeKey)
+      }
+    })
+  }
+  walk(nodes, basePathKey(basePath))
+  return count
+}
+
+// Visible nodes in display order, as keyboard navigation walks them.
+// parentIndex points at the parent's entry, or -1 for top-level nodes.
+export const listVisibleNodes = (nodes, expandedNodes, basePath = []) => {
+  const items = []
+  const walk = (levelNodes, depth, parentKey, parentPath, parentIndex) => {
+    levelNodes.forEach(node => {
+      const nodeKey = childKey(parentKey, node.name)
+      const namePath = [...parentPath, node.name]
+      const hasChildren = Boolean(node.children && node.children.length > 0)
+      const isExpanded = hasChildren && Boolean(expandedNodes[nodeKey])
+      items.push({ key: nodeKey, node, namePath, pathKey: nodeKey, depth, hasChildren, isExpanded, parentIndex })
+      if (isExpanded) {
+        walk(node.children, depth + 1, nodeKey, namePath, items.length - 1)
+      }
+    })
+  }
+  walk(nodes, 0, basePathKey(basePath), basePath, -1)
+  return items
+}
+
+// Share of the focused subtree's MIDs, e.g. "12.5%"
+export const formatShare = (count, total) => total > 0 ? `${(((count || 0) / total) * 100).toFixed(1)}%` : '0%'
+
+// Flatten the expanded part of the tree into fixed-height rows. Leaf MIDs are
+// packed midsPerRow to a row so a 50k-MID leaf becomes a few thousand rows.
+// leafStates hold each leaf's { filterText, selected } by key: only matching
+// MIDs get rows, and a tool row for the filter and selection comes first.
+export const flattenVisibleTree = (nodes, expandedNodes, midsPerRow, basePath = [], leafStates = {}) => {
+  const rows = []
+  const walk = (levelNodes, depth, parentKey, parentPath) => {
+    levelNodes.forEach((node, index) => {
+      const nodeKey = childKey(parentKey, node.name)
+      const namePath = [...parentPath, node.name]
+      const hasChildren = node.children && node.children.length > 0
+      const isLeaf = !hasChildren && Boolean(node.mids)
+      const isExpanded = Boolean(expandedNodes[nodeKey])
+
+      rows.push({
+        type: 'node',
+        key: nodeKey,
+        node,
+        namePath,
+        depth,
+        hasChildren,
+        isLeaf,
+        isExpanded,
+        setSize: levelNodes.length,
+        positionInSet: index + 1
+      })
+
+      if (isLeaf) {
+        const leafState = leafStates[nodeKey]
+        const leafMids = filterMids(node.mids, leafState?.filterText || '')
+        const hasSelection = leafState?.selected.size > 0 && node.mids.some(mid => leafState.selected.has(mid))
+        const toolLines = (node.mids.length > MID_FILTER_THRESHOLD ? 1 : 0) + (hasSelection ? 1 : 0)
+        if (toolLines > 0) {
+          rows.push({
+            type: 'leafTools',
+            key: `${nodeKey}:tools`,
+            node,
+            leafMids,
+            namePath,
+            depth,
+            height: toolLines * LEAF_TOOL_LINE_HEIGHT
+          })
+        }
+        for (let start = 0; start < leafMids.length; start += midsPerRow) {
+          rows.push({
+            type: 'mids',
+            key: `${nodeKey}:mids-${start}`,
+            mids: leafMids.slice(start, start + midsPerRow),
+            leafMids,
+            namePath,
+            depth
+          })
+        }
+      }
+
+      if (hasChildren && isExpanded) {
+        walk(node.children, depth + 1, nodeKey, namePath)
+      }
+    })
+  }
+  walk(nodes, 0, basePathKey(basePath), basePath)
+  return rows
+}
+
+// Expansion map opening every branch in the top maxDepth levels (1 opens the
+// top level only); Infinity opens the whole tree
+export const collectBranchKeys = (nodes, maxDepth = Infinity, basePath = []) => {
+  const expanded = {}
+  const walk = (levelNodes, parentKey, depth) => {
+    if (depth > maxDepth) return
+    levelNodes.forEach(node => {
+      if (!node.children || node.children.length === 0) return
+      const nodeKey = childKey(parentKey, node.name)
+      expanded[nodeKey] = true
+      walk(node.children, nodeKey, depth + 1)
+    })
+  }
+  walk(nodes, basePathKey(basePath), 1)
+  return expanded
+}
+
+// Number of levels that have branches, i.e. the deepest useful expand depth
+export const branchDepth = (nodes) => {
+  let deepest = 0
+  const walk = (levelNodes, depth) => {
+    levelNodes.forEach(node => {
+      if (!node.children || node.children.length === 0) return
+      deepest = Math.max(deepest, depth)
+      walk(node.children, depth + 1)
+    })
+  }
+  walk(nodes, 1)
+  return deepest
+}
+
+// Expansion map opening just the branches down to the node at namePath, and
+// the node itself when it has children
+export const pathExpansion = (nodes, namePath) => {
+  const expanded = {}
+  let levelNodes = nodes
+  let nodeKey = ''
+  for (const name of namePath) {
+    const node = levelNodes.find(item => item.name === name)
+    if (!node || !node.children || node.children.length === 0) break
+    nodeKey = childKey(nodeKey, name)
+    expanded[nodeKey] = true
+    levelNodes = node.children
+  }
+  return expanded
+}
+
+// Nested copy of the expanded part of the tree for diagram layouts. Each
+// entry wraps the original node with its key; collapsed nodes get no children.
+export const buildVisibleTree = (nodes, expandedNodes, parentKey = '') => {
+  return nodes.map(node => {
+    const nodeKey = childKey(parentKey, node.name)
+    const hasChildren = Boolean(node.children && node.children.length > 0)
+    const isExpanded = Boolean(expandedNodes[nodeKey])
+    return {
+      key: nodeKey,
+      node,
+      hasChildren,
+      isExpanded,
+      children: hasChildren && isExpanded ? buildVisibleTree(node.children, expandedNodes, nodeKey) : undefined
+    }
+  })
+}
@@ -0,0 +1,122 @@
+// Shareable view state kept in the URL hash: the column mapping, expanded and
+// selected node paths, the search query and the view settings. It is stored as
+// base64url-encoded JSON in a single `view` parameter. The data itself is never
+// encoded; whoever opens the link loads the same file to see the view.
+import { pickMapping, sanitizeMapping, isValidMapping, isStringArray } from './mappingPresets'
+
+const URL_STATE_VERSION = 1
+const HASH_PARAM = 'view'
+
+export const DEFAULT_VIEW_SETTINGS = {
+  searchQuery: '',
+  viewMode: 'cards',
+  sortBy: 'levels',
+  sortDirection: 'asc'
+}
+
+const VIEW_MODES = ['cards', 'chart', 'sunburst', 'treemap']
+
+// Above this many expanded paths the link keeps only the selected node's
+// ancestors, so expanding a large tree does not grow the URL to hundreds of KB
+export const MAX_SHARED_EXPANDED = 200
+
+const toBase64Url = (text) => {
+  let binary = ''
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4))
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)))
+}
+
+const sharedExpandedPaths = (expandedNodes, selectedPath) => {
+  const expanded = Object.keys(expandedNodes).filter(nodeKey => expandedNodes[nodeKey])
+  if (expanded.length <= MAX_SHARED_EXPANDED) {
+    return expanded.map(nodeKey => nodeKey.split('\u0000'))
+  }
+  return selectedPath.slice(0, -1).map((_, index) => selectedPath.slice(0, index + 1))
+}
+
+const usesRegex = (transform) => Boolean(transform.regexMode) && transform.regexMode !== 'none' && Boolean(transform.pattern)
+
+// Columns whose value rules run a regular expression. A pattern from a link
+// can backtrack long enough to freeze the tab, so the user confirms these
+// before a shared view is applied.
+export const regexTransformColumns = (mapping) => Object.entries(mapping.levelTransforms || {})
+  .filter(([, transform]) => usesRegex(transform))
+  .map(([column]) => column)
+
+// Mapping with the regex part of every value rule turned off; the other
+// rules of those columns still apply
+export const withoutRegexTransforms = (mapping) => {
+  const levelTransforms = {}
+  Object.entries(mapping.levelTransforms || {}).forEach(([column, transform]) => {
+    levelTransforms[column] = usesRegex(transform)
+      ? { ...transform, regexMode: 'none', pattern: '', replacement: '' }
+      : transform
+  })
+  return { ...mapping, levelTransforms }
+}
+
+// Hash fragment (without '#') for the current view
+export const encodeViewState = ({ fileName, mapping, expandedNodes, selectedPath, viewSettings, sizeBy }) => {
+  const state = {
+    v: URL_STATE_VERSION,
+    file: fileName || undefined,
+    mapping: pickMapping(mapping),
+    expanded: sharedExpandedPaths(expandedNodes, selectedPath),
+    selected: selectedPath.length > 0 ? selectedPath : undefined,
+    search: viewSettings.searchQuery || undefined,
+    view: viewSettings.viewMode,
+    sortBy: viewSettings.sortBy,
+    sortDirection: viewSettings.sortDirection,
+    sizeBy
+  }
+  return new URLSearchParams({ [HASH_PARAM]: toBase64Url(JSON.stringify(state)) }).toString()
+}
+
+// View state from a location hash, or null when there is none or it cannot be
+// read. Unknown or malformed parts fall back to their defaults. regexColumns
+// lists the value rules with a pattern still waiting for the user's consent.
+export const decodeViewState = (hash) => {
+  const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_PARAM)
+  if (!encoded) return null
+
+  let state
+  try {
+    state = JSON.parse(fromBase64Url(encoded))
+  } catch {
+    return null
+  }
+  if (!state || state.v !== URL_STATE_VERSION || !isValidMapping(state.mapping)) {
+    return null
+  }
+
+  const expandedNodes = {}
+  if (Array.isArray(state.expanded)) {
+    state.expanded.filter(isStringArray).forEach(namePath => {
+      expandedNodes[namePath.join('\u0000')] = true
+    })
+  }
+
+  const mapping = sanitizeMapping(state.mapping)
+  return {
+    fileName: typeof state.file === 'string' ? state.file : '',
+    mapping,
+    regexColumns: regexTransformColumns(mapping),
+    expandedNodes,
+    selectedPath: isStringArray(state.selected) ? state.selected : [],
+    viewSettings: {
+      searchQuery: typeof state.search === 'string' ? state.search : DEFAULT_VIEW_SETTINGS.searchQuery,
+      viewMode: VIEW_MODES.includes(state.view) ? state.view : DEFAULT_VIEW_SETTINGS.viewMode,
+      sortBy: typeof state.sortBy === 'string' ? state.sortBy : DEFAULT_VIEW_SETTINGS.sortBy,
+      sortDirection: state.sortDirection === 'desc' ? 'desc' : 'asc'
+    },
+    sizeBy: typeof state.sizeBy === 'string' ? state.sizeBy : 'count'
+  }
+}
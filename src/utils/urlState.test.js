@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import { encodeViewState, decodeViewState, regexTransformColumns, withoutRegexTransforms, DEFAULT_VIEW_SETTINGS, MAX_SHARED_EXPANDED } from './urlState'
+
+const mapping = {
+  mode: 'levels',
+  levels: ['Region', 'City'],
+  midColumn: 'MID',
+  measures: [],
+  levelTransforms: {}
+}
+
+const view = (overrides = {}) => ({
+  fileName: 'accounts.csv',
+  mapping,
+  expandedNodes: { East: true, 'East\u0000NYC': true, West: false },
+  selectedPath: ['East', 'NYC'],
+  viewSettings: { ...DEFAULT_VIEW_SETTINGS, searchQuery: 'acme', viewMode: 'chart' },
+  sizeBy: 'count',
+  ...overrides
+})
+
+const roundTrip = (state) => decodeViewState(`#${encodeViewState(state)}`)
+
+describe('encodeViewState / decodeViewState', () => {
+  it('round-trips the view', () => {
+    const decoded = roundTrip(view())
+    expect(decoded.fileName).toBe('accounts.csv')
+    expect(decoded.mapping.levels).toEqual(['Region', 'City'])
+    expect(decoded.expandedNodes).toEqual({ East: true, 'East\u0000NYC': true })
+    expect(decoded.selectedPath).toEqual(['East', 'NYC'])
+    expect(decoded.viewSettings).toEqual({ ...DEFAULT_VIEW_SETTINGS, searchQuery: 'acme', viewMode: 'chart' })
+    expect(decoded.regexColumns).toEqual([])
+  })
+
+  it('keeps only the ancestors of the selected node when many nodes are expanded', () => {
+    const expandedNodes = {}
+    for (let index = 0; index <= MAX_SHARED_EXPANDED; index++) {
+      expandedNodes[`Region ${index}`] = true
+    }
+    const decoded = roundTrip(view({ expandedNodes, selectedPath: ['East', 'NYC', 'Midtown'] }))
+    expect(decoded.expandedNodes).toEqual({ East: true, 'East\u0000NYC': true })
+  })
+
+  it('returns null for a missing, garbled or unsupported hash', () => {
+    expect(decodeViewState('')).toBeNull()
+    expect(decodeViewState('#view=%%%')).toBeNull()
+    expect(decodeViewState(`#view=${btoa(JSON.stringify({ v: 1, mapping: { mode: 'graph' } }))}`)).toBeNull()
+  })
+
+  it('falls back to defaults for malformed parts', () => {
+    const state = { v: 1, mapping: { mode: 'levels', levels: 'Region' }, expanded: [['East'], 'West'], view: 'globe', sortDirection: 'sideways' }
+    const decoded = decodeViewState(`#view=${btoa(JSON.stringify(state))}`)
+    expect(decoded.mapping.levels).toEqual([])
+    expect(decoded.expandedNodes).toEqual({ East: true })
+    expect(decoded.viewSettings.viewMode).toBe(DEFAULT_VIEW_SETTINGS.viewMode)
+    expect(decoded.viewSettings.sortDirection).toBe('asc')
+  })
+})
+
+describe('regex value rules from a link', () => {
+  const withRegex = {
+    ...mapping,
+    levelTransforms: {
+      City: { caseFold: 'upper', regexMode: 'replace', pattern: '(a+)+$', replacement: '' },
+      Region: { caseFold: 'lower', regexMode: 'none', pattern: '' }
+    }
+  }
+
+  it('flags the columns whose rules run a pattern', () => {
+    expect(regexTransformColumns(withRegex)).toEqual(['City'])
+    expect(roundTrip(view({ mapping: withRegex })).regexColumns).toEqual(['City'])
+  })
+
+  it('drops only the regex part of those rules', () => {
+    const stripped = withoutRegexTransforms(withRegex)
+    expect(stripped.levelTransforms.City).toEqual({ caseFold: 'upper', regexMode: 'none', pattern: '', replacement: '' })
+    expect(stripped.levelTransforms.Region).toBe(withRegex.levelTransforms.Region)
+    expect(regexTransformColumns(stripped)).toEqual([])
+  })
+})
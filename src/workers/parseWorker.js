@@ -0,0 +1,70 @@
+// Parses uploaded files off the main thread. Rows are posted back in batches
+// as they are read so the UI can show progress and stay responsive.
+//
+// Incoming messages:
+//   { type: 'parse', file, format }   read a whole file
+//   { type: 'parseSheet', sheetName } re-read another sheet of the last workbook
+//
+// Outgoing messages:
+//   { type: 'rows', rows, progress }  a batch of parsed rows
+//   { type: 'done', columns, sheetNames, sheetName }
+//   { type: 'error', message }
+import {
+  delimiterForFormat,
+  streamDelimitedFile,
+  streamJsonLinesFile,
+  readWorkbook,
+  streamWorkbookSheet
+} from '../utils/fileParsers'
+
+// Kept between messages so switching sheets doesn't re-read the file
+let currentWorkbook = null
+let currentFileSize = 0
+
+const postRows = (rows, progress) => {
+  self.postMessage({ type: 'rows', rows, progress })
+}
+
+const parseFile = async (file, format) => {
+  currentWorkbook = null
+  currentFileSize = file.size
+
+  if (format === 'excel') {
+    postRows([], { rows: 0, bytes: 0, totalBytes: file.size })
+    currentWorkbook = await readWorkbook(file)
+    const sheetName = currentWorkbook.SheetNames[0]
+    const { columns } = streamWorkbookSheet(currentWorkbook, sheetName, postRows, file.size)
+    return { columns, sheetNames: currentWorkbook.SheetNames, sheetName }
+  }
+
+  if (format === 'jsonl') {
+    return streamJsonLinesFile(file, postRows)
+  }
+
+  return streamDelimitedFile(file, delimiterForFormat(format), postRows)
+}
+
+const parseSheet = (sheetName) => {
+  if (!currentWorkbook) {
+    throw new Error('No workbook loaded')
+  }
+  const { columns } = streamWorkbookSheet(currentWorkbook, sheetName, postRows, currentFileSize)
+  return { columns, sheetNames: currentWorkbook.SheetNames, sheetName }
+}
+
+self.onmessage = async (event) => {
+  const { type } = event.data
+  try {
+    let result
+    if (type === 'parse') {
+      result = await parseFile(event.data.file, event.data.format)
+    } else if (type === 'parseSheet') {
+      result = parseSheet(event.data.sheetName)
+    } else {
+      return
+    }
+    self.postMessage({ type: 'done', ...result })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}